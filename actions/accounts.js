@@ -3,6 +3,22 @@
 import { db } from "@/lib/prisma";
 import { auth } from "@clerk/nextjs/server";
 import { revalidatePath } from "next/cache";
+import {
+    applyBalanceChanges,
+    getAvailableBalance,
+    getBalanceChanges,
+    getPendingTotals,
+    mergeBalanceChanges,
+    reverseBalanceChanges,
+    toNumber,
+} from "@/lib/balance";
+import {
+    getTransactionWhere,
+    parseTransactionQuery,
+    TRANSACTIONS_PAGE_SIZE,
+} from "@/lib/transaction-filters";
+import { getTransactionAuditEntry, writeAuditLogs } from "@/lib/audit";
+import { getCategoryLabel, getCategoryLookup } from "@/lib/categories";
 
 
 const serializeTransaction = (obj) => {
@@ -16,6 +32,23 @@ const serializeTransaction = (obj) => {
         serialized.amount = obj.amount.toNumber();
     }
 
+    if (obj.transferAmount) {
+        serialized.transferAmount = obj.transferAmount.toNumber();
+    }
+
+    if (obj.splits) {
+        serialized.splits = obj.splits.map((split) => ({
+            ...split,
+            amount: split.amount.toNumber(),
+        }));
+    }
+
+    for (const key of ["openingBalance", "creditLimit", "principal", "interestRate"]) {
+        if (obj[key]) {
+            serialized[key] = obj[key].toNumber();
+        }
+    }
+
     return serialized
 };
 
@@ -50,7 +83,132 @@ export async function updateDefaultAccount(accountId) {
     }
 }
 
-export async function getAccountWithTransactions(accountId) {
+// Money in and out of the account over every row matching `where`, not just
+// the page shown. With a category filter, split transactions only count their
+// lines in those categories. Callers pick the statuses: see
+// getAccountWithTransactions.
+async function getLedgerTotals(where, accountId, categories) {
+    const wholeWhere = categories.length > 0
+        ? { AND: [where, { splits: { none: {} } }] }
+        : where;
+    const getSplitSum = (type) =>
+        db.transactionSplit.aggregate({
+            where: {
+                category: { in: categories },
+                transaction: { AND: [where, { type }] },
+            },
+            _sum: { amount: true },
+        });
+
+    const [groups, crossCurrency, splitIncome, splitExpense] = await Promise.all([
+        db.transaction.groupBy({
+            by: ["type", "accountId"],
+            where: wholeWhere,
+            _sum: { amount: true },
+        }),
+        // Transfers between currencies credit this account with transferAmount
+        // rather than amount.
+        db.transaction.aggregate({
+            where: {
+                AND: [where, { transferAccountId: accountId, transferAmount: { not: null } }],
+            },
+            _sum: { amount: true, transferAmount: true },
+        }),
+        categories.length > 0 ? getSplitSum("INCOME") : null,
+        categories.length > 0 ? getSplitSum("EXPENSE") : null,
+    ]);
+
+    let moneyIn = toNumber(splitIncome?._sum.amount);
+    let moneyOut = toNumber(splitExpense?._sum.amount);
+
+    for (const group of groups) {
+        const amount = toNumber(group._sum.amount);
+        const outgoing = group.type === "EXPENSE" ||
+            (group.type === "TRANSFER" && group.accountId === accountId);
+
+        if (outgoing) moneyOut += amount;
+        else moneyIn += amount;
+    }
+    moneyIn += toNumber(crossCurrency._sum.transferAmount) -
+        toNumber(crossCurrency._sum.amount);
+
+    const round = (value) => Math.round(value * 100) / 100;
+    return {
+        moneyIn: round(moneyIn),
+        moneyOut: round(moneyOut),
+        net: round(moneyIn - moneyOut),
+    };
+}
+
+// One page of the rows matching `where`, fetched with one extra row to know
+// whether there is a page beyond it in the direction of travel.
+async function getCursorPage(where, { sort, direction, after, before }) {
+    const cursor = before || after;
+    const rows = await db.transaction.findMany({
+        where,
+        include: { splits: true, tags: true },
+        orderBy: [{ [sort]: direction }, { id: direction }],
+        take: before ? -(TRANSACTIONS_PAGE_SIZE + 1) : TRANSACTIONS_PAGE_SIZE + 1,
+        ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+    });
+
+    const hasMore = rows.length > TRANSACTIONS_PAGE_SIZE;
+    return {
+        transactions: before
+            ? rows.slice(hasMore ? 1 : 0)
+            : rows.slice(0, TRANSACTIONS_PAGE_SIZE),
+        hasMore,
+    };
+}
+
+// The table shows category names, which the database does not have on the
+// transaction rows, so sorting by category orders the matching ids by
+// their label here and cuts the page from that list.
+async function getCategorySortedPage(where, userId, { direction, after, before }) {
+    const [keys, categories] = await Promise.all([
+        db.transaction.findMany({
+            where,
+            select: { id: true, category: true, subcategory: true },
+        }),
+        db.category.findMany({ where: { userId } }),
+    ]);
+
+    const lookup = getCategoryLookup(categories);
+    const labels = Object.fromEntries(
+        keys.map((k) => [k.id, getCategoryLabel(lookup, k.category, k.subcategory) || ""])
+    );
+    const sign = direction === "desc" ? -1 : 1;
+    keys.sort((a, b) =>
+        sign * (labels[a.id].localeCompare(labels[b.id], undefined, { sensitivity: "base" }) ||
+            a.id.localeCompare(b.id))
+    );
+
+    // A cursor that no longer matches (e.g. the row was deleted) starts over.
+    const index = keys.findIndex((k) => k.id === (before || after));
+    const start = index === -1
+        ? 0
+        : before ? Math.max(0, index - TRANSACTIONS_PAGE_SIZE) : index + 1;
+    const end = index !== -1 && before ? index : start + TRANSACTIONS_PAGE_SIZE;
+    const ids = keys.slice(start, end).map((k) => k.id);
+
+    const rows = await db.transaction.findMany({
+        where: { id: { in: ids } },
+        include: { splits: true, tags: true },
+    });
+    const rowsById = Object.fromEntries(rows.map((row) => [row.id, row]));
+
+    return {
+        transactions: ids.map((id) => rowsById[id]),
+        // Going back, "more" means pages before this one.
+        hasMore: before ? index !== -1 && start > 0 : end < keys.length,
+    };
+}
+
+// The account with one page of its ledger. `query` holds the
+// TransactionTable's filters, sort and cursor (see parseTransactionQuery);
+// paging is by cursor so deep pages stay as fast as the first, except when
+// sorting by category (see getCategorySortedPage).
+export async function getAccountWithTransactions(accountId, query = {}) {
     const { userId } = await auth();
     if (!userId) throw new Error("Unauthorized");
 
@@ -65,23 +223,104 @@ export async function getAccountWithTransactions(accountId) {
     const account = await db.account.findUnique({
         where:{id: accountId, userId: user.id },
         include: {
-            transactions: {
-                orderBy: { date: "desc" },
-            },
             _count: {
-                select: { transactions: true },
+                select: {
+                    transactions: { where: { deletedAt: null } },
+                    incomingTransfers: { where: { deletedAt: null } },
+                },
             },
         },
     });
 
     if (!account) return null;
 
+    const { sort, direction, after, before, ...filters } = parseTransactionQuery(query);
+
+    // Transfers into this account live on the source account's row, so the
+    // where clause matches both legs to show the account's full ledger.
+    const where = {
+        userId: user.id,
+        ...getTransactionWhere({ ...filters, accountId: account.id }),
+    };
+    // Without a status filter the totals follow the balance: posted
+    // (completed) rows only, with pending ones totalled on their own and
+    // failed ones left out. A status filter totals exactly the rows shown.
+    const statusFiltered = filters.status.length > 0;
+
+    const [page, total, totals, pendingTotals, pending] = await Promise.all([
+        sort === "category"
+            ? getCategorySortedPage(where, user.id, { direction, after, before })
+            : getCursorPage(where, { sort, direction, after, before }),
+        db.transaction.count({ where }),
+        getLedgerTotals(
+            statusFiltered ? where : { AND: [where, { status: "COMPLETED" }] },
+            account.id,
+            filters.category
+        ),
+        statusFiltered
+            ? null
+            : getLedgerTotals({ AND: [where, { status: "PENDING" }] }, account.id, filters.category),
+        db.transaction.findMany({
+            where: {
+                OR: [{ accountId: account.id }, { transferAccountId: account.id }],
+                status: "PENDING",
+                deletedAt: null,
+            },
+        }),
+    ]);
+
+    const { transactions, hasMore } = page;
+    const hasNext = before ? true : hasMore;
+    const hasPrevious = before ? hasMore : !!after;
+
     return{
         ...serializeTransaction(account),
-       transactions:account.transactions.map(serializeTransaction)
+        ...getAvailableBalance(account.balance, getPendingTotals(pending)[account.id]),
+        _count: {
+            transactions:
+                account._count.transactions + account._count.incomingTransfers,
+        },
+       transactions:transactions.map(serializeTransaction),
+       totals: { ...totals, pending: pendingTotals },
+       pagination: {
+            total,
+            nextCursor: hasNext && transactions.length ? transactions.at(-1).id : null,
+            previousCursor: hasPrevious && transactions.length ? transactions[0].id : null,
+       },
     };
 }
 
+// Daily income and expense points for AccountChart, without loading whole
+// transaction rows. Like the balance, only completed transactions count.
+export async function getAccountChartData(accountId) {
+    const { userId } = await auth();
+    if (!userId) throw new Error("Unauthorized");
+
+    const user = await db.user.findUnique({
+        where: { clerkUserId: userId },
+    });
+
+    if(!user) {
+        throw new Error("User not found");
+    }
+
+    const transactions = await db.transaction.findMany({
+        where: {
+            userId: user.id,
+            accountId,
+            type: { in: ["INCOME", "EXPENSE"] },
+            status: "COMPLETED",
+            deletedAt: null,
+        },
+        select: { date: true, type: true, amount: true },
+        orderBy: { date: "asc" },
+    });
+
+    return transactions.map(serializeTransaction);
+}
+
+// Moves transactions to their account's trash and reverts their balance
+// effect. They can be restored until the purge job removes them.
 export  async function bulkDeleteTransactions(transactionIds) {
     try{
         const { userId } =await auth();
@@ -96,47 +335,180 @@ export  async function bulkDeleteTransactions(transactionIds) {
         const transactions = await db.transaction.findMany({
             where: {
                 id: { in: transactionIds },
-                 userId: user.id,
+                userId: user.id,
+                deletedAt: null,
             },
         });
 
-        const accountBalanceChanges = transactions.reduce((acc, transaction) => {
-            const change = 
-            transaction.type === "EXPENSE"
-            ? transaction.amount
-            : - transaction.amount;
-
-            acc[transaction.accountId] = (acc[transaction.accountId] || 0 ) + change;
-            return acc;
-        }, {});
+        const accountBalanceChanges = reverseBalanceChanges(
+            mergeBalanceChanges(...transactions.map(getBalanceChanges))
+        );
 
 
+        const deletedAt = new Date();
         await db.$transaction(async (tx) =>{
-            await tx.transaction.deleteMany({
+            await tx.transaction.updateMany({
                 where: {
-                    id: { in: transactionIds },
+                    id: { in: transactions.map((t) => t.id) },
                     userId: user.id,
                 },
+                data: { deletedAt },
             });
 
-            for (const [accountId, balanceChange] of Object.entries(
-                accountBalanceChanges
-            )) {
-                await tx.account.update({
-                    where: { id: accountId },
-                    data: {
-                        balance: {
-                            increment: balanceChange,
-                        },
-                    },
-                });
-            }
+            await applyBalanceChanges(tx, accountBalanceChanges);
+            await writeAuditLogs(
+                tx,
+                transactions.map((t) =>
+                    getTransactionAuditEntry("delete", t, { ...t, deletedAt })
+                ),
+                { userId: user.id, actorId: user.id, source: "UI" }
+            );
         });
         revalidatePath("/dashboard");
-        revalidatePath("/account/[id]")
+        revalidatePath("/account/[id]", "page");
 
-        return { ssuccess: true };
+        return { success: true, data: { ids: transactions.map((t) => t.id) } };
     } catch (error) {
  return { success: false, error: error.message };
     }
-}
\ No newline at end of file
+}
+
+// Takes transactions out of the trash and re-applies their balance effect.
+export async function restoreTransactions(transactionIds) {
+    try {
+        const { userId } = await auth();
+        if (!userId) throw new Error("Unauthorized");
+
+        const user = await db.user.findUnique({
+            where: { clerkUserId: userId },
+        });
+        if (!user) {
+            throw new Error("User not found");
+        }
+
+        const transactions = await db.transaction.findMany({
+            where: {
+                id: { in: transactionIds },
+                userId: user.id,
+                deletedAt: { not: null },
+            },
+        });
+
+        await db.$transaction(async (tx) => {
+            await tx.transaction.updateMany({
+                where: {
+                    id: { in: transactions.map((t) => t.id) },
+                    userId: user.id,
+                },
+                data: { deletedAt: null },
+            });
+
+            await applyBalanceChanges(
+                tx,
+                mergeBalanceChanges(...transactions.map(getBalanceChanges))
+            );
+            await writeAuditLogs(
+                tx,
+                transactions.map((t) =>
+                    getTransactionAuditEntry("restore", t, { ...t, deletedAt: null })
+                ),
+                { userId: user.id, actorId: user.id, source: "UI" }
+            );
+        });
+        revalidatePath("/dashboard");
+        revalidatePath("/account/[id]", "page");
+
+        return { success: true, data: { count: transactions.length } };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
+// The account's trash, most recently deleted first, including transfers
+// into it.
+export async function getDeletedTransactions(accountId) {
+    const { userId } = await auth();
+    if (!userId) throw new Error("Unauthorized");
+
+    const user = await db.user.findUnique({
+        where: { clerkUserId: userId },
+    });
+
+    if(!user) {
+        throw new Error("User not found");
+    }
+
+    const transactions = await db.transaction.findMany({
+        where: {
+            userId: user.id,
+            OR: [{ accountId }, { transferAccountId: accountId }],
+            deletedAt: { not: null },
+        },
+        include: { splits: true, tags: true },
+        orderBy: { deletedAt: "desc" },
+    });
+
+    return transactions.map(serializeTransaction);
+}
+
+const HISTORY_PAGE_SIZE = 30;
+
+// One page of the audit log entries touching the account, newest first.
+// `cursor` is the last entry id of the previous page.
+export async function getAccountHistory(accountId, cursor = null) {
+    const { userId } = await auth();
+    if (!userId) throw new Error("Unauthorized");
+
+    const user = await db.user.findUnique({
+        where: { clerkUserId: userId },
+    });
+
+    if(!user) {
+        throw new Error("User not found");
+    }
+
+    const entries = await db.auditLog.findMany({
+        where: { userId: user.id, accountIds: { has: accountId } },
+        orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+        take: HISTORY_PAGE_SIZE + 1,
+        ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+    });
+
+    const page = entries.slice(0, HISTORY_PAGE_SIZE);
+    return {
+        entries: page.map((entry) => ({
+            ...entry,
+            isOwnChange: entry.actorId === user.id,
+        })),
+        nextCursor: entries.length > HISTORY_PAGE_SIZE ? page.at(-1).id : null,
+    };
+}
+
+// Permanently deletes transactions that are already in the trash. Their
+// balance effect was reverted when they were trashed.
+export async function purgeTransactions(transactionIds) {
+    try {
+        const { userId } = await auth();
+        if (!userId) throw new Error("Unauthorized");
+
+        const user = await db.user.findUnique({
+            where: { clerkUserId: userId },
+        });
+        if (!user) {
+            throw new Error("User not found");
+        }
+
+        const { count } = await db.transaction.deleteMany({
+            where: {
+                id: { in: transactionIds },
+                userId: user.id,
+                deletedAt: { not: null },
+            },
+        });
+        revalidatePath("/account/[id]", "page");
+
+        return { success: true, data: { count } };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
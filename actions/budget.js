@@ -3,104 +3,171 @@
 import { db } from "@/lib/prisma";
 import { auth } from "@clerk/nextjs/server";
 import { revalidatePath } from "next/cache";
+import { getBudgetName, getBudgetStatus } from "@/lib/budget";
+import { BUDGET_PERIODS } from "@/lib/budget-periods";
 
 
+const serializeBudget = (budget) => ({
+  ...budget,
+  amount: budget.amount.toNumber(),
+});
 
 
-export async function getCurrentBudget(accountId) {
-  try {
-    const { userId } = await auth();
-    if (!userId) throw new Error("Unauthorized");
+async function getUser() {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
 
-    const user = await db.user.findUnique({
-      where: { clerkUserId: userId },
-    });
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+  if (!user) throw new Error("User not found");
 
-    if (!user) {
-      throw new Error("User not found");
-    }
+  return user;
+}
 
-const budget = await db.budget.findFirst({
-    where: {
-        userId: user.id,
-    },
-});
 
+// Normalizes budget form data and makes sure the account belongs to the user
+// and that the (category, account) pair has no other budget yet.
+async function getBudgetData(user, data, budgetId = null) {
+  const amount = parseFloat(data.amount);
+  if (isNaN(amount) || amount <= 0) throw new Error("Invalid budget amount");
+
+  const category = data.category || null;
+  const accountId = data.accountId || null;
+
+  const period = data.period || "MONTHLY";
+  if (!BUDGET_PERIODS[period]) throw new Error("Invalid budget period");
 
-const currentDate = new Date();
-const startOfMonth = new Date(
-    currentDate.getFullYear(),
-    currentDate.getMonth(),
-    1
-);
+  const startDay =
+    data.startDay === undefined || data.startDay === null || data.startDay === ""
+      ? null
+      : parseInt(data.startDay, 10);
+  const [minStartDay, maxStartDay] = BUDGET_PERIODS[period].months
+    ? [1, 31]
+    : [0, 6];
+  if (startDay !== null && !(startDay >= minStartDay && startDay <= maxStartDay)) {
+    throw new Error("Invalid budget start day");
+  }
 
-const endOfMonth = new Date(
-    currentDate.getFullYear(),
-    currentDate.getMonth() + 1,
-    0
-);
+  const alertThresholds = [
+    ...new Set((data.alertThresholds ?? [80]).map((t) => parseInt(t, 10))),
+  ].sort((a, b) => a - b);
+  if (alertThresholds.some((t) => isNaN(t) || t <= 0 || t > 1000)) {
+    throw new Error("Alert thresholds must be percentages between 1 and 1000");
+  }
 
-const expenses = await db.transaction.aggregate({
+  if (accountId) {
+    const account = await db.account.findUnique({
+      where: { id: accountId, userId: user.id },
+    });
+    if (!account) throw new Error("Account not found");
+  }
+
+  const existing = await db.budget.findFirst({
     where: {
-        userId: user.id,
-        type: "EXPENSE",
-        date: {
-            gte: startOfMonth,
-            lte: endOfMonth
-        },
-        accountId,
+      userId: user.id,
+      category,
+      accountId,
+      ...(budgetId && { id: { not: budgetId } }),
     },
-    _sum : {
-        amount: true,
-    },
-});
+  });
+  if (existing) throw new Error("A budget for this category already exists");
+
+  return {
+    amount,
+    category,
+    accountId,
+    period,
+    startDay,
+    rollover: !!data.rollover,
+    alertThresholds,
+  };
+}
 
- return {
-      budget: budget ? { ...budget, amount: budget.amount.toNumber() } : null,
-      currentExpenses: expenses._sum.amount
-        ? expenses._sum.amount.toNumber()
-        : 0,
-    };
-  } catch(error) {
-    console.error("Error fetching budget:", error);
+
+export async function getCurrentBudgets() {
+  try {
+    const user = await getUser();
+
+    const [budgets, categories] = await Promise.all([
+      db.budget.findMany({
+        where: { userId: user.id },
+        include: { account: true },
+        orderBy: { createdAt: "asc" },
+      }),
+      db.category.findMany({ where: { userId: user.id } }),
+    ]);
+
+    return await Promise.all(
+      budgets.map(async ({ account, ...budget }) => {
+        const status = await getBudgetStatus({ ...budget, account, user });
+
+        return {
+          ...serializeBudget(budget),
+          ...status,
+          name: getBudgetName({ ...budget, account }, categories),
+          accountName: account?.name || null,
+          currentExpenses: status.spent,
+        };
+      })
+    );
+  } catch (error) {
+    console.error("Error fetching budgets:", error);
     throw error;
   }
-    
 }
 
 
-export async function updateBudget(amount) {
+export async function createBudget(data) {
   try {
-    const { userId } = await auth();
-    if (!userId) throw new Error("Unauthorized");
+    const user = await getUser();
 
-    const user = await db.user.findUnique({
-      where: { clerkUserId: userId },
+    const budget = await db.budget.create({
+      data: {
+        ...(await getBudgetData(user, data)),
+        userId: user.id,
+      },
     });
 
-    if (!user) throw new Error("User not found");
+    revalidatePath("/dashboard");
+    return { success: true, data: serializeBudget(budget) };
+  } catch (error) {
+    console.error("Error creating budget:", error);
+    return { success: false, error: error.message };
+  }
+}
 
-    // Update or create budget
-    const budget = await db.budget.upsert({
-      where: {
-        userId: user.id,
-      },
-      update: {
-        amount,
-      },
-      create: {
-        userId: user.id,
-        amount,
-      },
+
+export async function updateBudget(id, data) {
+  try {
+    const user = await getUser();
+
+    const budget = await db.budget.update({
+      where: { id, userId: user.id },
+      data: await getBudgetData(user, data, id),
     });
 
     revalidatePath("/dashboard");
-    return {
-      success: true,
-      data: { ...budget, amount: budget.amount.toNumber() },
-    };
+    return { success: true, data: serializeBudget(budget) };
   } catch (error) {
     console.error("Error updating budget:", error);
     return { success: false, error: error.message };
   }
-}
\ No newline at end of file
+}
+
+
+export async function deleteBudget(id) {
+  try {
+    const user = await getUser();
+
+    await db.budget.delete({
+      where: { id, userId: user.id },
+    });
+
+    revalidatePath("/dashboard");
+    return { success: true };
+  } catch (error) {
+    console.error("Error deleting budget:", error);
+    return { success: false, error: error.message };
+  }
+}
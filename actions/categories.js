@@ -0,0 +1,269 @@
+"use server";
+
+import { db } from "@/lib/prisma";
+import { auth } from "@clerk/nextjs/server";
+import { revalidatePath } from "next/cache";
+import { getDefaultCategoryRows, slugify } from "@/lib/categories";
+import { CATEGORY_TYPES } from "@/data/categories";
+
+
+async function getUser() {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+  if (!user) throw new Error("User not found");
+
+  return user;
+}
+
+
+// Gives users who have no categories yet a copy of the defaults, so existing
+// transactions keep their names and colors.
+async function seedCategories(userId) {
+  const rows = getDefaultCategoryRows();
+
+  await db.$transaction(async (tx) => {
+    await tx.category.createMany({
+      data: rows
+        .filter((row) => !row.parentSlug)
+        .map((row) => ({ ...row, userId })),
+      skipDuplicates: true,
+    });
+
+    const parents = await tx.category.findMany({
+      where: { userId, parentId: null },
+      select: { id: true, slug: true },
+    });
+    const parentIds = Object.fromEntries(parents.map((p) => [p.slug, p.id]));
+
+    await tx.category.createMany({
+      data: rows
+        .filter((row) => row.parentSlug && parentIds[row.parentSlug])
+        .map(({ parentSlug, ...row }) => ({
+          ...row,
+          parentId: parentIds[parentSlug],
+          userId,
+        })),
+      skipDuplicates: true,
+    });
+  });
+}
+
+
+async function getUniqueSlug(userId, base) {
+  const taken = await db.category.findMany({
+    where: { userId, slug: { startsWith: base } },
+    select: { slug: true },
+  });
+  const slugs = new Set(taken.map((c) => c.slug));
+
+  let slug = base;
+  for (let i = 2; slugs.has(slug); i++) slug = `${base}-${i}`;
+  return slug;
+}
+
+
+function getCategoryFields(data) {
+  const fields = {};
+
+  if (data.name !== undefined) {
+    const name = String(data.name).trim();
+    if (!name || !slugify(name)) throw new Error("Category name is required");
+    fields.name = name;
+  }
+  if (data.color !== undefined) {
+    if (!/^#[0-9a-f]{6}$/i.test(data.color)) throw new Error("Invalid color");
+    fields.color = data.color;
+  }
+  if (data.icon !== undefined) fields.icon = data.icon || null;
+  if (data.archived !== undefined) fields.archived = !!data.archived;
+
+  return fields;
+}
+
+
+function revalidateCategoryPaths() {
+  revalidatePath("/dashboard");
+  revalidatePath("/settings");
+  revalidatePath("/account/[id]", "page");
+}
+
+
+export async function getCategories() {
+  try {
+    const user = await getUser();
+
+    const count = await db.category.count({ where: { userId: user.id } });
+    if (count === 0) await seedCategories(user.id);
+
+    return await db.category.findMany({
+      where: { userId: user.id },
+      orderBy: [{ type: "asc" }, { name: "asc" }],
+    });
+  } catch (error) {
+    console.error("Error fetching categories:", error);
+    throw error;
+  }
+}
+
+
+export async function createCategory(data) {
+  try {
+    const user = await getUser();
+    const fields = getCategoryFields({ color: "#94a3b8", ...data });
+    if (!fields.name) throw new Error("Category name is required");
+
+    let parent = null;
+    if (data.parentId) {
+      parent = await db.category.findUnique({
+        where: { id: data.parentId, userId: user.id },
+      });
+      if (!parent || parent.parentId) throw new Error("Parent category not found");
+    } else if (!CATEGORY_TYPES.includes(data.type)) {
+      throw new Error("Invalid category type");
+    }
+
+    const slug = await getUniqueSlug(
+      user.id,
+      parent ? `${parent.slug}-${slugify(fields.name)}` : slugify(fields.name)
+    );
+
+    const category = await db.category.create({
+      data: {
+        ...fields,
+        slug,
+        type: parent ? parent.type : data.type,
+        parentId: parent?.id || null,
+        userId: user.id,
+      },
+    });
+
+    revalidateCategoryPaths();
+    return { success: true, data: category };
+  } catch (error) {
+    console.error("Error creating category:", error);
+    return { success: false, error: error.message };
+  }
+}
+
+
+// Renames, recolors, changes the icon or (un)archives a category. Slugs never
+// change, so transactions and budgets keep pointing at it.
+export async function updateCategory(id, data) {
+  try {
+    const user = await getUser();
+
+    const category = await db.category.update({
+      where: { id, userId: user.id },
+      data: getCategoryFields(data),
+    });
+
+    revalidateCategoryPaths();
+    return { success: true, data: category };
+  } catch (error) {
+    console.error("Error updating category:", error);
+    return { success: false, error: error.message };
+  }
+}
+
+
+// Moves everything in `sourceId` (transactions, subcategories, budgets,
+// rules and subscriptions) to `targetId` and deletes the source. Both
+// must be top-level categories or both subcategories, of the same type.
+export async function mergeCategories(sourceId, targetId) {
+  try {
+    const user = await getUser();
+    if (sourceId === targetId) throw new Error("Cannot merge a category into itself");
+
+    const [source, target] = await Promise.all([
+      db.category.findUnique({ where: { id: sourceId, userId: user.id } }),
+      db.category.findUnique({
+        where: { id: targetId, userId: user.id },
+        include: { parent: true },
+      }),
+    ]);
+    if (!source || !target) throw new Error("Category not found");
+    if (source.type !== target.type) {
+      throw new Error("Only categories of the same type can be merged");
+    }
+    if (!!source.parentId !== !!target.parentId) {
+      throw new Error("Merge a category into a category, or a subcategory into a subcategory");
+    }
+
+    const count = await db.$transaction(async (tx) => {
+      if (!source.parentId) {
+        const { count } = await tx.transaction.updateMany({
+          where: { userId: user.id, category: source.slug },
+          data: { category: target.slug },
+        });
+        await tx.transactionSplit.updateMany({
+          where: { transaction: { userId: user.id }, category: source.slug },
+          data: { category: target.slug },
+        });
+
+        // Subcategories come along, keeping their transactions' references.
+        await tx.category.updateMany({
+          where: { parentId: source.id },
+          data: { parentId: target.id },
+        });
+
+        await tx.transactionRule.updateMany({
+          where: { userId: user.id, category: source.slug },
+          data: { category: target.slug },
+        });
+        await tx.subscription.updateMany({
+          where: { userId: user.id, category: source.slug },
+          data: { category: target.slug },
+        });
+
+        // Budgets move over unless the target already has one for the
+        // same account.
+        const budgets = await tx.budget.findMany({
+          where: { userId: user.id, category: { in: [source.slug, target.slug] } },
+        });
+        for (const budget of budgets.filter((b) => b.category === source.slug)) {
+          const clash = budgets.some(
+            (b) => b.category === target.slug && b.accountId === budget.accountId
+          );
+          if (clash) {
+            await tx.budget.delete({ where: { id: budget.id } });
+          } else {
+            await tx.budget.update({
+              where: { id: budget.id },
+              data: { category: target.slug },
+            });
+          }
+        }
+
+        await tx.category.delete({ where: { id: source.id } });
+        return count;
+      }
+
+      const { count } = await tx.transaction.updateMany({
+        where: { userId: user.id, subcategory: source.slug },
+        data: { category: target.parent.slug, subcategory: target.slug },
+      });
+      await tx.transactionSplit.updateMany({
+        where: { transaction: { userId: user.id }, subcategory: source.slug },
+        data: { category: target.parent.slug, subcategory: target.slug },
+      });
+
+      await tx.transactionRule.updateMany({
+        where: { userId: user.id, subcategory: source.slug },
+        data: { category: target.parent.slug, subcategory: target.slug },
+      });
+
+      await tx.category.delete({ where: { id: source.id } });
+      return count;
+    });
+
+    revalidateCategoryPaths();
+    return { success: true, data: { count } };
+  } catch (error) {
+    console.error("Error merging categories:", error);
+    return { success: false, error: error.message };
+  }
+}
@@ -0,0 +1,150 @@
+"use server";
+
+import { db } from "@/lib/prisma";
+import { auth } from "@clerk/nextjs/server";
+import { revalidatePath } from "next/cache";
+import { REFERENCE_CURRENCY } from "@/lib/currency";
+import { getExchangeRates } from "@/lib/exchange-rates";
+import { parseAmount, parseCSV } from "@/lib/statement-parsers";
+
+
+async function getUser() {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+  if (!user) throw new Error("User not found");
+
+  return user;
+}
+
+
+// Exchange rates are shared by every user, so only the Clerk users listed in
+// ADMIN_USER_IDS (comma separated) may change them.
+function isAdmin(user) {
+  return (process.env.ADMIN_USER_IDS || "")
+    .split(",")
+    .map((id) => id.trim())
+    .includes(user.clerkUserId);
+}
+
+
+// rates: [{ currency, rate }] with rate in units of currency per 1 USD.
+async function saveExchangeRates(rates) {
+  const normalized = rates.map(({ currency, rate }) => ({
+    currency: String(currency || "").trim().toUpperCase(),
+    rate: Number(rate),
+  }));
+
+  for (const { currency, rate } of normalized) {
+    if (!/^[A-Z]{3}$/.test(currency)) {
+      throw new Error(`Invalid currency code "${currency}"`);
+    }
+    if (currency === REFERENCE_CURRENCY) {
+      throw new Error(`${REFERENCE_CURRENCY} is the reference currency and always has a rate of 1`);
+    }
+    if (!(rate > 0)) throw new Error(`Invalid exchange rate for ${currency}`);
+  }
+
+  await db.$transaction(
+    normalized.map(({ currency, rate }) =>
+      db.exchangeRate.upsert({
+        where: { currency },
+        update: { rate },
+        create: { currency, rate },
+      })
+    )
+  );
+
+  revalidatePath("/dashboard");
+  revalidatePath("/settings");
+  return normalized.length;
+}
+
+
+export async function getCurrencySettings() {
+  try {
+    const user = await getUser();
+
+    const rates = await db.exchangeRate.findMany({
+      orderBy: { currency: "asc" },
+    });
+
+    return {
+      baseCurrency: user.baseCurrency,
+      isAdmin: isAdmin(user),
+      rates: rates.map((rate) => ({ ...rate, rate: rate.rate.toNumber() })),
+    };
+  } catch (error) {
+    console.error("Error fetching currency settings:", error);
+    throw error;
+  }
+}
+
+
+export async function updateBaseCurrency(currency) {
+  try {
+    const user = await getUser();
+
+    const rates = await getExchangeRates();
+    if (currency !== REFERENCE_CURRENCY && !rates[currency]) {
+      throw new Error(`No exchange rate available for ${currency}`);
+    }
+
+    await db.user.update({
+      where: { id: user.id },
+      data: { baseCurrency: currency },
+    });
+
+    revalidatePath("/dashboard");
+    revalidatePath("/settings");
+    return { success: true, data: { baseCurrency: currency } };
+  } catch (error) {
+    console.error("Error updating base currency:", error);
+    return { success: false, error: error.message };
+  }
+}
+
+
+export async function updateExchangeRates(rates) {
+  try {
+    const user = await getUser();
+    if (!isAdmin(user)) throw new Error("Only admins can change exchange rates");
+
+    const count = await saveExchangeRates(rates);
+    return { success: true, data: { count } };
+  } catch (error) {
+    console.error("Error updating exchange rates:", error);
+    return { success: false, error: error.message };
+  }
+}
+
+
+// Imports a CSV with "currency" and "rate" columns.
+export async function importExchangeRates(text) {
+  try {
+    const user = await getUser();
+    if (!isAdmin(user)) throw new Error("Only admins can change exchange rates");
+
+    const { headers, rows } = parseCSV(text);
+    const currencyIndex = headers.findIndex((h) => /currency|code/i.test(h));
+    const rateIndex = headers.findIndex((h) => /rate/i.test(h));
+    if (currencyIndex === -1 || rateIndex === -1) {
+      throw new Error('The file needs "currency" and "rate" columns');
+    }
+    if (rows.length === 0) throw new Error("The file has no rates");
+
+    const count = await saveExchangeRates(
+      rows.map((row) => ({
+        currency: row[currencyIndex],
+        rate: parseAmount(row[rateIndex]),
+      }))
+    );
+    return { success: true, data: { count } };
+  } catch (error) {
+    console.error("Error importing exchange rates:", error);
+    return { success: false, error: error.message };
+  }
+}
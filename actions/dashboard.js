@@ -3,6 +3,12 @@
 import { db } from "@/lib/prisma";
 import { auth } from "@clerk/nextjs/server";
 import { revalidatePath } from "next/cache";
+import { startOfDay } from "date-fns";
+import { getCurrencyConverter, getExchangeRates } from "@/lib/exchange-rates";
+import { REFERENCE_CURRENCY } from "@/lib/currency";
+import { isLiability } from "@/lib/account-types";
+import { getAccountAuditEntry, writeAuditLogs } from "@/lib/audit";
+import { getAvailableBalance, getPendingTotals } from "@/lib/balance";
 
 
 
@@ -23,9 +29,58 @@ const serializeTransaction = (obj) => {
         : Number(obj.amount);
   }
 
+  for (const key of ["openingBalance", "creditLimit", "principal", "interestRate"]) {
+    if (obj[key] !== undefined && obj[key] !== null) {
+      serialized[key] = Number(obj[key]);
+    }
+  }
+
   return serialized;
 };
 
+
+// Only the fields that belong to the account's type are kept; the rest are
+// cleared so switching types never leaves stale values behind.
+function getAccountTypeData(data) {
+  const number = (value) => {
+    if (value === undefined || value === null || value === "") return null;
+    const parsed = parseFloat(value);
+    if (isNaN(parsed) || parsed < 0) throw new Error("Invalid account details");
+    return parsed;
+  };
+  const integer = (value) => {
+    const parsed = number(value);
+    return parsed === null ? null : Math.round(parsed);
+  };
+
+  const fields = {
+    creditLimit: null,
+    statementDay: null,
+    dueDay: null,
+    principal: null,
+    interestRate: null,
+    termMonths: null,
+  };
+
+  if (data.type === "CREDIT_CARD") {
+    fields.creditLimit = number(data.creditLimit);
+    fields.statementDay = integer(data.statementDay);
+    fields.dueDay = integer(data.dueDay);
+    if (!fields.creditLimit) throw new Error("Credit limit is required");
+  }
+
+  if (data.type === "LOAN") {
+    fields.principal = number(data.principal);
+    fields.interestRate = number(data.interestRate);
+    fields.termMonths = integer(data.termMonths);
+    if (!fields.principal || fields.interestRate === null || !fields.termMonths) {
+      throw new Error("Principal, interest rate and term are required");
+    }
+  }
+
+  return fields;
+}
+
 export async function createAccount(data) {
 try {
     const { userId } = await auth();
@@ -39,11 +94,22 @@ try {
     }
 
 
-    const balanceFloat = parseFloat(data.balance)
+    let balanceFloat = parseFloat(data.balance)
     if(isNaN(balanceFloat)){
         throw new Error("Invalid balance amount");
     }
 
+    // Liabilities are entered as the amount owed and stored as negative.
+    if (isLiability(data.type)) {
+        balanceFloat = -Math.abs(balanceFloat);
+    }
+
+    const currency = data.currency || REFERENCE_CURRENCY;
+    const rates = await getExchangeRates();
+    if (currency !== REFERENCE_CURRENCY && !rates[currency]) {
+        throw new Error(`No exchange rate available for ${currency}`);
+    }
+
 const existingAccounts = await db.account.findMany({
     where: { userId: user.id },
 });
@@ -60,13 +126,28 @@ if(shouldBeDefault) {
 }
 
 
-const account = await db.account.create({
-    data: {
-        ...data,
-        balance: balanceFloat,
+const account = await db.$transaction(async (tx) => {
+    const newAccount = await tx.account.create({
+        data: {
+            name: data.name,
+            type: data.type,
+            ...getAccountTypeData(data),
+            currency,
+            balance: balanceFloat,
+            openingBalance: balanceFloat,
+            userId: user.id,
+            isDefault: shouldBeDefault,
+        },
+    });
+
+    // The opening balance is the account's first balance change.
+    await writeAuditLogs(tx, [getAccountAuditEntry("create", null, newAccount)], {
         userId: user.id,
-        isDefault: shouldBeDefault,
-    },
+        actorId: user.id,
+        source: "UI",
+    });
+
+    return newAccount;
 });
 
  const serializedAccount = serializeTransaction(account);
@@ -96,14 +177,31 @@ export async function getUserAccounts() {
         include: {
             _count: {
                 select: {
-                    transactions: true,
+                    transactions: { where: { deletedAt: null } },
                 },
             },
         },
     });
 
 
-    const serializedAccount = accounts.map(serializeTransaction);
+    const pendingTotals = getPendingTotals(
+        await db.transaction.findMany({
+            where: { userId: user.id, status: "PENDING", deletedAt: null },
+        })
+    );
+
+    // Balances are also given in the user's base currency so they can be
+    // totalled across accounts.
+    const convert = await getCurrencyConverter();
+    const serializedAccount = accounts.map((account) => {
+        const serialized = serializeTransaction(account);
+        return {
+            ...serialized,
+            ...getAvailableBalance(serialized.balance, pendingTotals[account.id]),
+            baseCurrency: user.baseCurrency,
+            baseBalance: convert(serialized.balance, account.currency, user.baseCurrency),
+        };
+    });
 
     return serializedAccount;
 }
@@ -112,7 +210,7 @@ export async function getDashboardData() {
     const { userId } = await auth();
     if (!userId) throw new Error("Unauthorized");
 
-    const user = await db.user.findMany({
+    const user = await db.user.findUnique({
         where: { clerkUserId: userId },
     });
 
@@ -121,9 +219,95 @@ export async function getDashboardData() {
     }
 
     const transactions = await db.transaction.findMany({
-        where: { userId: user.id },
+        where: { userId: user.id, deletedAt: null },
+        include: { account: { select: { currency: true } }, splits: true },
         orderBy: { date: "desc" },
     });
 
-    return transactions.map(serializeTransaction);
-}
\ No newline at end of file
+    // Amounts stay in the account's currency; baseAmount is the same value in
+    // the user's base currency for cross-account totals.
+    const convert = await getCurrencyConverter();
+    return transactions.map(({ account, ...transaction }) => {
+        const serialized = serializeTransaction(transaction);
+        return {
+            ...serialized,
+            transferAmount: transaction.transferAmount
+                ? transaction.transferAmount.toNumber()
+                : null,
+            splits: transaction.splits.map((split) => ({
+                ...split,
+                amount: split.amount.toNumber(),
+            })),
+            currency: account.currency,
+            baseCurrency: user.baseCurrency,
+            baseAmount: convert(serialized.amount, account.currency, user.baseCurrency),
+        };
+    });
+}
+
+// Daily net worth history in the user's base currency, one row per day with
+// a value per account. Past balances are converted at today's rates.
+export async function getNetWorthHistory() {
+    const { userId } = await auth();
+    if (!userId) throw new Error("Unauthorized");
+
+    const user = await db.user.findUnique({
+        where: { clerkUserId: userId },
+    });
+
+    if (!user) {
+        throw new Error("User not found");
+    }
+
+    const [accounts, snapshots, convert] = await Promise.all([
+        db.account.findMany({
+            where: { userId: user.id },
+            orderBy: { createdAt: "asc" },
+        }),
+        db.accountSnapshot.findMany({
+            where: { userId: user.id },
+            orderBy: { date: "asc" },
+        }),
+        getCurrencyConverter(),
+    ]);
+
+    const currencies = Object.fromEntries(accounts.map((a) => [a.id, a.currency]));
+    const emptyRow = (date) => ({
+        date: date.toISOString(),
+        ...Object.fromEntries(accounts.map((a) => [a.id, 0])),
+    });
+
+    const todayStart = startOfDay(new Date());
+    const rows = new Map();
+    for (const snapshot of snapshots) {
+        if (snapshot.date >= todayStart) continue;
+        const key = snapshot.date.toISOString();
+        if (!rows.has(key)) rows.set(key, emptyRow(snapshot.date));
+        rows.get(key)[snapshot.accountId] = convert(
+            snapshot.balance.toNumber(),
+            currencies[snapshot.accountId],
+            user.baseCurrency
+        );
+    }
+
+    // Always end on the current balances, even before today's snapshot.
+    const today = emptyRow(todayStart);
+    for (const account of accounts) {
+        today[account.id] = convert(
+            account.balance.toNumber(),
+            account.currency,
+            user.baseCurrency
+        );
+    }
+
+    const history = [...rows.values(), today].map((row) => ({
+        ...row,
+        netWorth: accounts.reduce((sum, a) => sum + row[a.id], 0),
+    }));
+
+    return {
+        baseCurrency: user.baseCurrency,
+        accounts: accounts.map(({ id, name, type }) => ({ id, name, type })),
+        history,
+    };
+}
@@ -0,0 +1,81 @@
+"use server";
+
+import { auth } from "@clerk/nextjs/server";
+import { db } from "@/lib/prisma";
+import { format as formatDate } from "date-fns";
+import { getTransactionWhere } from "@/lib/transaction-filters";
+import {
+  EXPORT_FORMATS,
+  toExportJSON,
+  transactionsToCSV,
+  transactionsToOFX,
+} from "@/lib/export";
+
+
+// options: { format: "csv" | "json" | "ofx", accountId?, ...filters } where
+// filters are the TransactionTable filters (see lib/transaction-filters).
+// Without accountId every account is exported.
+export async function exportData(options = {}) {
+  try {
+    const { userId } = await auth();
+    if (!userId) throw new Error("Unauthorized");
+
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
+    });
+    if (!user) throw new Error("User not found");
+
+    const { format = "csv", ...filters } = options;
+    const exportFormat = EXPORT_FORMATS[format];
+    if (!exportFormat) throw new Error("Unsupported export format");
+
+    const accounts = await db.account.findMany({
+      where: {
+        userId: user.id,
+        ...(filters.accountId && { id: filters.accountId }),
+      },
+      orderBy: { createdAt: "asc" },
+    });
+    if (filters.accountId && accounts.length === 0) {
+      throw new Error("Account not found");
+    }
+
+    const transactions = await db.transaction.findMany({
+      where: { userId: user.id, ...getTransactionWhere(filters) },
+      include: { splits: true, tags: true },
+      orderBy: { date: "desc" },
+    });
+
+    // Transfers reference accounts outside a single-account export.
+    const allAccounts = filters.accountId
+      ? await db.account.findMany({ where: { userId: user.id } })
+      : accounts;
+
+    let content;
+    if (format === "json") {
+      const budgets = await db.budget.findMany({
+        where: { userId: user.id },
+      });
+      content = toExportJSON({ accounts, budgets, transactions, filters });
+    } else if (format === "ofx") {
+      content = transactionsToOFX(transactions, accounts);
+    } else {
+      content = transactionsToCSV(transactions, allAccounts);
+    }
+
+    const scope = accounts.length === 1 && filters.accountId
+      ? accounts[0].name.replace(/[^\w-]+/g, "-").toLowerCase()
+      : "all-accounts";
+
+    return {
+      success: true,
+      data: {
+        fileName: `cashvault-${scope}-${formatDate(new Date(), "yyyy-MM-dd")}.${exportFormat.extension}`,
+        contentType: exportFormat.contentType,
+        content,
+      },
+    };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
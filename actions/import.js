@@ -0,0 +1,219 @@
+"use server";
+
+import { auth } from "@clerk/nextjs/server";
+import { db } from "@/lib/prisma";
+import { revalidatePath } from "next/cache";
+import { format } from "date-fns";
+import { transactionSchema } from "@/app/lib/schema";
+import {
+  applyBalanceChanges,
+  getAccountAmount,
+  getBalanceChanges,
+  mergeBalanceChanges,
+} from "@/lib/balance";
+import { applyRules, getRuleContext } from "@/lib/rules";
+import { connectTags, normalizeTagNames } from "@/lib/tags";
+import { getTransactionAuditEntry, writeAuditLogs } from "@/lib/audit";
+import { getCategories } from "@/actions/categories";
+
+
+const duplicateKey = (date, signedAmount, description) =>
+  [
+    format(new Date(date), "yyyy-MM-dd"),
+    signedAmount.toFixed(2),
+    (description || "").trim().toLowerCase(),
+  ].join("|");
+
+const signedAmount = (row) => (row.type === "EXPENSE" ? -row.amount : row.amount);
+
+
+async function getImportAccount(accountId) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+  if (!user) throw new Error("User not found");
+
+  const account = await db.account.findUnique({
+    where: { id: accountId, userId: user.id },
+  });
+  if (!account) throw new Error("Account not found");
+
+  return { user, account };
+}
+
+
+// Returns, for each row, whether the account already has a transaction on the
+// same day with the same signed amount and description. Descriptions are also
+// compared after rules rewrite them, as earlier imports were saved that way.
+export async function findDuplicateTransactions(accountId, rows) {
+  try {
+    const { user, account } = await getImportAccount(accountId);
+    const { rules, categoryLookup } = await getRuleContext(user.id);
+
+    const dates = rows.map((row) => new Date(row.date).getTime());
+    if (dates.length === 0) return { success: true, data: [] };
+
+    const minDate = new Date(Math.min(...dates));
+    const maxDate = new Date(Math.max(...dates));
+    minDate.setHours(0, 0, 0, 0);
+    maxDate.setHours(23, 59, 59, 999);
+
+    const existing = await db.transaction.findMany({
+      where: {
+        OR: [{ accountId: account.id }, { transferAccountId: account.id }],
+        date: { gte: minDate, lte: maxDate },
+        deletedAt: null,
+      },
+    });
+
+    const existingKeys = new Set(
+      existing.map((t) =>
+        duplicateKey(t.date, getAccountAmount(t, account.id), t.description)
+      )
+    );
+
+    return {
+      success: true,
+      data: rows.map((row) => {
+        const { description = row.description } = applyRules(
+          rules,
+          { ...row, accountId: account.id },
+          categoryLookup
+        );
+
+        return [row.description, description].some((text) =>
+          existingKeys.has(duplicateKey(row.date, signedAmount(row), text))
+        );
+      }),
+    };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+
+// Runs the user's rules over statement rows, returning for each row the
+// category, subcategory, description and tags they set (if any).
+export async function applyImportRules(accountId, rows) {
+  try {
+    const { user, account } = await getImportAccount(accountId);
+    const { rules, categoryLookup } = await getRuleContext(user.id);
+
+    return {
+      success: true,
+      data: rows.map((row) =>
+        applyRules(rules, { ...row, accountId: account.id }, categoryLookup)
+      ),
+    };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+
+// Rows are checked and run through the user's rules again here, as they do
+// not have to come from the preview: rules rewrite descriptions and add tags
+// as they do for a new transaction, and fill in the category of rows that
+// have none. Every category must be one of the user's for the row's type.
+export async function importTransactions(accountId, rows) {
+  try {
+    const { user, account } = await getImportAccount(accountId);
+    const { rules, categoryLookup } = await getRuleContext(user.id);
+
+    const categories = await getCategories();
+    const categorySlugs = Object.fromEntries(categories.map((c) => [c.id, c.slug]));
+    const topCategories = Object.fromEntries(
+      categories.filter((c) => !c.parentId).map((c) => [c.slug, c])
+    );
+    // Subcategories are kept only while they still belong to the row's
+    // category, which may have been changed in the preview.
+    const subcategoryParents = Object.fromEntries(
+      categories.filter((c) => c.parentId).map((c) => [c.slug, categorySlugs[c.parentId]])
+    );
+
+    const transactions = rows.map((row, index) => {
+      const {
+        category: ruleCategory,
+        subcategory: ruleSubcategory,
+        tags: ruleTags = [],
+        ...ruleChanges
+      } = applyRules(rules, { ...row, accountId: account.id }, categoryLookup);
+
+      const category =
+        row.category ||
+        ruleCategory ||
+        (row.type === "INCOME" ? "other-income" : "other-expense");
+      if (topCategories[category]?.type !== row.type) {
+        throw new Error(`Row ${index + 1}: Unknown category "${category}"`);
+      }
+
+      const parsed = transactionSchema.safeParse({
+        type: row.type,
+        amount: String(row.amount),
+        description: ruleChanges.description ?? (row.description || ""),
+        date: new Date(row.date),
+        accountId: account.id,
+        category,
+        subcategory: (row.category ? row.subcategory : ruleSubcategory) || undefined,
+        isRecurring: false,
+      });
+
+      if (!parsed.success) {
+        throw new Error(
+          `Row ${index + 1}: ${parsed.error.issues[0]?.message || "Invalid row"}`
+        );
+      }
+
+      const { subcategory, ...data } = parsed.data;
+
+      return {
+        ...data,
+        subcategory:
+          subcategoryParents[subcategory] === data.category ? subcategory : null,
+        amount: parseFloat(data.amount),
+        userId: user.id,
+        tags: normalizeTagNames([...normalizeTagNames(row.tags), ...ruleTags]),
+      };
+    });
+
+    if (transactions.length === 0) throw new Error("No rows to import");
+
+    await db.$transaction(async (tx) => {
+      // createManyAndReturn cannot attach tags, so tagged rows are created
+      // one by one.
+      const created = await tx.transaction.createManyAndReturn({
+        data: transactions
+          .filter(({ tags }) => tags.length === 0)
+          .map(({ tags, ...transaction }) => transaction),
+      });
+      for (const { tags, ...transaction } of transactions) {
+        if (tags.length === 0) continue;
+        created.push(
+          await tx.transaction.create({
+            data: { ...transaction, tags: connectTags(user.id, tags) },
+          })
+        );
+      }
+
+      await applyBalanceChanges(
+        tx,
+        mergeBalanceChanges(...created.map(getBalanceChanges))
+      );
+      await writeAuditLogs(
+        tx,
+        created.map((transaction) => getTransactionAuditEntry("create", null, transaction)),
+        { userId: user.id, actorId: user.id, source: "IMPORT" }
+      );
+    });
+
+    revalidatePath("/dashboard");
+    revalidatePath(`/account/${account.id}`);
+
+    return { success: true, data: { count: transactions.length } };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
@@ -0,0 +1,216 @@
+"use server";
+
+import { db } from "@/lib/prisma";
+import { auth } from "@clerk/nextjs/server";
+import { revalidatePath } from "next/cache";
+import { endOfDay } from "date-fns";
+import { getBalanceReport, getClearedBalance } from "@/lib/reconciliation";
+import { getAccountAuditEntry, writeAuditLogs } from "@/lib/audit";
+import { toCents } from "@/lib/splits";
+
+
+async function getUser() {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+  if (!user) throw new Error("User not found");
+
+  return user;
+}
+
+
+async function getAccount(user, accountId) {
+  const account = await db.account.findUnique({
+    where: { id: accountId, userId: user.id },
+  });
+  if (!account) throw new Error("Account not found");
+
+  return account;
+}
+
+
+function parseStatementDate(value) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) throw new Error("Invalid statement date");
+
+  return date;
+}
+
+
+// What a reconciliation against a statement dated `statementDate` needs:
+// the account's completed transactions up to that date that still need
+// matching (not cleared, or cleared since the last finished reconciliation)
+// and the cleared balance so far. Pending and failed transactions do not
+// move the balance, so they are not offered for clearing.
+export async function getReconciliationData(accountId, statementDate) {
+  try {
+    const user = await getUser();
+    const account = await getAccount(user, accountId);
+    const date = parseStatementDate(statementDate);
+
+    const lastReconciliation = await db.reconciliation.findFirst({
+      where: { accountId: account.id },
+      orderBy: { statementDate: "desc" },
+    });
+
+    const transactions = await db.transaction.findMany({
+      where: {
+        OR: [{ accountId: account.id }, { transferAccountId: account.id }],
+        deletedAt: null,
+        status: "COMPLETED",
+        date: { lte: endOfDay(date) },
+        ...(lastReconciliation && {
+          AND: [
+            {
+              OR: [
+                { cleared: false },
+                { date: { gt: endOfDay(lastReconciliation.statementDate) } },
+              ],
+            },
+          ],
+        }),
+      },
+      orderBy: [{ date: "asc" }, { createdAt: "asc" }],
+    });
+
+    return {
+      success: true,
+      data: {
+        transactions: transactions.map((t) => ({
+          ...t,
+          amount: t.amount.toNumber(),
+          transferAmount: t.transferAmount ? t.transferAmount.toNumber() : null,
+        })),
+        clearedBalance: await getClearedBalance(account, date),
+        lastReconciliation: lastReconciliation && {
+          ...lastReconciliation,
+          statementBalance: lastReconciliation.statementBalance.toNumber(),
+        },
+      },
+    };
+  } catch (error) {
+    console.error("Error loading reconciliation:", error);
+    return { success: false, error: error.message };
+  }
+}
+
+
+export async function setTransactionsCleared(transactionIds, cleared) {
+  try {
+    const user = await getUser();
+
+    const { count } = await db.transaction.updateMany({
+      where: { id: { in: transactionIds }, userId: user.id, deletedAt: null },
+      data: { cleared: !!cleared },
+    });
+
+    return { success: true, data: { count } };
+  } catch (error) {
+    console.error("Error updating cleared transactions:", error);
+    return { success: false, error: error.message };
+  }
+}
+
+
+// Only a statement whose balance matches the cleared balance exactly can be
+// finished.
+export async function finishReconciliation(accountId, { statementDate, statementBalance }) {
+  try {
+    const user = await getUser();
+    const account = await getAccount(user, accountId);
+    const date = parseStatementDate(statementDate);
+
+    const balance = parseFloat(statementBalance);
+    if (isNaN(balance)) throw new Error("Invalid statement balance");
+
+    const clearedBalance = await getClearedBalance(account, date);
+    const difference = (toCents(balance) - toCents(clearedBalance)) / 100;
+    if (difference !== 0) {
+      throw new Error(`The cleared balance is off by ${difference.toFixed(2)}`);
+    }
+
+    const clearedCount = await db.transaction.count({
+      where: {
+        OR: [{ accountId: account.id }, { transferAccountId: account.id }],
+        deletedAt: null,
+        status: "COMPLETED",
+        cleared: true,
+        date: { lte: endOfDay(date) },
+      },
+    });
+
+    const reconciliation = await db.reconciliation.create({
+      data: {
+        statementDate: date,
+        statementBalance: balance,
+        clearedCount,
+        userId: user.id,
+        accountId: account.id,
+      },
+    });
+
+    revalidatePath(`/account/${account.id}`);
+    return {
+      success: true,
+      data: { ...reconciliation, statementBalance: balance },
+    };
+  } catch (error) {
+    console.error("Error finishing reconciliation:", error);
+    return { success: false, error: error.message };
+  }
+}
+
+
+export async function checkAccountBalance(accountId) {
+  try {
+    const user = await getUser();
+    const account = await getAccount(user, accountId);
+
+    return { success: true, data: await getBalanceReport(account) };
+  } catch (error) {
+    console.error("Error checking account balance:", error);
+    return { success: false, error: error.message };
+  }
+}
+
+
+// Rebuilds the stored balance from the opening balance and the ledger and
+// returns the report it was based on. The account row stays locked from the
+// ledger sum to the write, so a transaction saved in between waits and then
+// applies its change on top of the rebuilt balance instead of being lost.
+export async function recomputeAccountBalance(accountId) {
+  try {
+    const user = await getUser();
+    await getAccount(user, accountId);
+
+    const report = await db.$transaction(async (tx) => {
+      await tx.$queryRaw`SELECT "id" FROM "public"."accounts" WHERE "id" = ${accountId} FOR UPDATE`;
+      const account = await tx.account.findUnique({ where: { id: accountId } });
+      const report = await getBalanceReport(account, tx);
+      if (report.difference === 0) return report;
+
+      const updated = await tx.account.update({
+        where: { id: account.id },
+        data: { balance: report.computedBalance },
+      });
+
+      await writeAuditLogs(tx, [getAccountAuditEntry("recompute", account, updated)], {
+        userId: user.id,
+        actorId: user.id,
+        source: "UI",
+      });
+
+      return report;
+    });
+
+    revalidatePath("/dashboard");
+    revalidatePath(`/account/${accountId}`);
+    return { success: true, data: report };
+  } catch (error) {
+    console.error("Error recomputing account balance:", error);
+    return { success: false, error: error.message };
+  }
+}
@@ -0,0 +1,186 @@
+"use server";
+
+import { db } from "@/lib/prisma";
+import { auth } from "@clerk/nextjs/server";
+import { revalidatePath } from "next/cache";
+import { max, startOfDay } from "date-fns";
+import {
+  BILL_REMINDER_DAYS,
+  getNextRecurringDate,
+  getNextRecurringDateFromToday,
+} from "@/lib/recurring";
+
+
+async function getUser() {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+  if (!user) throw new Error("User not found");
+
+  return user;
+}
+
+
+async function getTemplate(user, id) {
+  const template = await db.transaction.findUnique({
+    where: { id, userId: user.id, deletedAt: null, isRecurring: true },
+  });
+  if (!template) throw new Error("Recurring transaction not found");
+
+  return template;
+}
+
+
+const serializeTemplate = (template) => ({
+  ...template,
+  amount: template.amount.toNumber(),
+  transferAmount: template.transferAmount ? template.transferAmount.toNumber() : null,
+});
+
+
+function revalidateRecurringPaths(template) {
+  revalidatePath("/recurring");
+  revalidatePath(`/account/${template.accountId}`);
+}
+
+
+// Every recurring template of the user, paused and ended ones included.
+export async function getRecurringTransactions() {
+  try {
+    const user = await getUser();
+
+    const templates = await db.transaction.findMany({
+      where: { userId: user.id, isRecurring: true, deletedAt: null },
+      include: {
+        account: { select: { name: true, currency: true } },
+        transferAccount: { select: { name: true } },
+      },
+      orderBy: [{ nextRecurringDate: { sort: "asc", nulls: "last" } }, { createdAt: "asc" }],
+    });
+
+    return templates.map(serializeTemplate);
+  } catch (error) {
+    console.error("Error fetching recurring transactions:", error);
+    throw error;
+  }
+}
+
+
+// Paused templates post nothing. Resuming carries on from today, skipping the
+// occurrences that fell due while the template was paused.
+export async function setRecurringPaused(id, paused) {
+  try {
+    const user = await getUser();
+    const template = await getTemplate(user, id);
+
+    const updated = await db.transaction.update({
+      where: { id: template.id },
+      data: paused
+        ? { recurringPausedAt: new Date() }
+        : {
+            recurringPausedAt: null,
+            nextRecurringDate: getNextRecurringDateFromToday(
+              template,
+              template.lastProcessed || template.date
+            ),
+          },
+    });
+
+    revalidateRecurringPaths(template);
+    return { success: true, data: serializeTemplate(updated) };
+  } catch (error) {
+    console.error("Error pausing recurring transaction:", error);
+    return { success: false, error: error.message };
+  }
+}
+
+
+// Moves the template on to the occurrence after its next one, which is then
+// never posted. A skipped occurrence still counts towards the schedule's
+// number of occurrences, so a schedule limited to N ends on the same date.
+export async function skipNextOccurrence(id) {
+  try {
+    const user = await getUser();
+    const template = await getTemplate(user, id);
+    if (!template.nextRecurringDate) throw new Error("This schedule has ended");
+
+    const recurringCount = template.recurringCount + 1;
+    const updated = await db.transaction.update({
+      where: { id: template.id },
+      data: {
+        recurringCount,
+        nextRecurringDate: getNextRecurringDate(
+          { ...template, recurringCount },
+          template.nextRecurringDate
+        ),
+      },
+    });
+
+    revalidateRecurringPaths(template);
+    return { success: true, data: serializeTemplate(updated) };
+  } catch (error) {
+    console.error("Error skipping recurring occurrence:", error);
+    return { success: false, error: error.message };
+  }
+}
+
+
+// Ends the schedule today. The template and what it already posted stay.
+export async function endRecurringTransaction(id) {
+  try {
+    const user = await getUser();
+    const template = await getTemplate(user, id);
+
+    const updated = await db.transaction.update({
+      where: { id: template.id },
+      data: {
+        recurringEndDate: max([startOfDay(new Date()), startOfDay(template.date)]),
+        recurringPausedAt: null,
+        nextRecurringDate: null,
+      },
+    });
+
+    revalidateRecurringPaths(template);
+    return { success: true, data: serializeTemplate(updated) };
+  } catch (error) {
+    console.error("Error ending recurring transaction:", error);
+    return { success: false, error: error.message };
+  }
+}
+
+
+export async function getBillReminderDays() {
+  try {
+    const user = await getUser();
+    return user.billReminderDays;
+  } catch (error) {
+    console.error("Error fetching bill reminder settings:", error);
+    throw error;
+  }
+}
+
+
+// How many days ahead the upcoming bills email looks; 0 turns it off.
+export async function updateBillReminderDays(days) {
+  try {
+    const user = await getUser();
+
+    const value = Number(days);
+    if (!BILL_REMINDER_DAYS.includes(value)) throw new Error("Invalid reminder window");
+
+    await db.user.update({
+      where: { id: user.id },
+      // A new window starts a new series of digests.
+      data: { billReminderDays: value, billRemindersSentAt: null },
+    });
+
+    revalidatePath("/settings");
+    return { success: true, data: { billReminderDays: value } };
+  } catch (error) {
+    console.error("Error updating bill reminder settings:", error);
+    return { success: false, error: error.message };
+  }
+}
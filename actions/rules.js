@@ -0,0 +1,286 @@
+"use server";
+
+import { db } from "@/lib/prisma";
+import { auth } from "@clerk/nextjs/server";
+import { revalidatePath } from "next/cache";
+import { applyRules, getRuleContext, getRuleRegex, hasRuleCondition } from "@/lib/rules";
+import { connectTags, normalizeTagNames } from "@/lib/tags";
+
+
+async function getUser() {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+  if (!user) throw new Error("User not found");
+
+  return user;
+}
+
+
+const serializeRule = (rule) => ({
+  ...rule,
+  minAmount: rule.minAmount ? rule.minAmount.toNumber() : null,
+  maxAmount: rule.maxAmount ? rule.maxAmount.toNumber() : null,
+});
+
+
+const optionalText = (value) => (value ? String(value).trim() || null : null);
+
+const optionalAmount = (value, label) => {
+  if (value === undefined || value === null || value === "") return null;
+  const amount = parseFloat(value);
+  if (isNaN(amount) || amount < 0) throw new Error(`${label} must be a positive number`);
+  return amount;
+};
+
+
+// Validates a rule from the settings form. Categories and accounts must be the
+// user's own, and a rule needs at least one condition and one action.
+async function getRuleFields(data, userId) {
+  const fields = {
+    name: optionalText(data.name),
+    priority: parseInt(data.priority, 10) || 0,
+    enabled: data.enabled ?? true,
+    descriptionContains: optionalText(data.descriptionContains),
+    descriptionRegex: optionalText(data.descriptionRegex),
+    merchant: optionalText(data.merchant),
+    minAmount: optionalAmount(data.minAmount, "Minimum amount"),
+    maxAmount: optionalAmount(data.maxAmount, "Maximum amount"),
+    accountId: data.accountId || null,
+    category: data.category || null,
+    subcategory: data.subcategory || null,
+    setDescription: optionalText(data.setDescription),
+    tags: normalizeTagNames(data.tags),
+  };
+
+  if (!fields.name) throw new Error("Rule name is required");
+  if (fields.descriptionRegex) {
+    if (fields.descriptionRegex.length > 200 || !getRuleRegex(fields.descriptionRegex)) {
+      throw new Error("Invalid regular expression");
+    }
+  }
+  if (
+    fields.minAmount !== null &&
+    fields.maxAmount !== null &&
+    fields.minAmount > fields.maxAmount
+  ) {
+    throw new Error("Minimum amount cannot exceed the maximum amount");
+  }
+  if (!hasRuleCondition(fields)) throw new Error("Add at least one condition");
+  if (!fields.category && !fields.setDescription && fields.tags.length === 0) {
+    throw new Error("Add at least one action");
+  }
+
+  if (fields.accountId) {
+    const account = await db.account.findUnique({
+      where: { id: fields.accountId, userId },
+    });
+    if (!account) throw new Error("Account not found");
+  }
+
+  if (fields.category) {
+    const category = await db.category.findFirst({
+      where: { userId, slug: fields.category, parentId: null },
+    });
+    if (!category) throw new Error("Category not found");
+  }
+  if (fields.subcategory) {
+    const subcategory = await db.category.findFirst({
+      where: { userId, slug: fields.subcategory, parent: { slug: fields.category } },
+    });
+    if (!subcategory) throw new Error("Subcategory does not belong to the category");
+  }
+
+  return fields;
+}
+
+
+function revalidateRulePaths() {
+  revalidatePath("/settings");
+}
+
+
+export async function getRules() {
+  try {
+    const user = await getUser();
+
+    const rules = await db.transactionRule.findMany({
+      where: { userId: user.id },
+      orderBy: [{ priority: "asc" }, { createdAt: "asc" }],
+    });
+
+    return rules.map(serializeRule);
+  } catch (error) {
+    console.error("Error fetching rules:", error);
+    throw error;
+  }
+}
+
+
+export async function createRule(data) {
+  try {
+    const user = await getUser();
+
+    const rule = await db.transactionRule.create({
+      data: { ...(await getRuleFields(data, user.id)), userId: user.id },
+    });
+
+    revalidateRulePaths();
+    return { success: true, data: serializeRule(rule) };
+  } catch (error) {
+    console.error("Error creating rule:", error);
+    return { success: false, error: error.message };
+  }
+}
+
+
+export async function updateRule(id, data) {
+  try {
+    const user = await getUser();
+
+    const rule = await db.transactionRule.update({
+      where: { id, userId: user.id },
+      data: await getRuleFields(data, user.id),
+    });
+
+    revalidateRulePaths();
+    return { success: true, data: serializeRule(rule) };
+  } catch (error) {
+    console.error("Error updating rule:", error);
+    return { success: false, error: error.message };
+  }
+}
+
+
+export async function toggleRule(id, enabled) {
+  try {
+    const user = await getUser();
+
+    const rule = await db.transactionRule.update({
+      where: { id, userId: user.id },
+      data: { enabled: !!enabled },
+    });
+
+    revalidateRulePaths();
+    return { success: true, data: serializeRule(rule) };
+  } catch (error) {
+    console.error("Error toggling rule:", error);
+    return { success: false, error: error.message };
+  }
+}
+
+
+export async function deleteRule(id) {
+  try {
+    const user = await getUser();
+
+    await db.transactionRule.delete({
+      where: { id, userId: user.id },
+    });
+
+    revalidateRulePaths();
+    return { success: true };
+  } catch (error) {
+    console.error("Error deleting rule:", error);
+    return { success: false, error: error.message };
+  }
+}
+
+
+// What re-applying the rules would change on the account's transactions (or
+// just `transactionIds`). Unlike new transactions, existing ones have their
+// category replaced by a matching rule's, unless they are split.
+async function getRuleChanges(userId, accountId, transactionIds) {
+  const { rules, categoryLookup } = await getRuleContext(userId);
+
+  const transactions = await db.transaction.findMany({
+    where: {
+      userId,
+      accountId,
+      type: { not: "TRANSFER" },
+      deletedAt: null,
+      ...(transactionIds?.length && { id: { in: transactionIds } }),
+    },
+    include: { tags: true, splits: true },
+    orderBy: { date: "desc" },
+  });
+
+  return transactions.flatMap((transaction) => {
+    const result = applyRules(rules, transaction, categoryLookup);
+    if (transaction.splits.length > 0) delete result.category;
+    const before = {
+      category: transaction.category,
+      subcategory: transaction.subcategory,
+      description: transaction.description || "",
+      tags: transaction.tags.map((tag) => tag.name),
+    };
+    const after = {
+      category: result.category ?? before.category,
+      subcategory: result.category ? result.subcategory : before.subcategory,
+      description: result.description ?? before.description,
+      tags: [...new Set([...before.tags, ...(result.tags || [])])],
+    };
+
+    const changed =
+      after.category !== before.category ||
+      after.subcategory !== before.subcategory ||
+      after.description !== before.description ||
+      after.tags.length !== before.tags.length;
+    if (!changed) return [];
+
+    return [{
+      id: transaction.id,
+      date: transaction.date,
+      type: transaction.type,
+      amount: transaction.amount.toNumber(),
+      before,
+      after,
+    }];
+  });
+}
+
+
+export async function previewRuleChanges(accountId, transactionIds = []) {
+  try {
+    const user = await getUser();
+    const changes = await getRuleChanges(user.id, accountId, transactionIds);
+
+    return { success: true, data: changes };
+  } catch (error) {
+    console.error("Error previewing rule changes:", error);
+    return { success: false, error: error.message };
+  }
+}
+
+
+export async function applyRuleChanges(accountId, transactionIds = []) {
+  try {
+    const user = await getUser();
+    const changes = await getRuleChanges(user.id, accountId, transactionIds);
+
+    await db.$transaction(
+      changes.map(({ id, after }) =>
+        db.transaction.update({
+          where: { id, userId: user.id },
+          data: {
+            category: after.category,
+            subcategory: after.subcategory,
+            description: after.description,
+            tags: connectTags(user.id, after.tags),
+          },
+        })
+      )
+    );
+
+    revalidatePath("/dashboard");
+    revalidatePath(`/account/${accountId}`);
+
+    return { success: true, data: { count: changes.length } };
+  } catch (error) {
+    console.error("Error applying rules:", error);
+    return { success: false, error: error.message };
+  }
+}
@@ -2,6 +2,7 @@
 
 import { db } from "@/lib/prisma";
 import { subDays } from "date-fns";
+import { getAccountAuditEntry, writeAuditLogs } from "@/lib/audit";
 
 const ACCOUNT_ID = "15af085a-eff0-4c93-9882-6ba56a8d26f5";
 const USER_ID = "20c3decc-c22e-4821-8ed4-32a723d2c0ad";
@@ -81,6 +82,10 @@ export async function seedTransactions() {
 
     // Insert transactions in batches and update account balance
     await db.$transaction(async (tx) => {
+      const account = await tx.account.findUnique({
+        where: { id: ACCOUNT_ID },
+      });
+
       // Clear existing transactions
       await tx.transaction.deleteMany({
         where: { accountId: ACCOUNT_ID },
@@ -92,9 +97,14 @@ export async function seedTransactions() {
       });
 
       // Update account balance
-      await tx.account.update({
+      const seeded = await tx.account.update({
         where: { id: ACCOUNT_ID },
-        data: { balance: totalBalance },
+        data: { balance: totalBalance, openingBalance: 0 },
+      });
+
+      await writeAuditLogs(tx, [getAccountAuditEntry("seed", account, seeded)], {
+        userId: USER_ID,
+        source: "SEED",
       });
     });
 
@@ -0,0 +1,142 @@
+"use server";
+
+import { db } from "@/lib/prisma";
+import { auth } from "@clerk/nextjs/server";
+import { revalidatePath } from "next/cache";
+import { refreshSubscriptions } from "@/lib/subscriptions";
+import { getNextRecurringDateFromToday } from "@/lib/recurring";
+import { getTransactionAuditEntry, writeAuditLogs } from "@/lib/audit";
+
+
+async function getUser() {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+  if (!user) throw new Error("User not found");
+
+  return user;
+}
+
+
+const serializeSubscription = (subscription) => ({
+  ...subscription,
+  amount: subscription.amount.toNumber(),
+  previousAmount: subscription.previousAmount ? subscription.previousAmount.toNumber() : null,
+  monthlyCost: subscription.monthlyCost.toNumber(),
+});
+
+
+// Suggested and converted subscriptions, most expensive first.
+export async function getSubscriptions() {
+  try {
+    const user = await getUser();
+
+    const subscriptions = await db.subscription.findMany({
+      where: { userId: user.id, status: { not: "DISMISSED" } },
+      include: { account: { select: { name: true, currency: true } } },
+      orderBy: { monthlyCost: "desc" },
+    });
+
+    return subscriptions.map(serializeSubscription);
+  } catch (error) {
+    console.error("Error fetching subscriptions:", error);
+    throw error;
+  }
+}
+
+
+// Runs detection now instead of waiting for the weekly job. Price changes
+// found this way are shown on the page rather than emailed.
+export async function scanSubscriptions() {
+  try {
+    const user = await getUser();
+    const { detected } = await refreshSubscriptions(user.id);
+
+    revalidatePath("/recurring");
+    return { success: true, data: { detected } };
+  } catch (error) {
+    console.error("Error scanning subscriptions:", error);
+    return { success: false, error: error.message };
+  }
+}
+
+
+export async function dismissSubscription(id) {
+  try {
+    const user = await getUser();
+
+    await db.subscription.update({
+      where: { id, userId: user.id },
+      data: { status: "DISMISSED" },
+    });
+
+    revalidatePath("/recurring");
+    return { success: true };
+  } catch (error) {
+    console.error("Error dismissing subscription:", error);
+    return { success: false, error: error.message };
+  }
+}
+
+
+// Makes the latest charge of a suggestion its recurring template, so the
+// charge already in the ledger is not posted twice. The template starts
+// posting from the next charge due from today.
+export async function convertSubscription(id) {
+  try {
+    const user = await getUser();
+
+    const subscription = await db.subscription.findUnique({
+      where: { id, userId: user.id, status: "SUGGESTED" },
+    });
+    if (!subscription) throw new Error("Subscription not found");
+
+    const charge = await db.transaction.findUnique({
+      where: { id: subscription.lastTransactionId, userId: user.id, deletedAt: null },
+    });
+    if (!charge || charge.isRecurring) {
+      throw new Error("The latest charge has changed, scan again");
+    }
+
+    const schedule = {
+      isRecurring: true,
+      recurringInterval: subscription.interval,
+      recurringEvery: 1,
+      recurringDayOfMonth: null,
+      recurringEndDate: null,
+      recurringMaxCount: null,
+    };
+
+    const template = await db.$transaction(async (tx) => {
+      const updated = await tx.transaction.update({
+        where: { id: charge.id },
+        data: {
+          ...schedule,
+          nextRecurringDate: getNextRecurringDateFromToday({ ...charge, ...schedule }, charge.date),
+        },
+      });
+
+      await tx.subscription.update({
+        where: { id: subscription.id },
+        data: { status: "CONVERTED", templateId: updated.id },
+      });
+      await writeAuditLogs(tx, [getTransactionAuditEntry("update", charge, updated)], {
+        userId: user.id,
+        actorId: user.id,
+        source: "UI",
+      });
+
+      return updated;
+    });
+
+    revalidatePath("/recurring");
+    revalidatePath(`/account/${template.accountId}`);
+    return { success: true, data: { templateId: template.id } };
+  } catch (error) {
+    console.error("Error converting subscription:", error);
+    return { success: false, error: error.message };
+  }
+}
@@ -0,0 +1,99 @@
+"use server";
+
+import { db } from "@/lib/prisma";
+import { auth } from "@clerk/nextjs/server";
+import { revalidatePath } from "next/cache";
+import { EMPTY_FILTERS, parseTransactionQuery } from "@/lib/transaction-filters";
+
+
+async function getUser() {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+  if (!user) throw new Error("User not found");
+
+  return user;
+}
+
+
+// Only what a view needs to be reopened; anything else is dropped.
+function getFilterData(filters = {}) {
+  const query = parseTransactionQuery(filters);
+
+  return Object.fromEntries(
+    Object.keys(EMPTY_FILTERS).map((key) => [key, query[key]])
+  );
+}
+
+
+export async function getTags() {
+  try {
+    const user = await getUser();
+
+    return await db.tag.findMany({
+      where: { userId: user.id },
+      orderBy: { name: "asc" },
+    });
+  } catch (error) {
+    console.error("Error fetching tags:", error);
+    throw error;
+  }
+}
+
+
+export async function getSavedFilters() {
+  try {
+    const user = await getUser();
+
+    return await db.savedFilter.findMany({
+      where: { userId: user.id },
+      orderBy: { name: "asc" },
+    });
+  } catch (error) {
+    console.error("Error fetching saved filters:", error);
+    throw error;
+  }
+}
+
+
+// Saving under an existing name replaces that view's filters.
+export async function saveFilter(name, filters) {
+  try {
+    const user = await getUser();
+
+    const trimmed = String(name || "").trim();
+    if (!trimmed) throw new Error("View name is required");
+
+    const savedFilter = await db.savedFilter.upsert({
+      where: { userId_name: { userId: user.id, name: trimmed } },
+      create: { name: trimmed, filters: getFilterData(filters), userId: user.id },
+      update: { filters: getFilterData(filters) },
+    });
+
+    revalidatePath("/account/[id]", "page");
+    return { success: true, data: savedFilter };
+  } catch (error) {
+    console.error("Error saving filter:", error);
+    return { success: false, error: error.message };
+  }
+}
+
+
+export async function deleteSavedFilter(id) {
+  try {
+    const user = await getUser();
+
+    await db.savedFilter.delete({
+      where: { id, userId: user.id },
+    });
+
+    revalidatePath("/account/[id]", "page");
+    return { success: true };
+  } catch (error) {
+    console.error("Error deleting saved filter:", error);
+    return { success: false, error: error.message };
+  }
+}
@@ -6,6 +6,25 @@ import { revalidatePath } from "next/cache";
 import { GoogleGenerativeAI } from "@google/generative-ai";
 import { ajProtection as aj } from "@/lib/arcjet"; 
 import { request } from "@arcjet/next";
+import {
+  applyBalanceChanges,
+  getBalanceChanges,
+  mergeBalanceChanges,
+  reverseBalanceChanges,
+} from "@/lib/balance";
+import { getCurrencyConverter } from "@/lib/exchange-rates";
+import { applyRules, getRuleContext } from "@/lib/rules";
+import { connectTags, upsertTags } from "@/lib/tags";
+import { getSplitsError, toCents } from "@/lib/splits";
+import { TRANSACTION_STATUSES } from "@/lib/transaction-filters";
+import { getTransactionAuditEntry, writeAuditLogs } from "@/lib/audit";
+import {
+  getNextRecurringDate,
+  getNextRecurringDateFromToday,
+  getScheduleData,
+  getScheduleError,
+  RECURRING_INTERVALS,
+} from "@/lib/recurring";
 
 const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
 
@@ -13,6 +32,10 @@ const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
 const serializeAmount = (obj) => ({
   ...obj,
   amount: obj.amount.toNumber(),
+  transferAmount: obj.transferAmount ? obj.transferAmount.toNumber() : null,
+  ...(obj.splits && {
+    splits: obj.splits.map((split) => ({ ...split, amount: split.amount.toNumber() })),
+  }),
 });
 
 
@@ -51,31 +74,39 @@ export async function createTransaction(data) {
     });
     if (!account) throw new Error("Account not found");
 
-    const balanceChange = data.type === "EXPENSE" ? -data.amount : data.amount;
-    const newBalance = account.balance.toNumber() + balanceChange;
+    const { tags, ...ruleData } = await applyTransactionRules(data, user.id);
+    const { splits, ...transactionData } = await normalizeTransactionData(
+      ruleData,
+      user.id
+    );
+    const recurringData = getRecurringData(data);
 
     const transaction = await db.$transaction(async (tx) => {
       const newTransaction = await tx.transaction.create({
         data: {
-          ...data,
+          ...transactionData,
+          ...recurringData,
           userId: user.id,
-          nextRecurringDate:
-            data.isRecurring && data.recurringInterval
-              ? calculateNextRecurringDate(data.date, data.recurringInterval)
-              : null,
+          tags: connectTags(user.id, tags),
+          splits: { create: splits },
         },
       });
 
-      await tx.account.update({
-        where: { id: data.accountId },
-        data: { balance: newBalance },
-      });
+      await applyBalanceChanges(tx, getBalanceChanges(newTransaction));
+      await writeAuditLogs(
+        tx,
+        [getTransactionAuditEntry("create", null, newTransaction)],
+        { userId: user.id, actorId: user.id, source: "UI" }
+      );
 
       return newTransaction;
     });
 
     revalidatePath("/dashboard");
     revalidatePath(`/account/${transaction.accountId}`);
+    if (transaction.transferAccountId) {
+      revalidatePath(`/account/${transaction.transferAccountId}`);
+    }
 
     return { success: true, data: serializeAmount(transaction) };
   } catch (error) {
@@ -94,7 +125,8 @@ export async function getTransaction(id) {
   if (!user) throw new Error("User not found");
 
   const transaction = await db.transaction.findUnique({
-    where: { id, userId: user.id },
+    where: { id, userId: user.id, deletedAt: null },
+    include: { splits: true, tags: true },
   });
   if (!transaction) throw new Error("Transaction not found");
 
@@ -113,40 +145,64 @@ export async function updateTransaction(id, data) {
     if (!user) throw new Error("User not found");
 
     const originalTransaction = await db.transaction.findUnique({
-      where: { id, userId: user.id },
+      where: { id, userId: user.id, deletedAt: null },
       include: { account: true },
     });
     if (!originalTransaction) throw new Error("Transaction not found");
 
-    const oldBalanceChange =
-      originalTransaction.type === "EXPENSE"
-        ? -originalTransaction.amount.toNumber()
-        : originalTransaction.amount.toNumber();
-    const newBalanceChange = data.type === "EXPENSE" ? -data.amount : data.amount;
-    const netBalanceChange = newBalanceChange - oldBalanceChange;
+    const account = await db.account.findUnique({
+      where: { id: data.accountId, userId: user.id },
+    });
+    if (!account) throw new Error("Account not found");
+
+    const { tags, ...fields } = data;
+    const { splits, ...transactionData } = await normalizeTransactionData(
+      fields,
+      user.id,
+      originalTransaction
+    );
+    const recurringData = getRecurringData(data, originalTransaction);
 
     const transaction = await db.$transaction(async (tx) => {
+      const tagRows = await upsertTags(tx, user.id, tags);
       const updated = await tx.transaction.update({
         where: { id, userId: user.id },
         data: {
-          ...data,
-          nextRecurringDate:
-            data.isRecurring && data.recurringInterval
-              ? calculateNextRecurringDate(data.date, data.recurringInterval)
-              : null,
+          ...transactionData,
+          ...recurringData,
+          splits: { deleteMany: {}, create: splits },
+          tags: { set: tagRows.map(({ id }) => ({ id })) },
         },
       });
 
-      await tx.account.update({
-        where: { id: data.accountId },
-        data: { balance: { increment: netBalanceChange } },
-      });
+      // Revert the original effect and apply the new one, so edits that move
+      // a transaction (or either leg of a transfer) between accounts keep
+      // every affected balance correct.
+      await applyBalanceChanges(
+        tx,
+        mergeBalanceChanges(
+          reverseBalanceChanges(getBalanceChanges(originalTransaction)),
+          getBalanceChanges(updated)
+        )
+      );
+      await writeAuditLogs(
+        tx,
+        [getTransactionAuditEntry("update", originalTransaction, updated)],
+        { userId: user.id, actorId: user.id, source: "UI" }
+      );
 
       return updated;
     });
 
     revalidatePath("/dashboard");
-    revalidatePath(`/account/${data.accountId}`);
+    for (const accountId of new Set([
+      originalTransaction.accountId,
+      originalTransaction.transferAccountId,
+      transaction.accountId,
+      transaction.transferAccountId,
+    ])) {
+      if (accountId) revalidatePath(`/account/${accountId}`);
+    }
 
     return { success: true, data: serializeAmount(transaction) };
   } catch (error) {
@@ -155,6 +211,78 @@ export async function updateTransaction(id, data) {
 }
 
 
+// changes: { category?, subcategory?, accountId?, date?, isRecurring?,
+// recurringInterval?, status? }, applied to every selected transaction in one
+// database transaction. A transaction a change cannot apply to (a category of
+// the other type, a transfer, a move onto a transfer's own destination or
+// into another currency) is left untouched and counted as skipped.
+export async function bulkUpdateTransactions(transactionIds, changes = {}) {
+  try {
+    const { userId } = await auth();
+    if (!userId) throw new Error("Unauthorized");
+
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
+    });
+    if (!user) throw new Error("User not found");
+
+    const { category, targetAccount, date } = await getBulkChanges(changes, user.id);
+
+    const transactions = await db.transaction.findMany({
+      where: { id: { in: transactionIds }, userId: user.id, deletedAt: null },
+      include: { account: { select: { currency: true } } },
+    });
+
+    const updates = [];
+    for (const transaction of transactions) {
+      const data = getBulkUpdate(transaction, changes, { category, targetAccount, date });
+      if (data) updates.push({ transaction, data });
+    }
+
+    const updated = await db.$transaction(async (tx) => {
+      const rows = [];
+      for (const { transaction, data } of updates) {
+        rows.push(
+          await tx.transaction.update({
+            where: { id: transaction.id, userId: user.id },
+            data,
+          })
+        );
+      }
+
+      await applyBalanceChanges(
+        tx,
+        mergeBalanceChanges(
+          reverseBalanceChanges(
+            mergeBalanceChanges(...updates.map(({ transaction }) => getBalanceChanges(transaction)))
+          ),
+          ...rows.map(getBalanceChanges)
+        )
+      );
+      await writeAuditLogs(
+        tx,
+        updates.map(({ transaction }, index) =>
+          getTransactionAuditEntry("update", transaction, rows[index])
+        ),
+        { userId: user.id, actorId: user.id, source: "UI" }
+      );
+
+      return rows;
+    });
+
+    revalidatePath("/dashboard");
+    revalidatePath("/account/[id]", "page");
+
+    return {
+      success: true,
+      data: { updated: updated.length, skipped: transactions.length - updated.length },
+    };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+
 export async function getUserTransactions(query = {}) {
   try {
     const { userId } = await auth();
@@ -166,7 +294,7 @@ export async function getUserTransactions(query = {}) {
     if (!user) throw new Error("User not found");
 
     const transactions = await db.transaction.findMany({
-      where: { userId: user.id, ...query },
+      where: { userId: user.id, deletedAt: null, ...query },
       include: { account: true },
       orderBy: { date: "desc" },
     });
@@ -182,6 +310,23 @@ export async function scanReceipt(file) {
   try {
     const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
 
+    // Suggest one of the user's own expense categories.
+    const { userId } = await auth();
+    const categories = userId
+      ? await db.category.findMany({
+          where: {
+            user: { clerkUserId: userId },
+            type: "EXPENSE",
+            parentId: null,
+            archived: false,
+          },
+          select: { slug: true },
+        })
+      : [];
+    const categorySlugs = categories.length
+      ? categories.map((c) => c.slug).join(",")
+      : "housing,transportation,groceries,utilities,entertainment,food,shopping,healthcare,education,personal,travel,insurance,gifts,bills,other-expense";
+
     const arrayBuffer = await file.arrayBuffer();
     const base64String = Buffer.from(arrayBuffer).toString("base64");
 
@@ -191,7 +336,7 @@ export async function scanReceipt(file) {
       - Date (ISO format)
       - Description/items purchased
       - Merchant/store name
-      - Suggested category (housing,transportation,groceries,utilities,entertainment,food,shopping,healthcare,education,personal,travel,insurance,gifts,bills,other-expense)
+      - Suggested category (${categorySlugs})
       
       Only respond with valid JSON:
       {
@@ -230,15 +375,243 @@ export async function scanReceipt(file) {
 }
 
 
-function calculateNextRecurringDate(startDate, interval) {
-  const date = new Date(startDate);
+// The user's rules always rewrite the description and add their tags to the
+// user's own, but only pick the category when the user left it blank and did
+// not split.
+async function applyTransactionRules(data, userId) {
+  const { rules, categoryLookup } = await getRuleContext(userId);
+  const { category, subcategory, tags = [], ...changes } = applyRules(
+    rules,
+    data,
+    categoryLookup
+  );
+
+  return {
+    ...data,
+    ...changes,
+    ...(!data.category && !data.splits?.length && category && { category, subcategory }),
+    tags: [...(data.tags || []), ...tags],
+  };
+}
+
+
+// Split lines must add up to the amount and each subcategory must belong to
+// its line's category. The transaction itself takes the largest line's
+// category so single-category views still show something sensible.
+async function getSplitData(data, userId) {
+  const error = getSplitsError(data.splits, data.amount);
+  if (error) throw new Error(error);
+
+  const subcategories = await db.category.findMany({
+    where: { userId, parentId: { not: null } },
+    include: { parent: true },
+  });
+
+  const splits = data.splits.map((split) => {
+    if (
+      split.subcategory &&
+      !subcategories.some(
+        (c) => c.slug === split.subcategory && c.parent.slug === split.category
+      )
+    ) {
+      throw new Error("Subcategory does not belong to the category");
+    }
+
+    return {
+      category: split.category,
+      subcategory: split.subcategory || null,
+      amount: parseFloat(split.amount),
+    };
+  });
+  const largest = splits.reduce((max, split) => (split.amount > max.amount ? split : max));
 
-  switch (interval) {
-    case "DAILY": date.setDate(date.getDate() + 1); break;
-    case "WEEKLY": date.setDate(date.getDate() + 7); break;
-    case "MONTHLY": date.setMonth(date.getMonth() + 1); break;
-    case "YEARLY": date.setFullYear(date.getFullYear() + 1); break;
+  return { category: largest.category, subcategory: largest.subcategory, splits };
+}
+
+
+// Transfers must move money between two different accounts of the same user;
+// every other type must not carry a destination account. A subcategory must
+// belong to the chosen category, and a blank category falls back to "Other".
+// Returns the transaction's `splits` separately for a nested write.
+async function normalizeTransactionData(data, userId, original = null) {
+  if (data.type !== "TRANSFER") {
+    if (data.splits?.length) {
+      return {
+        ...data,
+        ...(await getSplitData(data, userId)),
+        transferAccountId: null,
+      };
+    }
+
+    if (!data.category) {
+      return {
+        ...data,
+        category: data.type === "INCOME" ? "other-income" : "other-expense",
+        subcategory: null,
+        transferAccountId: null,
+        splits: [],
+      };
+    }
+
+    let subcategory = null;
+    if (data.subcategory) {
+      const match = await db.category.findFirst({
+        where: { userId, slug: data.subcategory, parent: { slug: data.category } },
+      });
+      if (!match) throw new Error("Subcategory does not belong to the category");
+      subcategory = match.slug;
+    }
+
+    return { ...data, subcategory, transferAccountId: null, splits: [] };
+  }
+
+  if (!data.transferAccountId || data.transferAccountId === data.accountId) {
+    throw new Error("Transfers need a different destination account");
+  }
+
+  const [source, destination] = await Promise.all([
+    db.account.findUnique({ where: { id: data.accountId, userId } }),
+    db.account.findUnique({ where: { id: data.transferAccountId, userId } }),
+  ]);
+  if (!source) throw new Error("Account not found");
+  if (!destination) throw new Error("Destination account not found");
+
+  // Cross-currency transfers credit the destination with the converted
+  // amount at today's rate. An edit that leaves the amount and both accounts
+  // alone keeps the amount credited at the time, so the destination's
+  // balance does not move with the rates.
+  let transferAmount = null;
+  if (
+    original?.type === "TRANSFER" &&
+    original.transferAmount !== null &&
+    original.accountId === data.accountId &&
+    original.transferAccountId === data.transferAccountId &&
+    toCents(original.amount) === toCents(data.amount)
+  ) {
+    transferAmount = original.transferAmount;
+  } else if (source.currency !== destination.currency) {
+    const convert = await getCurrencyConverter();
+    transferAmount =
+      Math.round(
+        convert(parseFloat(data.amount), source.currency, destination.currency) * 100
+      ) / 100;
+  }
+
+  return {
+    ...data,
+    category: "transfer",
+    subcategory: null,
+    transferAmount,
+    splits: [],
+  };
+}
+
+
+// Checks a bulk edit's category, target account and date once, up front.
+async function getBulkChanges(changes, userId) {
+  let category = null;
+  if (changes.category) {
+    category = await db.category.findFirst({
+      where: { userId, slug: changes.category, parentId: null },
+    });
+    if (!category) throw new Error("Category not found");
+
+    if (
+      changes.subcategory &&
+      !(await db.category.findFirst({
+        where: { userId, slug: changes.subcategory, parentId: category.id },
+      }))
+    ) {
+      throw new Error("Subcategory does not belong to the category");
+    }
+  }
+
+  let targetAccount = null;
+  if (changes.accountId) {
+    targetAccount = await db.account.findUnique({
+      where: { id: changes.accountId, userId },
+    });
+    if (!targetAccount) throw new Error("Account not found");
+  }
+
+  let date = null;
+  if (changes.date) {
+    date = new Date(changes.date);
+    if (isNaN(date.getTime())) throw new Error("Invalid date");
+  }
+
+  if (changes.isRecurring && !RECURRING_INTERVALS[changes.recurringInterval]) {
+    throw new Error("Recurring interval is required");
   }
 
-  return date;
+  if (changes.status && !TRANSACTION_STATUSES[changes.status]) {
+    throw new Error("Invalid status");
+  }
+
+  return { category, targetAccount, date };
+}
+
+
+// The update for one transaction of a bulk edit, or null to skip it.
+// Re-categorizing a split transaction replaces its lines.
+function getBulkUpdate(transaction, changes, { category, targetAccount, date }) {
+  const data = {};
+
+  if (category) {
+    if (category.type !== transaction.type) return null;
+    data.category = category.slug;
+    data.subcategory = changes.subcategory || null;
+    data.splits = { deleteMany: {} };
+  }
+
+  if (targetAccount && targetAccount.id !== transaction.accountId) {
+    if (
+      targetAccount.id === transaction.transferAccountId ||
+      targetAccount.currency !== transaction.account.currency
+    ) {
+      return null;
+    }
+    data.accountId = targetAccount.id;
+  }
+
+  if (date) data.date = date;
+
+  // Only the interval changes; the rest of a template's schedule is kept.
+  if (changes.isRecurring === false) {
+    Object.assign(data, { isRecurring: false, ...getScheduleData({ isRecurring: false }) });
+  } else if (changes.isRecurring) {
+    data.isRecurring = true;
+    data.recurringInterval = changes.recurringInterval;
+  }
+
+  if (date || changes.isRecurring !== undefined) {
+    const schedule = { ...transaction, ...data };
+    data.nextRecurringDate = schedule.isRecurring
+      ? getNextRecurringDateFromToday(schedule, transaction.lastProcessed || schedule.date)
+      : null;
+  }
+
+  if (changes.status) data.status = changes.status;
+
+  return data;
+}
+
+
+// The schedule columns of a transaction saved from `data`. When editing,
+// `template` is the saved row: its posted occurrences still count and the
+// next date follows the last one processed.
+function getRecurringData(data, template = {}) {
+  const schedule = getScheduleData(data);
+  if (!data.isRecurring) return { ...schedule, nextRecurringDate: null };
+
+  const error = getScheduleError(schedule, data.date);
+  if (error) throw new Error(error);
+
+  return {
+    ...schedule,
+    nextRecurringDate: getNextRecurringDate(
+      { ...schedule, date: data.date, recurringCount: template.recurringCount },
+      template.lastProcessed || data.date
+    ),
+  };
 }
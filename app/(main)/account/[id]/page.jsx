@@ -1,20 +1,36 @@
-import { getAccountWithTransactions } from '@/actions/accounts'
+import { getAccountChartData, getAccountWithTransactions } from '@/actions/accounts'
+import { getCategories } from '@/actions/categories';
 import { notFound } from 'next/navigation';
 import React, { Suspense } from 'react'
 import TransactionTable from '../_components/transaction-table';
 import { BarLoader } from 'react-spinners';
 import AccountChart from '../_components/account-chart';
+import ImportTransactionsDrawer from '../_components/import-transactions';
+import TrashDrawer from '../_components/trash-drawer';
+import HistoryDrawer from '../_components/history-drawer';
+import ReconcileDrawer from '../_components/reconcile-drawer';
+import { formatCurrency } from '@/lib/currency';
+import { ACCOUNT_TYPES } from '@/lib/account-types';
+import AccountDetails from '../_components/account-details';
+import { getSavedFilters, getTags } from '@/actions/tags';
+import { getUserAccounts } from '@/actions/dashboard';
+import { TRASH_RETENTION_DAYS } from '@/lib/trash';
 
-export default async function Accountspage({ params })  {
+export default async function Accountspage({ params, searchParams })  {
 const { id } = await params;
 
-    const accountData = await getAccountWithTransactions(id);
+    const accountData = await getAccountWithTransactions(id, await searchParams);
+    const categories = await getCategories();
+    const tags = await getTags();
+    const savedFilters = await getSavedFilters();
+    const accounts = await getUserAccounts();
 
     if(!accountData) {
         notFound();
     }
 
-    const { transactions, ...account } = accountData;
+    const { transactions, pagination, totals, ...account } = accountData;
+    const chartData = await getAccountChartData(account.id);
   return (
     <div className='space-y-8 px-5 '>
         <div className='flex gap-4 items-end justify-between'>
@@ -23,26 +39,68 @@ const { id } = await params;
             {account.name}
         </h1>
         <p className='text-muted-foreground'>
-            {account.type.charAt(0) + account.type.slice(1).toLowerCase()} Account
+            {ACCOUNT_TYPES[account.type].label} Account
         </p>
         </div>
 
         <div className='text-right pb-2'>
             <div className='text-xl sm:text-2xl font-bold'>
-                 ${parseFloat(account.balance).toFixed(2)} 
+                 {formatCurrency(account.balance, account.currency)}
             </div>
+            {(account.pendingIncoming > 0 || account.pendingOutgoing > 0) && (
+                <p className='text-sm text-muted-foreground'>
+                    {formatCurrency(account.availableBalance, account.currency)} available
+                    {account.pendingIncoming > 0 &&
+                        ` · +${formatCurrency(account.pendingIncoming, account.currency)} pending`}
+                    {account.pendingOutgoing > 0 &&
+                        ` · -${formatCurrency(account.pendingOutgoing, account.currency)} pending`}
+                </p>
+            )}
             <p className='text-sm text-muted-foreground'>
                 {account._count.transactions} Transactions
             </p>
+            <div className='mt-2 flex flex-wrap justify-end gap-2'>
+                <ImportTransactionsDrawer
+                    accountId={account.id}
+                    currency={account.currency}
+                    categories={categories}
+                />
+                <TrashDrawer
+                    accountId={account.id}
+                    currency={account.currency}
+                    retentionDays={TRASH_RETENTION_DAYS}
+                />
+                <ReconcileDrawer
+                    accountId={account.id}
+                    currency={account.currency}
+                />
+                <HistoryDrawer
+                    accountId={account.id}
+                    currency={account.currency}
+                    accounts={accounts}
+                />
+            </div>
         </div>
         </div>
 
+        <AccountDetails account={account} />
+
            <Suspense fallback={<BarLoader className='mt-4' width={"100%"} color='#9333ea' />}>
-          <AccountChart  transactions={transactions}/>
+          <AccountChart  transactions={chartData} currency={account.currency}/>
          </Suspense>
 
          <Suspense fallback={<BarLoader className='mt-4' width={"100%"} color='#9333ea' />}>
-            <TransactionTable  transactions={transactions}/>
+            <TransactionTable
+                transactions={transactions}
+                pagination={pagination}
+                totals={totals}
+                accountId={account.id}
+                currency={account.currency}
+                categories={categories}
+                accounts={accounts}
+                tags={tags}
+                savedFilters={savedFilters}
+            />
          </Suspense>
     </div>
   )
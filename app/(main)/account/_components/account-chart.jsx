@@ -16,6 +16,7 @@ import {
   SelectTrigger,
   SelectValue,
 } from "@/components/ui/select";
+import { formatCurrency } from '@/lib/currency';
 
 
 const DATE_RANGES = {
@@ -25,7 +26,7 @@ const DATE_RANGES = {
   "6M": { label: "Last 6 Months", days: 180 },
   ALL: { label: "All Time", days: null },
 }
-const AccountChart = ({transactions}) => {
+const AccountChart = ({transactions, currency}) => {
 
     const [dateRange, setDateRange] = useState("1M");
 
@@ -51,7 +52,7 @@ const grouped = filtered.reduce((acc, transaction) => {
 
      if (transaction.type === "INCOME") {
         acc[date].income += transaction.amount;
-      } else {
+      } else if (transaction.type === "EXPENSE") {
         acc[date].expense += transaction.amount;
       }
       return acc;
@@ -99,13 +100,13 @@ const grouped = filtered.reduce((acc, transaction) => {
        <div className='text-center'>
         <p className='text-muted-foreground'>Total Income</p>
         <p className='text-lg font-bold text-green-500'> 
-            ${totals.income.toFixed(2)}
+            {formatCurrency(totals.income, currency)}
          </p>
         </div> 
          <div className='text-center'>
         <p className='text-muted-foreground'>Total Expense</p>
         <p className='text-lg font-bold text-red-500'> 
-            ${totals.expense.toFixed(2)}
+            {formatCurrency(totals.expense, currency)}
          </p>
         </div> 
          <div className='text-center'>
@@ -116,7 +117,7 @@ const grouped = filtered.reduce((acc, transaction) => {
             : "text-red-500"
             }`}
             > 
-            ${(totals.income - totals.expense).toFixed(2)}
+            {formatCurrency(totals.income - totals.expense, currency)}
          </p>
         </div> 
     </div>
@@ -143,9 +144,9 @@ const grouped = filtered.reduce((acc, transaction) => {
         fontSize={12}
         tickLine={false}
         axisLine={false}
-        tickFormatter={(value) => `$${value}`}
+        tickFormatter={(value) => formatCurrency(value, currency)}
         />
-        <Tooltip  formatter={(value) => [`$${value}`, undefined]}
+        <Tooltip  formatter={(value) => [formatCurrency(value, currency), undefined]}
              contentStyle={{
                   backgroundColor: "hsl(var(--popover))",
                   border: "1px solid hsl(var(--border))",
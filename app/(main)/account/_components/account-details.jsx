@@ -0,0 +1,126 @@
+import React from 'react';
+import {
+  Card,
+  CardContent,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Progress } from '@/components/ui/progress';
+import { formatCurrency } from '@/lib/currency';
+import {
+  getAmortizationSchedule,
+  getAmountOwed,
+  getCreditUtilization,
+  getLoanPayment,
+} from '@/lib/account-types';
+
+const SCHEDULE_PREVIEW = 6;
+
+const Stat = ({ label, value }) => (
+  <div>
+    <p className='text-sm text-muted-foreground'>{label}</p>
+    <p className='text-lg font-bold'>{value}</p>
+  </div>
+);
+
+// Credit card and loan specifics shown above the account's transactions.
+const AccountDetails = ({ account }) => {
+  const money = (value) => formatCurrency(value, account.currency);
+
+  if (account.type === "CREDIT_CARD") {
+    const utilization = getCreditUtilization(account);
+
+    return (
+      <Card>
+        <CardHeader>
+          <CardTitle className="text-base font-normal">Credit Card</CardTitle>
+        </CardHeader>
+        <CardContent className='space-y-4'>
+          <div className='grid gap-4 grid-cols-2 md:grid-cols-4'>
+            <Stat label="Owed" value={money(getAmountOwed(account))} />
+            <Stat label="Credit Limit" value={money(account.creditLimit)} />
+            <Stat label="Statement Day" value={account.statementDay || "-"} />
+            <Stat label="Payment Due Day" value={account.dueDay || "-"} />
+          </div>
+          {utilization !== null && (
+            <div className='space-y-1'>
+              <Progress
+                value={Math.min(utilization, 100)}
+                extraStyles={`${
+                  utilization >= 90
+                    ? "bg-red-500"
+                    : utilization >= 30
+                    ? "bg-yellow-500"
+                    : "bg-green-500"
+                }`}
+              />
+              <p className='text-xs text-muted-foreground text-right'>
+                {utilization.toFixed(1)}% utilization
+              </p>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    );
+  }
+
+  if (account.type === "LOAN") {
+    const schedule = getAmortizationSchedule(account);
+    const remainingInterest = schedule.reduce((sum, p) => sum + p.interest, 0);
+
+    return (
+      <Card>
+        <CardHeader>
+          <CardTitle className="text-base font-normal">Loan</CardTitle>
+        </CardHeader>
+        <CardContent className='space-y-4'>
+          <div className='grid gap-4 grid-cols-2 md:grid-cols-4'>
+            <Stat label="Principal" value={money(account.principal)} />
+            <Stat label="Interest Rate" value={`${account.interestRate}%`} />
+            <Stat label="Monthly Payment" value={money(getLoanPayment(account))} />
+            <Stat
+              label="Payments Left"
+              value={`${schedule.length} (${money(remainingInterest)} interest)`}
+            />
+          </div>
+          {schedule.length > 0 && (
+            <div className='rounded-md border'>
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Payment</TableHead>
+                    <TableHead className="text-right">Interest</TableHead>
+                    <TableHead className="text-right">Principal</TableHead>
+                    <TableHead className="text-right">Remaining</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {schedule.slice(0, SCHEDULE_PREVIEW).map((p) => (
+                    <TableRow key={p.number}>
+                      <TableCell>#{p.number}</TableCell>
+                      <TableCell className="text-right">{money(p.interest)}</TableCell>
+                      <TableCell className="text-right">{money(p.principal)}</TableCell>
+                      <TableCell className="text-right">{money(p.remaining)}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    );
+  }
+
+  return null;
+};
+
+export default AccountDetails;
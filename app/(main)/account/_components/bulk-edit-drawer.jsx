@@ -0,0 +1,270 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { useRouter } from "next/navigation";
+import { format } from "date-fns";
+import { CalendarIcon, Loader2, Pencil } from "lucide-react";
+import { toast } from "sonner";
+import {
+  Drawer,
+  DrawerClose,
+  DrawerContent,
+  DrawerDescription,
+  DrawerHeader,
+  DrawerTitle,
+  DrawerTrigger,
+} from "@/components/ui/drawer";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Button } from "@/components/ui/button";
+import { Calendar } from "@/components/ui/calendar";
+import { Popover, PopoverContent, PopoverTrigger } from "@/components/ui/popover";
+import useFetch from "@/hooks/use-fetch";
+import { bulkUpdateTransactions } from "@/actions/transaction";
+import { buildCategoryTree } from "@/lib/categories";
+import { TRANSACTION_STATUSES } from "@/lib/transaction-filters";
+import { RECURRING_INTERVALS } from "@/lib/recurring";
+
+// Select value for "leave this field as it is".
+const KEEP = "keep";
+const NO_SUBCATEGORY = "none";
+
+const RECURRING_OPTIONS = {
+  NONE: "Not recurring",
+  ...Object.fromEntries(
+    Object.entries(RECURRING_INTERVALS).map(([value, { label }]) => [value, label])
+  ),
+};
+
+const EMPTY_CHANGES = {
+  category: KEEP,
+  subcategory: NO_SUBCATEGORY,
+  accountId: KEEP,
+  date: null,
+  recurring: KEEP,
+  status: KEEP,
+};
+
+const Field = ({ label, children }) => (
+  <div className="space-y-2">
+    <label className="text-sm font-medium">{label}</label>
+    {children}
+  </div>
+);
+
+// Applies the same changes to every selected transaction; fields left on
+// "No change" are not touched.
+const BulkEditDrawer = ({ transactionIds, accounts = [], categories = [], onSuccess }) => {
+  const router = useRouter();
+  const [open, setOpen] = useState(false);
+  const [changes, setChanges] = useState(EMPTY_CHANGES);
+
+  const { loading, fn: updateFn, data: updated } = useFetch(bulkUpdateTransactions);
+
+  useEffect(() => {
+    if (updated?.success && !loading) {
+      const { updated: count, skipped } = updated.data;
+      toast.success(
+        `Updated ${count} transactions` +
+          (skipped > 0 ? `, skipped ${skipped} the changes do not apply to` : "")
+      );
+      setOpen(false);
+      setChanges(EMPTY_CHANGES);
+      onSuccess?.();
+      router.refresh();
+    }
+  }, [updated, loading]);
+
+  const categoryTree = buildCategoryTree(categories);
+  const subcategories =
+    categoryTree.find((c) => c.slug === changes.category)?.subcategories || [];
+  const set = (key, value) => setChanges((current) => ({ ...current, [key]: value }));
+
+  const hasChanges = Object.keys(EMPTY_CHANGES).some(
+    (key) => key !== "subcategory" && changes[key] !== EMPTY_CHANGES[key]
+  );
+
+  const handleSubmit = () => {
+    updateFn(transactionIds, {
+      ...(changes.category !== KEEP && {
+        category: changes.category,
+        subcategory: changes.subcategory === NO_SUBCATEGORY ? null : changes.subcategory,
+      }),
+      ...(changes.accountId !== KEEP && { accountId: changes.accountId }),
+      ...(changes.date && { date: changes.date }),
+      ...(changes.recurring !== KEEP && {
+        isRecurring: changes.recurring !== "NONE",
+        recurringInterval: changes.recurring !== "NONE" ? changes.recurring : null,
+      }),
+      ...(changes.status !== KEEP && { status: changes.status }),
+    });
+  };
+
+  return (
+    <Drawer open={open} onOpenChange={setOpen}>
+      <DrawerTrigger asChild>
+        <Button variant="outline" size="sm">
+          <Pencil className="h-4 w-4 mr-2" />
+          Edit Selected ({transactionIds.length})
+        </Button>
+      </DrawerTrigger>
+      <DrawerContent>
+        <DrawerHeader>
+          <DrawerTitle>Edit {transactionIds.length} Transactions</DrawerTitle>
+          <DrawerDescription>
+            Changes apply to every selected transaction at once.
+          </DrawerDescription>
+        </DrawerHeader>
+
+        <div className="px-4 pb-4 space-y-4 overflow-y-auto">
+          <div className="grid gap-4 md:grid-cols-2">
+            <Field label="Category">
+              <Select
+                value={changes.category}
+                onValueChange={(value) => {
+                  set("category", value);
+                  set("subcategory", NO_SUBCATEGORY);
+                }}
+              >
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={KEEP}>No change</SelectItem>
+                  {categoryTree.map((category) => (
+                    <SelectItem key={category.id} value={category.slug}>
+                      {category.name} ({category.type.toLowerCase()})
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              {subcategories.length > 0 && (
+                <Select
+                  value={changes.subcategory}
+                  onValueChange={(value) => set("subcategory", value)}
+                >
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value={NO_SUBCATEGORY}>No subcategory</SelectItem>
+                    {subcategories.map((sub) => (
+                      <SelectItem key={sub.id} value={sub.slug}>
+                        {sub.name}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              )}
+            </Field>
+
+            <Field label="Account">
+              <Select
+                value={changes.accountId}
+                onValueChange={(value) => set("accountId", value)}
+              >
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={KEEP}>No change</SelectItem>
+                  {accounts.map((account) => (
+                    <SelectItem key={account.id} value={account.id}>
+                      {account.name} ({account.currency})
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </Field>
+
+            <Field label="Date">
+              <Popover>
+                <PopoverTrigger asChild>
+                  <Button variant="outline" className="w-full pl-3 text-left font-normal">
+                    {changes.date ? format(changes.date, "PPP") : "No change"}
+                    <CalendarIcon className="ml-auto h-4 w-4 opacity-50" />
+                  </Button>
+                </PopoverTrigger>
+                <PopoverContent className="w-auto p-0" align="start">
+                  <Calendar
+                    mode="single"
+                    selected={changes.date || undefined}
+                    onSelect={(date) => set("date", date || null)}
+                    disabled={(date) => date > new Date() || date < new Date("1900-01-01")}
+                  />
+                </PopoverContent>
+              </Popover>
+            </Field>
+
+            <Field label="Recurring">
+              <Select
+                value={changes.recurring}
+                onValueChange={(value) => set("recurring", value)}
+              >
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={KEEP}>No change</SelectItem>
+                  {Object.entries(RECURRING_OPTIONS).map(([value, label]) => (
+                    <SelectItem key={value} value={value}>
+                      {label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </Field>
+
+            <Field label="Status">
+              <Select
+                value={changes.status}
+                onValueChange={(value) => set("status", value)}
+              >
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={KEEP}>No change</SelectItem>
+                  {Object.entries(TRANSACTION_STATUSES).map(([value, label]) => (
+                    <SelectItem key={value} value={value}>
+                      {label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </Field>
+          </div>
+
+          <div className="flex gap-4">
+            <DrawerClose asChild>
+              <Button type="button" variant="outline" className="flex-1">
+                Cancel
+              </Button>
+            </DrawerClose>
+            <Button
+              className="flex-1"
+              onClick={handleSubmit}
+              disabled={loading || !hasChanges}
+            >
+              {loading ? (
+                <>
+                  <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                  Updating...
+                </>
+              ) : (
+                `Update ${transactionIds.length} Transactions`
+              )}
+            </Button>
+          </div>
+        </div>
+      </DrawerContent>
+    </Drawer>
+  );
+};
+
+export default BulkEditDrawer;
@@ -0,0 +1,214 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { format } from "date-fns";
+import { ArrowRight, History, Loader2 } from "lucide-react";
+import {
+  Drawer,
+  DrawerContent,
+  DrawerDescription,
+  DrawerHeader,
+  DrawerTitle,
+  DrawerTrigger,
+} from "@/components/ui/drawer";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import useFetch from "@/hooks/use-fetch";
+import { getAccountHistory } from "@/actions/accounts";
+import { formatCurrency } from "@/lib/currency";
+
+const ACTION_LABELS = {
+  "transaction.create": "Transaction added",
+  "transaction.update": "Transaction edited",
+  "transaction.delete": "Moved to trash",
+  "transaction.restore": "Restored from trash",
+  "account.create": "Account opened",
+  "account.seed": "Sample data loaded",
+  "account.recompute": "Balance recomputed",
+};
+
+const SOURCE_LABELS = {
+  UI: "App",
+  IMPORT: "Import",
+  RECURRING: "Recurring",
+  SEED: "Seed",
+};
+
+const FIELD_LABELS = {
+  description: "Description",
+  amount: "Amount",
+  date: "Date",
+  type: "Type",
+  category: "Category",
+  status: "Status",
+  accountId: "Account",
+  transferAccountId: "To account",
+  isRecurring: "Recurring",
+  balance: "Balance",
+};
+
+// The fields an entry changed, as "Label: before → after" pairs. Entries
+// without a before snapshot (creates) list the new values instead.
+function getFieldChanges(entry, formatValue) {
+  const before = entry.before || {};
+  const after = entry.after || {};
+
+  return Object.entries(FIELD_LABELS)
+    .filter(([field]) =>
+      entry.before
+        ? JSON.stringify(before[field]) !== JSON.stringify(after[field])
+        : after[field] !== undefined && after[field] !== null
+    )
+    .map(([field, label]) => ({
+      label,
+      before: entry.before ? formatValue(field, before[field]) : null,
+      after: formatValue(field, after[field]),
+    }));
+}
+
+// Who changed what on this account, from the audit log.
+const HistoryDrawer = ({ accountId, currency, accounts = [] }) => {
+  const [open, setOpen] = useState(false);
+  const [entries, setEntries] = useState([]);
+
+  const { loading, fn: historyFn, data: history, setData: setHistory } = useFetch(getAccountHistory);
+
+  useEffect(() => {
+    if (history) setEntries((current) => [...current, ...history.entries]);
+  }, [history]);
+
+  const accountNames = Object.fromEntries(accounts.map((a) => [a.id, a.name]));
+  const formatValue = (field, value) => {
+    if (value === null || value === undefined) return "-";
+    if (field === "amount" || field === "balance") return formatCurrency(value, currency);
+    if (field === "date") return format(new Date(value), "PP");
+    if (field === "accountId" || field === "transferAccountId") {
+      return accountNames[value] || "Other account";
+    }
+    if (typeof value === "boolean") return value ? "Yes" : "No";
+    return String(value);
+  };
+
+  return (
+    <Drawer
+      open={open}
+      onOpenChange={(value) => {
+        setOpen(value);
+        setEntries([]);
+        setHistory(undefined);
+        if (value) historyFn(accountId);
+      }}
+    >
+      <DrawerTrigger asChild>
+        <Button variant="outline">
+          <History className="h-4 w-4 mr-2" />
+          History
+        </Button>
+      </DrawerTrigger>
+      <DrawerContent>
+        <DrawerHeader>
+          <DrawerTitle>Account History</DrawerTitle>
+          <DrawerDescription>
+            Every change that affected this account&apos;s balance.
+          </DrawerDescription>
+        </DrawerHeader>
+
+        <div className="px-4 pb-4 space-y-4 overflow-y-auto">
+          {entries.length === 0 ? (
+            <p className="text-sm text-muted-foreground flex items-center">
+              {loading ? (
+                <>
+                  <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                  Loading history...
+                </>
+              ) : (
+                "No changes recorded yet."
+              )}
+            </p>
+          ) : (
+            <div className="rounded-md border max-h-[50vh] overflow-y-auto">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>When</TableHead>
+                    <TableHead>Change</TableHead>
+                    <TableHead>By</TableHead>
+                    <TableHead>Details</TableHead>
+                    <TableHead className="text-right">Balance</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {entries.map((entry) => {
+                    const change = entry.balanceChanges[accountId] || 0;
+
+                    return (
+                      <TableRow key={entry.id}>
+                        <TableCell className="whitespace-nowrap">
+                          {format(new Date(entry.createdAt), "PP p")}
+                        </TableCell>
+                        <TableCell>{ACTION_LABELS[entry.action] || entry.action}</TableCell>
+                        <TableCell>
+                          <div className="flex items-center gap-1">
+                            {entry.isOwnChange ? "You" : "System"}
+                            <Badge variant="outline" className="text-xs">
+                              {SOURCE_LABELS[entry.source]}
+                            </Badge>
+                          </div>
+                        </TableCell>
+                        <TableCell>
+                          <div className="space-y-1 text-sm">
+                            {getFieldChanges(entry, formatValue).map(({ label, before, after }) => (
+                              <div key={label} className="flex flex-wrap items-center gap-1">
+                                <span className="text-muted-foreground">{label}:</span>
+                                {before !== null && (
+                                  <>
+                                    <span className="line-through">{before}</span>
+                                    <ArrowRight className="h-3 w-3" />
+                                  </>
+                                )}
+                                <span>{after}</span>
+                              </div>
+                            ))}
+                          </div>
+                        </TableCell>
+                        <TableCell
+                          className="text-right font-medium whitespace-nowrap"
+                          style={{ color: change < 0 ? "red" : change > 0 ? "green" : undefined }}
+                        >
+                          {change === 0
+                            ? "-"
+                            : `${change < 0 ? "-" : "+"}${formatCurrency(Math.abs(change), currency)}`}
+                        </TableCell>
+                      </TableRow>
+                    );
+                  })}
+                </TableBody>
+              </Table>
+            </div>
+          )}
+
+          {history?.nextCursor && (
+            <Button
+              variant="outline"
+              className="w-full"
+              onClick={() => historyFn(accountId, history.nextCursor)}
+              disabled={loading}
+            >
+              {loading ? <Loader2 className="h-4 w-4 animate-spin" /> : "Load more"}
+            </Button>
+          )}
+        </div>
+      </DrawerContent>
+    </Drawer>
+  );
+};
+
+export default HistoryDrawer;
@@ -0,0 +1,470 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { useRouter } from "next/navigation";
+import { format } from "date-fns";
+import { Loader2, Upload } from "lucide-react";
+import { toast } from "sonner";
+import {
+  Drawer,
+  DrawerClose,
+  DrawerContent,
+  DrawerDescription,
+  DrawerHeader,
+  DrawerTitle,
+  DrawerTrigger,
+} from "@/components/ui/drawer";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Checkbox } from "@/components/ui/checkbox";
+import useFetch from "@/hooks/use-fetch";
+import {
+  applyImportRules,
+  findDuplicateTransactions,
+  importTransactions,
+} from "@/actions/import";
+import { buildCategoryTree, getCategoryLabel, getCategoryLookup } from "@/lib/categories";
+import { formatCurrency } from "@/lib/currency";
+import {
+  CSV_DATE_FORMATS,
+  detectStatementFormat,
+  guessCSVMapping,
+  mapCSVRows,
+  parseCSV,
+  parseOFX,
+  parseQIF,
+  toTransactionRow,
+} from "@/lib/statement-parsers";
+
+const CSV_FIELDS = [
+  { key: "date", label: "Date", required: true },
+  { key: "description", label: "Description" },
+  { key: "amount", label: "Amount (signed)" },
+  { key: "debit", label: "Debit / Money out" },
+  { key: "credit", label: "Credit / Money in" },
+];
+
+// Radix Select does not accept "" as an item value.
+const UNMAPPED = "none";
+
+const ImportTransactionsDrawer = ({ accountId, currency, categories }) => {
+  const router = useRouter();
+  const [open, setOpen] = useState(false);
+  const [step, setStep] = useState("upload");
+  const [csv, setCsv] = useState(null);
+  const [mapping, setMapping] = useState(null);
+  const [rows, setRows] = useState([]);
+
+  const {
+    loading: duplicatesLoading,
+    fn: duplicatesFn,
+    data: duplicates,
+  } = useFetch(findDuplicateTransactions);
+
+  const {
+    loading: rulesLoading,
+    fn: rulesFn,
+    data: ruleResults,
+  } = useFetch(applyImportRules);
+
+  const {
+    loading: importLoading,
+    fn: importFn,
+    data: imported,
+  } = useFetch(importTransactions);
+
+  const reset = () => {
+    setStep("upload");
+    setCsv(null);
+    setMapping(null);
+    setRows([]);
+  };
+
+  const handleFile = async (file) => {
+    const text = await file.text();
+    const statementFormat = detectStatementFormat(file.name, text);
+
+    if (statementFormat === "csv") {
+      const parsed = parseCSV(text);
+      if (parsed.rows.length === 0) {
+        toast.error("No rows found in this file");
+        return;
+      }
+      setCsv(parsed);
+      setMapping(guessCSVMapping(parsed.headers));
+      setStep("map");
+      return;
+    }
+
+    await preparePreview(
+      statementFormat === "ofx" ? parseOFX(text) : parseQIF(text)
+    );
+  };
+
+  const handleMappingConfirm = async () => {
+    if (mapping.date === "") {
+      toast.error("Please map the date column");
+      return;
+    }
+    if (mapping.amount === "" && mapping.debit === "" && mapping.credit === "") {
+      toast.error("Please map an amount column or debit/credit columns");
+      return;
+    }
+
+    await preparePreview(mapCSVRows(csv.rows, mapping));
+  };
+
+  const preparePreview = async (statementRows) => {
+    if (statementRows.length === 0) {
+      toast.error("No transactions found in this file");
+      return;
+    }
+
+    const previewRows = statementRows.map((row, index) => ({
+      ...toTransactionRow(row),
+      id: index,
+      duplicate: false,
+    }));
+    setRows(
+      previewRows.map((row) => ({ ...row, selected: !row.error }))
+    );
+    setStep("preview");
+
+    const validRows = previewRows
+      .filter((row) => !row.error)
+      .map(({ type, amount, description, date }) => ({
+        type,
+        amount,
+        description,
+        date,
+      }));
+    await duplicatesFn(accountId, validRows);
+    await rulesFn(accountId, validRows);
+  };
+
+  // Likely duplicates are flagged and deselected, but can be re-selected.
+  useEffect(() => {
+    if (duplicates?.success && !duplicatesLoading) {
+      setRows((current) => {
+        const validIds = current.filter((row) => !row.error).map((row) => row.id);
+        const duplicateIds = new Set(
+          validIds.filter((_, index) => duplicates.data[index])
+        );
+
+        return current.map((row) =>
+          duplicateIds.has(row.id)
+            ? { ...row, duplicate: true, selected: false }
+            : row
+        );
+      });
+    }
+  }, [duplicates, duplicatesLoading]);
+
+  // Rules pre-fill the category, description and tags of the rows they match.
+  useEffect(() => {
+    if (ruleResults?.success && !rulesLoading) {
+      setRows((current) => {
+        const validIds = current.filter((row) => !row.error).map((row) => row.id);
+        const changes = Object.fromEntries(
+          validIds.map((id, index) => [id, ruleResults.data[index]])
+        );
+
+        return current.map((row) =>
+          changes[row.id] && Object.keys(changes[row.id]).length > 0
+            ? { ...row, ...changes[row.id], ruleApplied: true }
+            : row
+        );
+      });
+    }
+  }, [ruleResults, rulesLoading]);
+
+  useEffect(() => {
+    if (imported?.success && !importLoading) {
+      toast.success(`Imported ${imported.data.count} transactions`);
+      reset();
+      setOpen(false);
+      router.refresh();
+    }
+  }, [imported, importLoading]);
+
+  const updateRow = (id, changes) => {
+    setRows((current) =>
+      current.map((row) => (row.id === id ? { ...row, ...changes } : row))
+    );
+  };
+
+  const selectedRows = rows.filter((row) => row.selected);
+  const categoryLookup = getCategoryLookup(categories);
+
+  const handleImport = async () => {
+    await importFn(
+      accountId,
+      selectedRows.map(
+        ({ type, amount, description, date, category, subcategory, tags }) => ({
+          type,
+          amount,
+          description,
+          date,
+          category,
+          subcategory,
+          tags,
+        })
+      )
+    );
+  };
+
+  return (
+    <Drawer
+      open={open}
+      onOpenChange={(value) => {
+        setOpen(value);
+        if (!value) reset();
+      }}
+    >
+      <DrawerTrigger asChild>
+        <Button variant="outline">
+          <Upload className="h-4 w-4 mr-2" />
+          Import
+        </Button>
+      </DrawerTrigger>
+      <DrawerContent>
+        <DrawerHeader>
+          <DrawerTitle>Import Transactions</DrawerTitle>
+          <DrawerDescription>
+            Upload a CSV, OFX or QIF statement exported from your bank.
+          </DrawerDescription>
+        </DrawerHeader>
+
+        <div className="px-4 pb-4 space-y-4 overflow-y-auto">
+          {step === "upload" && (
+            <input
+              type="file"
+              accept=".csv,.ofx,.qfx,.qif,text/csv"
+              className="block w-full text-sm"
+              onChange={(e) => {
+                const file = e.target.files?.[0];
+                if (file) handleFile(file);
+              }}
+            />
+          )}
+
+          {step === "map" && (
+            <div className="space-y-4">
+              <div className="grid gap-4 sm:grid-cols-2">
+                {CSV_FIELDS.map(({ key, label, required }) => (
+                  <div key={key} className="space-y-2">
+                    <label className="text-sm font-medium">
+                      {label}
+                      {required && " *"}
+                    </label>
+                    <Select
+                      value={mapping[key] === "" ? UNMAPPED : mapping[key]}
+                      onValueChange={(value) =>
+                        setMapping((current) => ({
+                          ...current,
+                          [key]: value === UNMAPPED ? "" : value,
+                        }))
+                      }
+                    >
+                      <SelectTrigger>
+                        <SelectValue placeholder="Not mapped" />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value={UNMAPPED}>Not mapped</SelectItem>
+                        {csv.headers.map((header, index) => (
+                          <SelectItem key={index} value={String(index)}>
+                            {header || `Column ${index + 1}`}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                ))}
+                <div className="space-y-2">
+                  <label className="text-sm font-medium">Date Format</label>
+                  <Select
+                    value={mapping.dateFormat}
+                    onValueChange={(value) =>
+                      setMapping((current) => ({ ...current, dateFormat: value }))
+                    }
+                  >
+                    <SelectTrigger>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {CSV_DATE_FORMATS.map((dateFormat) => (
+                        <SelectItem key={dateFormat} value={dateFormat}>
+                          {dateFormat}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              </div>
+
+              <div className="flex gap-4">
+                <Button variant="outline" className="flex-1" onClick={reset}>
+                  Back
+                </Button>
+                <Button className="flex-1" onClick={handleMappingConfirm}>
+                  Preview
+                </Button>
+              </div>
+            </div>
+          )}
+
+          {step === "preview" && (
+            <div className="space-y-4">
+              {(duplicatesLoading || rulesLoading) && (
+                <p className="text-sm text-muted-foreground flex items-center">
+                  <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                  {duplicatesLoading ? "Checking for duplicates..." : "Applying rules..."}
+                </p>
+              )}
+
+              <div className="rounded-md border max-h-[45vh] overflow-y-auto">
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead className="w-[50px]" />
+                      <TableHead>Date</TableHead>
+                      <TableHead>Description</TableHead>
+                      <TableHead>Category</TableHead>
+                      <TableHead className="text-right">Amount</TableHead>
+                      <TableHead>Status</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {rows.map((row) => (
+                      <TableRow key={row.id}>
+                        <TableCell>
+                          <Checkbox
+                            checked={row.selected}
+                            disabled={!!row.error}
+                            onCheckedChange={(checked) =>
+                              updateRow(row.id, { selected: !!checked })
+                            }
+                          />
+                        </TableCell>
+                        <TableCell>
+                          {row.error === "Invalid date"
+                            ? "-"
+                            : format(row.date, "PP")}
+                        </TableCell>
+                        <TableCell>
+                          <div>{row.description}</div>
+                          {row.tags?.length > 0 && (
+                            <div className="flex flex-wrap gap-1 mt-1">
+                              {row.tags.map((tag) => (
+                                <Badge key={tag} variant="outline" className="text-xs">
+                                  {tag}
+                                </Badge>
+                              ))}
+                            </div>
+                          )}
+                        </TableCell>
+                        <TableCell>
+                          <Select
+                            value={row.category}
+                            onValueChange={(value) =>
+                              updateRow(row.id, { category: value, subcategory: null })
+                            }
+                            disabled={!!row.error}
+                          >
+                            <SelectTrigger className="w-[160px]">
+                              <SelectValue>
+                                {getCategoryLabel(categoryLookup, row.category, row.subcategory)}
+                              </SelectValue>
+                            </SelectTrigger>
+                            <SelectContent>
+                              {buildCategoryTree(categories, { type: row.type }).map(
+                                (category) => (
+                                  <SelectItem key={category.id} value={category.slug}>
+                                    {category.name}
+                                  </SelectItem>
+                                )
+                              )}
+                            </SelectContent>
+                          </Select>
+                        </TableCell>
+                        <TableCell
+                          className="text-right font-medium"
+                          style={{
+                            color: row.type === "EXPENSE" ? "red" : "green",
+                          }}
+                        >
+                          {row.type === "EXPENSE" ? "-" : "+"}
+                          {formatCurrency(row.amount, currency)}
+                        </TableCell>
+                        <TableCell>
+                          {row.error ? (
+                            <Badge variant="destructive">{row.error}</Badge>
+                          ) : row.duplicate ? (
+                            <Badge
+                              variant="secondary"
+                              className="bg-yellow-100 text-yellow-800"
+                            >
+                              Possible duplicate
+                            </Badge>
+                          ) : row.ruleApplied ? (
+                            <Badge variant="outline">New · Rule</Badge>
+                          ) : (
+                            <Badge variant="outline">New</Badge>
+                          )}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </div>
+
+              <div className="flex gap-4">
+                <DrawerClose asChild>
+                  <Button type="button" variant="outline" className="flex-1">
+                    Cancel
+                  </Button>
+                </DrawerClose>
+                <Button
+                  className="flex-1"
+                  onClick={handleImport}
+                  disabled={
+                    importLoading ||
+                    duplicatesLoading ||
+                    rulesLoading ||
+                    selectedRows.length === 0
+                  }
+                >
+                  {importLoading ? (
+                    <>
+                      <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                      Importing...
+                    </>
+                  ) : (
+                    `Import ${selectedRows.length} Transactions`
+                  )}
+                </Button>
+              </div>
+            </div>
+          )}
+        </div>
+      </DrawerContent>
+    </Drawer>
+  );
+};
+
+export default ImportTransactionsDrawer;
@@ -0,0 +1,195 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { useRouter } from "next/navigation";
+import { format } from "date-fns";
+import { ArrowRight, Loader2, Wand2 } from "lucide-react";
+import { toast } from "sonner";
+import {
+  Drawer,
+  DrawerClose,
+  DrawerContent,
+  DrawerDescription,
+  DrawerHeader,
+  DrawerTitle,
+  DrawerTrigger,
+} from "@/components/ui/drawer";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import useFetch from "@/hooks/use-fetch";
+import { applyRuleChanges, previewRuleChanges } from "@/actions/rules";
+import { getCategoryLabel } from "@/lib/categories";
+import { formatCurrency } from "@/lib/currency";
+
+const Change = ({ before, after }) =>
+  before === after ? (
+    <span>{after || "-"}</span>
+  ) : (
+    <span className="flex flex-wrap items-center gap-1">
+      <span className="text-muted-foreground line-through">{before || "-"}</span>
+      <ArrowRight className="h-3 w-3" />
+      <span className="font-medium">{after}</span>
+    </span>
+  );
+
+// Previews what the user's rules would change on the selected transactions
+// (or all of the account's when none are selected) before applying them.
+const ReapplyRulesDrawer = ({ accountId, transactionIds, currency, categoryLookup }) => {
+  const router = useRouter();
+  const [open, setOpen] = useState(false);
+
+  const {
+    loading: previewLoading,
+    fn: previewFn,
+    data: preview,
+    setData: setPreview,
+  } = useFetch(previewRuleChanges);
+
+  const {
+    loading: applyLoading,
+    fn: applyFn,
+    data: applied,
+  } = useFetch(applyRuleChanges);
+
+  useEffect(() => {
+    if (preview?.error) toast.error(preview.error);
+  }, [preview]);
+
+  useEffect(() => {
+    if (applied?.success && !applyLoading) {
+      toast.success(`Rules applied to ${applied.data.count} transactions`);
+      setOpen(false);
+      router.refresh();
+    } else if (applied?.error) {
+      toast.error(applied.error);
+    }
+  }, [applied, applyLoading]);
+
+  const changes = preview?.success ? preview.data : [];
+  const label = (transaction) =>
+    getCategoryLabel(categoryLookup, transaction.category, transaction.subcategory);
+
+  return (
+    <Drawer
+      open={open}
+      onOpenChange={(value) => {
+        setOpen(value);
+        if (value) {
+          previewFn(accountId, transactionIds);
+        } else {
+          setPreview(undefined);
+        }
+      }}
+    >
+      <DrawerTrigger asChild>
+        <Button variant="outline" size="sm">
+          <Wand2 className="h-4 w-4 mr-2" />
+          Re-apply Rules
+          {transactionIds.length > 0 && ` (${transactionIds.length})`}
+        </Button>
+      </DrawerTrigger>
+      <DrawerContent>
+        <DrawerHeader>
+          <DrawerTitle>Re-apply Rules</DrawerTitle>
+          <DrawerDescription>
+            {transactionIds.length > 0
+              ? `Checking ${transactionIds.length} selected transactions against your rules.`
+              : "Checking every transaction in this account against your rules."}
+          </DrawerDescription>
+        </DrawerHeader>
+
+        <div className="px-4 pb-4 space-y-4 overflow-y-auto">
+          {previewLoading ? (
+            <p className="text-sm text-muted-foreground flex items-center">
+              <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+              Matching rules...
+            </p>
+          ) : changes.length === 0 ? (
+            <p className="text-sm text-muted-foreground">
+              No transactions would change.
+            </p>
+          ) : (
+            <div className="rounded-md border max-h-[45vh] overflow-y-auto">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Date</TableHead>
+                    <TableHead>Description</TableHead>
+                    <TableHead>Category</TableHead>
+                    <TableHead>Tags</TableHead>
+                    <TableHead className="text-right">Amount</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {changes.map(({ id, date, type, amount, before, after }) => (
+                    <TableRow key={id}>
+                      <TableCell>{format(new Date(date), "PP")}</TableCell>
+                      <TableCell>
+                        <Change before={before.description} after={after.description} />
+                      </TableCell>
+                      <TableCell>
+                        <Change before={label(before)} after={label(after)} />
+                      </TableCell>
+                      <TableCell>
+                        <div className="flex flex-wrap gap-1">
+                          {after.tags.map((tag) => (
+                            <Badge
+                              key={tag}
+                              variant={before.tags.includes(tag) ? "outline" : "secondary"}
+                              className="text-xs"
+                            >
+                              {tag}
+                            </Badge>
+                          ))}
+                        </div>
+                      </TableCell>
+                      <TableCell
+                        className="text-right font-medium"
+                        style={{ color: type === "EXPENSE" ? "red" : "green" }}
+                      >
+                        {type === "EXPENSE" ? "-" : "+"}
+                        {formatCurrency(amount, currency)}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          )}
+
+          <div className="flex gap-4">
+            <DrawerClose asChild>
+              <Button type="button" variant="outline" className="flex-1">
+                Cancel
+              </Button>
+            </DrawerClose>
+            <Button
+              className="flex-1"
+              onClick={() => applyFn(accountId, transactionIds)}
+              disabled={previewLoading || applyLoading || changes.length === 0}
+            >
+              {applyLoading ? (
+                <>
+                  <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                  Applying...
+                </>
+              ) : (
+                `Update ${changes.length} Transactions`
+              )}
+            </Button>
+          </div>
+        </div>
+      </DrawerContent>
+    </Drawer>
+  );
+};
+
+export default ReapplyRulesDrawer;
@@ -0,0 +1,375 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { useRouter } from "next/navigation";
+import { format } from "date-fns";
+import { CalendarIcon, CheckCheck, Loader2, RefreshCw, Scale } from "lucide-react";
+import { toast } from "sonner";
+import {
+  Drawer,
+  DrawerContent,
+  DrawerDescription,
+  DrawerHeader,
+  DrawerTitle,
+  DrawerTrigger,
+} from "@/components/ui/drawer";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Button } from "@/components/ui/button";
+import { Calendar } from "@/components/ui/calendar";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Input } from "@/components/ui/input";
+import { Popover, PopoverContent, PopoverTrigger } from "@/components/ui/popover";
+import useFetch from "@/hooks/use-fetch";
+import {
+  checkAccountBalance,
+  finishReconciliation,
+  getReconciliationData,
+  recomputeAccountBalance,
+  setTransactionsCleared,
+} from "@/actions/reconciliation";
+import { getAccountAmount } from "@/lib/balance";
+import { formatCurrency } from "@/lib/currency";
+import { toCents } from "@/lib/splits";
+
+const SummaryItem = ({ label, value, className }) => (
+  <div>
+    <p className="text-sm text-muted-foreground">{label}</p>
+    <p className={`text-lg font-bold ${className || ""}`}>{value}</p>
+  </div>
+);
+
+const signed = (amount, currency) =>
+  `${amount < 0 ? "-" : "+"}${formatCurrency(Math.abs(amount), currency)}`;
+
+// Transactions from the ledger check that may explain a difference.
+const DiscrepancyList = ({ title, description, rows, currency, renderAmount }) => (
+  <div className="space-y-2">
+    <div>
+      <p className="text-sm font-medium">
+        {title} ({rows.length})
+      </p>
+      <p className="text-sm text-muted-foreground">{description}</p>
+    </div>
+    {rows.length > 0 && (
+      <div className="rounded-md border max-h-[25vh] overflow-y-auto">
+        <Table>
+          <TableBody>
+            {rows.map((row) => (
+              <TableRow key={row.id}>
+                <TableCell>{format(new Date(row.date), "PP")}</TableCell>
+                <TableCell>{row.description}</TableCell>
+                <TableCell className="text-right font-medium">
+                  {renderAmount ? renderAmount(row) : signed(row.amount, currency)}
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </div>
+    )}
+  </div>
+);
+
+// Reconciles the account against a bank statement: tick off the transactions
+// that appear on it until the cleared balance matches the statement's. Also
+// checks the stored balance against the ledger and can rebuild it.
+const ReconcileDrawer = ({ accountId, currency }) => {
+  const router = useRouter();
+  const [open, setOpen] = useState(false);
+  const [statementDate, setStatementDate] = useState(new Date());
+  const [statementBalance, setStatementBalance] = useState("");
+
+  const { loading, fn: loadFn, data: loaded, setData: setLoaded } = useFetch(getReconciliationData);
+  const { loading: finishLoading, fn: finishFn, data: finished } = useFetch(finishReconciliation);
+  const { loading: checkLoading, fn: checkFn, data: checked, setData: setChecked } = useFetch(checkAccountBalance);
+  const { loading: recomputeLoading, fn: recomputeFn, data: recomputed } = useFetch(recomputeAccountBalance);
+
+  useEffect(() => {
+    if (loaded?.error) toast.error(loaded.error);
+  }, [loaded]);
+
+  useEffect(() => {
+    if (finished?.success && !finishLoading) {
+      toast.success("Reconciliation finished");
+      setOpen(false);
+      router.refresh();
+    } else if (finished?.error) {
+      toast.error(finished.error);
+    }
+  }, [finished, finishLoading]);
+
+  useEffect(() => {
+    if (checked?.error) toast.error(checked.error);
+  }, [checked]);
+
+  useEffect(() => {
+    if (recomputed?.success && !recomputeLoading) {
+      const { difference } = recomputed.data;
+      toast.success(
+        difference === 0
+          ? "Balance already matches the ledger"
+          : `Balance corrected by ${formatCurrency(-difference, currency)}`
+      );
+      checkFn(accountId);
+      router.refresh();
+    } else if (recomputed?.error) {
+      toast.error(recomputed.error);
+    }
+  }, [recomputed, recomputeLoading]);
+
+  const data = loaded?.success ? loaded.data : null;
+  const report = checked?.success ? checked.data : null;
+  const hasBalance = statementBalance !== "" && !isNaN(parseFloat(statementBalance));
+  const difference =
+    data && hasBalance
+      ? (toCents(parseFloat(statementBalance)) - toCents(data.clearedBalance)) / 100
+      : null;
+
+  const handleToggle = async (transactionIds, cleared) => {
+    const result = await setTransactionsCleared(transactionIds, cleared);
+    if (!result.success) {
+      toast.error(result.error);
+      return;
+    }
+    loadFn(accountId, statementDate);
+  };
+
+  return (
+    <Drawer
+      open={open}
+      onOpenChange={(value) => {
+        setOpen(value);
+        if (!value) {
+          setLoaded(undefined);
+          setChecked(undefined);
+        }
+      }}
+    >
+      <DrawerTrigger asChild>
+        <Button variant="outline">
+          <Scale className="h-4 w-4 mr-2" />
+          Reconcile
+        </Button>
+      </DrawerTrigger>
+      <DrawerContent>
+        <DrawerHeader>
+          <DrawerTitle>Reconcile Account</DrawerTitle>
+          <DrawerDescription>
+            Enter your statement&apos;s ending date and balance, then tick the
+            transactions that appear on it.
+            {data?.lastReconciliation &&
+              ` Last reconciled to ${format(new Date(data.lastReconciliation.statementDate), "PP")}.`}
+          </DrawerDescription>
+        </DrawerHeader>
+
+        <div className="px-4 pb-4 space-y-4 overflow-y-auto">
+          <div className="flex flex-col sm:flex-row gap-2">
+            <Popover>
+              <PopoverTrigger asChild>
+                <Button variant="outline" className="sm:w-[200px] pl-3 text-left font-normal">
+                  {format(statementDate, "PPP")}
+                  <CalendarIcon className="ml-auto h-4 w-4 opacity-50" />
+                </Button>
+              </PopoverTrigger>
+              <PopoverContent className="w-auto p-0" align="start">
+                <Calendar
+                  mode="single"
+                  selected={statementDate}
+                  onSelect={(date) => date && setStatementDate(date)}
+                  disabled={(date) => date > new Date()}
+                />
+              </PopoverContent>
+            </Popover>
+            <Input
+              type="number"
+              step="0.01"
+              placeholder="Statement ending balance"
+              value={statementBalance}
+              onChange={(e) => setStatementBalance(e.target.value)}
+              className="sm:w-[220px]"
+            />
+            <Button onClick={() => loadFn(accountId, statementDate)} disabled={loading}>
+              {loading ? <Loader2 className="h-4 w-4 animate-spin" /> : "Load Transactions"}
+            </Button>
+          </div>
+
+          {data && (
+            <>
+              <div className="grid grid-cols-3 gap-4 rounded-md border p-4">
+                <SummaryItem
+                  label="Statement balance"
+                  value={hasBalance ? formatCurrency(parseFloat(statementBalance), currency) : "-"}
+                />
+                <SummaryItem
+                  label="Cleared balance"
+                  value={formatCurrency(data.clearedBalance, currency)}
+                />
+                <SummaryItem
+                  label="Difference"
+                  value={difference === null ? "-" : formatCurrency(difference, currency)}
+                  className={difference === 0 ? "text-green-600" : difference ? "text-red-600" : ""}
+                />
+              </div>
+
+              {data.transactions.length === 0 ? (
+                <p className="text-sm text-muted-foreground">
+                  No transactions to reconcile up to this date.
+                </p>
+              ) : (
+                <div className="rounded-md border max-h-[35vh] overflow-y-auto">
+                  <Table>
+                    <TableHeader>
+                      <TableRow>
+                        <TableHead className="w-[50px]">
+                          <Checkbox
+                            checked={data.transactions.every((t) => t.cleared)}
+                            onCheckedChange={(value) =>
+                              handleToggle(data.transactions.map((t) => t.id), !!value)
+                            }
+                          />
+                        </TableHead>
+                        <TableHead>Date</TableHead>
+                        <TableHead>Description</TableHead>
+                        <TableHead className="text-right">Amount</TableHead>
+                      </TableRow>
+                    </TableHeader>
+                    <TableBody>
+                      {data.transactions.map((transaction) => {
+                        const amount = getAccountAmount(transaction, accountId);
+
+                        return (
+                          <TableRow key={transaction.id}>
+                            <TableCell>
+                              <Checkbox
+                                checked={transaction.cleared}
+                                onCheckedChange={(value) => handleToggle([transaction.id], !!value)}
+                              />
+                            </TableCell>
+                            <TableCell>{format(new Date(transaction.date), "PP")}</TableCell>
+                            <TableCell>{transaction.description}</TableCell>
+                            <TableCell
+                              className="text-right font-medium"
+                              style={{ color: amount < 0 ? "red" : "green" }}
+                            >
+                              {amount < 0 ? "-" : "+"}
+                              {formatCurrency(Math.abs(amount), currency)}
+                            </TableCell>
+                          </TableRow>
+                        );
+                      })}
+                    </TableBody>
+                  </Table>
+                </div>
+              )}
+
+              <Button
+                className="w-full"
+                onClick={() => finishFn(accountId, { statementDate, statementBalance })}
+                disabled={finishLoading || difference !== 0}
+              >
+                {finishLoading ? (
+                  <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                ) : (
+                  <CheckCheck className="mr-2 h-4 w-4" />
+                )}
+                Finish Reconciliation
+              </Button>
+            </>
+          )}
+
+          <div className="border-t pt-4 space-y-3">
+            <div className="flex items-center justify-between gap-2">
+              <div>
+                <p className="text-sm font-medium">Ledger check</p>
+                <p className="text-sm text-muted-foreground">
+                  Compare the stored balance with the one rebuilt from every transaction.
+                </p>
+              </div>
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => checkFn(accountId)}
+                disabled={checkLoading}
+              >
+                {checkLoading ? <Loader2 className="h-4 w-4 animate-spin" /> : "Check Balance"}
+              </Button>
+            </div>
+
+            {report && (
+              <div className="space-y-3">
+                <div className="grid grid-cols-2 sm:grid-cols-4 gap-4 rounded-md border p-4">
+                  <SummaryItem
+                    label="Opening balance"
+                    value={formatCurrency(report.openingBalance, currency)}
+                  />
+                  <SummaryItem
+                    label={`Ledger (${report.transactionCount} transactions)`}
+                    value={formatCurrency(report.ledgerTotal, currency)}
+                  />
+                  <SummaryItem
+                    label="Rebuilt balance"
+                    value={formatCurrency(report.computedBalance, currency)}
+                  />
+                  <SummaryItem
+                    label="Stored balance"
+                    value={formatCurrency(report.storedBalance, currency)}
+                    className={report.difference !== 0 ? "text-red-600" : "text-green-600"}
+                  />
+                </div>
+                {report.difference === 0 ? (
+                  <p className="text-sm text-green-600">The stored balance matches the ledger.</p>
+                ) : (
+                  <div className="flex items-center justify-between gap-2">
+                    <p className="text-sm text-red-600">
+                      The stored balance is off by {formatCurrency(report.difference, currency)}.
+                    </p>
+                    <Button
+                      size="sm"
+                      onClick={() => recomputeFn(accountId)}
+                      disabled={recomputeLoading}
+                    >
+                      {recomputeLoading ? (
+                        <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                      ) : (
+                        <RefreshCw className="mr-2 h-4 w-4" />
+                      )}
+                      Recompute Balance
+                    </Button>
+                  </div>
+                )}
+                <DiscrepancyList
+                  title="Cleared since the last reconciliation"
+                  description="Not yet confirmed by a finished statement."
+                  rows={report.unreconciled}
+                  currency={currency}
+                />
+                <DiscrepancyList
+                  title="Out of line with the audit log"
+                  description="Their effect on the balance differs from the changes recorded for them."
+                  rows={report.auditMismatches}
+                  currency={currency}
+                  renderAmount={(row) => (
+                    <span className="text-red-600">
+                      {signed(row.ledgerAmount, currency)} in the ledger,{" "}
+                      {signed(row.auditedAmount, currency)} recorded
+                      {row.deleted && " (in the trash)"}
+                    </span>
+                  )}
+                />
+              </div>
+            )}
+          </div>
+        </div>
+      </DrawerContent>
+    </Drawer>
+  );
+};
+
+export default ReconcileDrawer;
@@ -0,0 +1,106 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { useRouter } from "next/navigation";
+import { Bookmark, Trash } from "lucide-react";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Popover, PopoverContent, PopoverTrigger } from "@/components/ui/popover";
+import useFetch from "@/hooks/use-fetch";
+import { deleteSavedFilter, saveFilter } from "@/actions/tags";
+import { hasActiveFilters } from "@/lib/transaction-filters";
+
+// Named TransactionTable filter views: reopen one, or save the filters in
+// effect under a name.
+const SavedFiltersMenu = ({ savedFilters = [], filters, onApply }) => {
+  const router = useRouter();
+  const [open, setOpen] = useState(false);
+  const [name, setName] = useState("");
+
+  const { loading: saveLoading, fn: saveFn, data: saved } = useFetch(saveFilter);
+  const { loading: deleteLoading, fn: deleteFn, data: deleted } = useFetch(deleteSavedFilter);
+
+  useEffect(() => {
+    if (saved?.success) {
+      toast.success(`Saved view "${saved.data.name}"`);
+      setName("");
+      router.refresh();
+    } else if (saved?.error) {
+      toast.error(saved.error);
+    }
+  }, [saved]);
+
+  useEffect(() => {
+    if (deleted?.success) {
+      toast.success("View deleted");
+      router.refresh();
+    } else if (deleted?.error) {
+      toast.error(deleted.error);
+    }
+  }, [deleted]);
+
+  const handleApply = (savedFilter) => {
+    onApply(savedFilter.filters);
+    setOpen(false);
+  };
+
+  return (
+    <Popover open={open} onOpenChange={setOpen}>
+      <PopoverTrigger asChild>
+        <Button variant="outline">
+          <Bookmark className="h-4 w-4 mr-2" />
+          Views
+        </Button>
+      </PopoverTrigger>
+      <PopoverContent className="w-72 p-3 space-y-3" align="end">
+        {savedFilters.length === 0 ? (
+          <p className="text-sm text-muted-foreground">No saved views yet.</p>
+        ) : (
+          <div className="space-y-1">
+            {savedFilters.map((savedFilter) => (
+              <div key={savedFilter.id} className="flex items-center gap-1">
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  className="flex-1 justify-start"
+                  onClick={() => handleApply(savedFilter)}
+                >
+                  {savedFilter.name}
+                </Button>
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  onClick={() => deleteFn(savedFilter.id)}
+                  disabled={deleteLoading}
+                  title="Delete view"
+                >
+                  <Trash className="h-4 w-4" />
+                </Button>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="flex gap-2 border-t pt-3">
+          <Input
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => e.key === "Enter" && name && saveFn(name, filters)}
+            placeholder="Save current filters as..."
+            disabled={!hasActiveFilters(filters)}
+          />
+          <Button
+            size="sm"
+            onClick={() => saveFn(name, filters)}
+            disabled={saveLoading || !name.trim() || !hasActiveFilters(filters)}
+          >
+            Save
+          </Button>
+        </div>
+      </PopoverContent>
+    </Popover>
+  );
+};
+
+export default SavedFiltersMenu;
@@ -1,5 +1,5 @@
  "use client";
- import React, { useEffect, useMemo, useState } from 'react';
+ import React, { useEffect, useMemo, useState, useTransition } from 'react';
 import {
   Table,
   TableBody,
@@ -9,8 +9,8 @@ import {
   TableRow,
 } from "@/components/ui/table"
 import { Checkbox } from '@/components/ui/checkbox';
-import { format } from 'date-fns';
-import { categoryColors } from '@/data/categories';
+import { format, parseISO } from 'date-fns';
+import { buildCategoryTree, getCategoryLabel, getCategoryLookup } from '@/lib/categories';
 import {
   Tooltip,
   TooltipContent,
@@ -18,16 +18,17 @@ import {
   TooltipTrigger,
 } from "@/components/ui/tooltip"
 import { Badge } from '@/components/ui/badge';
-import { ChevronDown, ChevronLeft, ChevronRight, ChevronUp, Clock, MoreHorizontal, RefreshCw, Search, Trash, X } from 'lucide-react';
+import { CalendarIcon, ChevronDown, ChevronLeft, ChevronRight, ChevronUp, CircleDot, Clock, DollarSign, Layers, MoreHorizontal, RefreshCw, Search, Tag, Trash, X } from 'lucide-react';
 import {
   DropdownMenu,
+  DropdownMenuCheckboxItem,
   DropdownMenuContent,
   DropdownMenuItem,
   DropdownMenuSeparator,
   DropdownMenuTrigger,
 } from "@/components/ui/dropdown-menu";
 import { Button } from '@/components/ui/button';
-import { useRouter } from 'next/navigation';
+import { usePathname, useRouter, useSearchParams } from 'next/navigation';
 import { Input } from '@/components/ui/input';
 import {
   Select,
@@ -36,33 +37,49 @@ import {
   SelectTrigger,
   SelectValue,
 } from "@/components/ui/select"
-import { bulkDeleteTransactions } from '@/actions/accounts';
+import { bulkDeleteTransactions, restoreTransactions } from '@/actions/accounts';
+import { bulkUpdateTransactions } from '@/actions/transaction';
+import { setRecurringPaused } from '@/actions/recurring';
 import { toast } from 'sonner';
 import { BarLoader } from 'react-spinners';
 import useFetch from '@/hooks/use-fetch';
-
-const ITEMS_PER_PAGE = 10;
-
-const RECURRING_INTERVALS = {
-    DAILY: "Daily",
-    WEEKLY: "Weekly",
-    MONTHLY: "Monthly",
-    YEARLY: "Yearly"
-};
-
-const TransactionTable = ({transactions}) => {
+import { getAccountAmount } from '@/lib/balance';
+import { formatCurrency } from '@/lib/currency';
+import { describeSchedule } from '@/lib/recurring';
+import {
+    EMPTY_FILTERS,
+    hasActiveFilters,
+    parseTransactionQuery,
+    toFilterSearchParams,
+    TRANSACTION_STATUSES,
+    TRANSACTIONS_PAGE_SIZE,
+} from '@/lib/transaction-filters';
+import ExportMenu from '@/components/export-menu';
+import { Calendar } from '@/components/ui/calendar';
+import { Popover, PopoverContent, PopoverTrigger } from '@/components/ui/popover';
+import ReapplyRulesDrawer from './reapply-rules-drawer';
+import SavedFiltersMenu from './saved-filters-menu';
+import BulkEditDrawer from './bulk-edit-drawer';
+
+const TransactionTable = ({transactions, pagination, totals, accountId, currency, categories, accounts = [], tags = [], savedFilters = []}) => {
     const router = useRouter();
+    const pathname = usePathname();
+    const searchParams = useSearchParams();
+    const [isNavigating, startTransition] = useTransition();
+    const categoryLookup = useMemo(() => getCategoryLookup(categories), [categories]);
     const [selectedIds, setSelectedIds] = useState([]);
-    const [sortConfig, setSortConfig] = useState({
-        field:"date",
-        direction: "desc",
-    });
 
+// Filters, sort and page live in the URL so filtered pages can be shared;
+// the account page loads the matching page of rows on the server.
+const query = useMemo(() => parseTransactionQuery(searchParams), [searchParams]);
+const { sort, direction, after, before, page, ...filters } = query;
+const sortConfig = { field: sort, direction };
 
-const [searchTerm, setSearchTerm] = useState("");
-const [typeFilter, setTypeFilter] = useState("");
-const [recurringFilter, setRecurringFilter] = useState("");
-const [currentPage, setCurrentPage] = useState(1);
+const [searchTerm, setSearchTerm] = useState(filters.search);
+const [amountRange, setAmountRange] = useState({
+    min: filters.minAmount,
+    max: filters.maxAmount,
+});
 
 const {
     loading: deleteLoading,
@@ -70,80 +87,52 @@ const {
     data: deleted,
 }= useFetch(bulkDeleteTransactions)
 
-
-
-
-const filteredAndSortedTransactions = useMemo(() => {
-let result = [...transactions];
-
-if (searchTerm) {
-    const searchLower = searchTerm.toLowerCase();
-    result = result.filter((transaction) =>
-    transaction.description?.toLowerCase().includes(searchLower)
-);
-}
-
-// recurring filter
-if (recurringFilter) {
-    result = result.filter((transaction) => {
-        if (recurringFilter === "recurring") return transaction.isRecurring;
-        return !transactions.isRecurring;
+// Filter and sort changes start again from the first page.
+const updateQuery = (changes, cursor = {}) => {
+    const next = { ...filters, sort, direction, ...changes };
+    const params = toFilterSearchParams({
+        ...next,
+        sort: next.sort !== "date" ? next.sort : "",
+        direction: next.direction !== "desc" ? next.direction : "",
+        ...cursor,
+    }).toString();
+
+    setSelectedIds([]);
+    startTransition(() => {
+        router.push(params ? `${pathname}?${params}` : pathname, { scroll: false });
     });
-}
-
-// type filter
-if (typeFilter) {
-    result = result.filter((transaction) => transaction.type === typeFilter);
-}
-
-result.sort((a,b) => {
-    let comparison = 0
-
-    switch (sortConfig.field) {
-        case "date":
-        comparison = new Date(a.date) - new Date(b.date);
-        break;
-        case "amount":
-        comparison = a.amount - b.amount;
-        break;
-         case "category":
-        comparison = a.category.localCompare(b.category);
-        break;
-
+};
 
-        default:
-            comparison = 0;
-    }
+// Search is pushed to the URL once typing pauses.
+useEffect(() => {
+    if (searchTerm === filters.search) return;
+    const timeout = setTimeout(() => updateQuery({ search: searchTerm }), 300);
+    return () => clearTimeout(timeout);
+}, [searchTerm]);
 
-    return sortConfig.direction === 'asc' ? comparison : -comparison;
-});
+// Keeps the input in step when the URL changes, e.g. a view is applied.
+useEffect(() => {
+    setSearchTerm(filters.search);
+}, [filters.search]);
 
+useEffect(() => {
+    setAmountRange({ min: filters.minAmount, max: filters.maxAmount });
+}, [filters.minAmount, filters.maxAmount]);
 
-return result;
-}, [
-    transactions,
-    searchTerm,
-    typeFilter,
-    recurringFilter,
-    sortConfig,
-]);
+const dateRange = filters.from
+    ? { from: parseISO(filters.from), to: filters.to ? parseISO(filters.to) : undefined }
+    : undefined;
 
- const totalPages = Math.ceil(
-    filteredAndSortedTransactions.length / ITEMS_PER_PAGE
+ const totalPages = Math.max(
+    Math.ceil(pagination.total / TRANSACTIONS_PAGE_SIZE),
+    1
   );
-  const paginatedTransactions = useMemo(() => {
-    const startIndex = (currentPage - 1) * ITEMS_PER_PAGE;
-    return filteredAndSortedTransactions.slice(
-      startIndex,
-      startIndex + ITEMS_PER_PAGE
-    );
-  }, [filteredAndSortedTransactions, currentPage]);
 
 const handleSort = (field) => {
-    setSortConfig(current =>({
-        field,
-       direction: current.field == field && current.direction === "asc" ? "desc":"asc"
-    }))
+    updateQuery({
+        sort: field,
+        direction: sortConfig.field == field && sortConfig.direction === "asc" ? "desc":"asc"
+    });
 };
 
 const handleSelect = (id) => {
@@ -155,16 +144,16 @@ const handleSelect = (id) => {
 
 const handleSelectAll = (id) => {
     setSelectedIds((current) =>
-    current.length === paginatedTransactions.length
+    current.length === transactions.length
     ? []
-    : paginatedTransactions.map((t) => t.id)
+    : transactions.map((t) => t.id)
 );
 };
 
 const handleBulkDelete = async () => {
     if (
         !window.confirm(
-            `Are you sure you want to delete ${selectedIds.length} transactions?`
+            `Move ${selectedIds.length} transactions to the trash?`
         )
     ) {
     return;
@@ -173,26 +162,93 @@ const handleBulkDelete = async () => {
     deleteFn(selectedIds);
 };
 
+// Deleting only moves rows to the trash, so the toast can offer to undo it.
+const handleUndoDelete = async (ids) => {
+    const result = await restoreTransactions(ids);
+    if (result.success) {
+        toast.success(`Restored ${result.data.count} transactions`);
+        router.refresh();
+    } else {
+        toast.error(result.error);
+    }
+};
+
+// Completing a pending transaction applies it to the balance; failing one
+// takes it back out.
+const handleStatusChange = async (id, status) => {
+    try {
+        await bulkUpdateTransactions([id], { status });
+        toast.success(`Marked as ${TRANSACTION_STATUSES[status].toLowerCase()}`);
+        router.refresh();
+    } catch (error) {
+        toast.error(error.message);
+    }
+};
+
+const handlePauseToggle = async (id, paused) => {
+    const result = await setRecurringPaused(id, paused);
+    if (result.success) {
+        toast.success(paused ? "Recurring transaction paused" : "Recurring transaction resumed");
+        router.refresh();
+    } else {
+        toast.error(result.error);
+    }
+};
+
 useEffect(() => {
-    if (deleted && !deleteLoading) {
-        toast.error("Transactions deleted successfully");
+    if (deleted?.success && !deleteLoading) {
+        const { ids } = deleted.data;
+        toast.success(`Moved ${ids.length} transactions to the trash`, {
+            action: { label: "Undo", onClick: () => handleUndoDelete(ids) },
+        });
+        setSelectedIds([]);
+    } else if (deleted?.error) {
+        toast.error(deleted.error);
     }
 }, [deleted,deleteLoading]);
 
 const handleClearFilters = () => {
-    setSearchTerm("");
-    setTypeFilter("");
-    setRecurringFilter("");
-    setSelectedIds("");
+    updateQuery(EMPTY_FILTERS);
+};
+
+const handleApplyView = (view) => {
+    updateQuery({ ...EMPTY_FILTERS, ...view });
+};
+
+// Adds or removes one value of a multi-select filter (category, status, tags).
+const handleListToggle = (key, value, checked) => {
+    updateQuery({
+        [key]: checked
+            ? [...filters[key], value]
+            : filters[key].filter((item) => item !== value),
+    });
+};
+
+const handleAmountApply = () => {
+    updateQuery({ minAmount: amountRange.min, maxAmount: amountRange.max });
+};
+
+const handleDateRangeChange = (range) => {
+    updateQuery({
+        from: range?.from ? format(range.from, "yyyy-MM-dd") : null,
+        to: range?.to ? format(range.to, "yyyy-MM-dd") : null,
+    });
 };
 
+// Pages are addressed by the first/last row's id; page is only for display.
+// Going back to the first page drops the cursor for a clean URL.
  const handlePageChange = (newPage) => {
-    setCurrentPage(newPage);
-    setSelectedIds([]); 
+    if (newPage === 1) {
+        updateQuery({});
+    } else if (newPage < page) {
+        updateQuery({}, { before: pagination.previousCursor, page: newPage });
+    } else {
+        updateQuery({}, { after: pagination.nextCursor, page: newPage });
+    }
   };
   return (
     <div className='space-y-4'>
-        {deleteLoading && (
+        {(deleteLoading || isNavigating) && (
         <BarLoader className='mt-4' width={"100%"} color="#9333ea" />
         )}
 <div className='flex flex-col sm:flex-row gap-4'>
@@ -200,25 +256,23 @@ const handleClearFilters = () => {
         <Search  className='absolute left-2 top-2.5 h-4 w-4 text-muted-foreground'/>
         <Input  placeholder="Search Transactions.."
         value={searchTerm}
-        onChange={(e) => {setSearchTerm(e.target.value); setCurrentPage(1)}}
+        onChange={(e) => setSearchTerm(e.target.value)}
         className="pl-8"/>
     </div>
 
-    <div className='flex gap-2'>
-    <Select value={typeFilter} onValueChange={(value) => {
-              setTypeFilter(value);
-              setCurrentPage(1);
-            }}>
+    <div className='flex flex-wrap gap-2'>
+    <Select value={filters.type} onValueChange={(value) => updateQuery({ type: value })}>
   <SelectTrigger className="w-[130px]">
     <SelectValue placeholder="All Types" />
   </SelectTrigger>
   <SelectContent>
     <SelectItem value="INCOME">Income</SelectItem>
     <SelectItem value="EXPENSE">Expense</SelectItem>
+    <SelectItem value="TRANSFER">Transfer</SelectItem>
   </SelectContent>
 </Select>
 
- <Select value={recurringFilter} onValueChange={(value) => {setRecurringFilter(value); setCurrentPage(1)}}>
+ <Select value={filters.recurring} onValueChange={(value) => updateQuery({ recurring: value })}>
   <SelectTrigger className="w-[140px]">
     <SelectValue placeholder="All Transactions" />
   </SelectTrigger>
@@ -228,9 +282,96 @@ const handleClearFilters = () => {
   </SelectContent>
 </Select>
 
+<DropdownMenu>
+    <DropdownMenuTrigger asChild>
+        <Button variant="outline">
+            <Layers className='h-4 w-4 mr-2' />
+            {filters.category.length > 0
+                ? `Categories (${filters.category.length})`
+                : "All Categories"}
+        </Button>
+    </DropdownMenuTrigger>
+    <DropdownMenuContent align="end" className="max-h-80 overflow-y-auto">
+        {buildCategoryTree(categories).map((category) => (
+            <DropdownMenuCheckboxItem
+                key={category.id}
+                checked={filters.category.includes(category.slug)}
+                onCheckedChange={(checked) => handleListToggle("category", category.slug, checked)}
+                onSelect={(e) => e.preventDefault()}
+            >
+                {category.name}
+            </DropdownMenuCheckboxItem>
+        ))}
+    </DropdownMenuContent>
+</DropdownMenu>
+
+<DropdownMenu>
+    <DropdownMenuTrigger asChild>
+        <Button variant="outline">
+            <CircleDot className='h-4 w-4 mr-2' />
+            {filters.status.length > 0 ? `Status (${filters.status.length})` : "Any Status"}
+        </Button>
+    </DropdownMenuTrigger>
+    <DropdownMenuContent align="end">
+        {Object.entries(TRANSACTION_STATUSES).map(([key, label]) => (
+            <DropdownMenuCheckboxItem
+                key={key}
+                checked={filters.status.includes(key)}
+                onCheckedChange={(checked) => handleListToggle("status", key, checked)}
+                onSelect={(e) => e.preventDefault()}
+            >
+                {label}
+            </DropdownMenuCheckboxItem>
+        ))}
+    </DropdownMenuContent>
+</DropdownMenu>
+
+<Popover>
+    <PopoverTrigger asChild>
+        <Button variant="outline" className='font-normal'>
+            <DollarSign className='h-4 w-4 mr-2' />
+            {filters.minAmount || filters.maxAmount
+                ? `${filters.minAmount || 0} - ${filters.maxAmount || "any"}`
+                : "Any amount"}
+        </Button>
+    </PopoverTrigger>
+    <PopoverContent className="w-64 p-3 space-y-3" align="end">
+        <div className='flex items-center gap-2'>
+            <Input
+                type="number"
+                step="0.01"
+                min="0"
+                placeholder="Min"
+                value={amountRange.min}
+                onChange={(e) => setAmountRange({ ...amountRange, min: e.target.value })}
+                onKeyDown={(e) => e.key === "Enter" && handleAmountApply()}
+            />
+            <span className='text-muted-foreground'>-</span>
+            <Input
+                type="number"
+                step="0.01"
+                min="0"
+                placeholder="Max"
+                value={amountRange.max}
+                onChange={(e) => setAmountRange({ ...amountRange, max: e.target.value })}
+                onKeyDown={(e) => e.key === "Enter" && handleAmountApply()}
+            />
+        </div>
+        <Button size="sm" className='w-full' onClick={handleAmountApply}>
+            Apply
+        </Button>
+    </PopoverContent>
+</Popover>
+
 
 {selectedIds.length > 0 && (
 <div className='flex items-center gap-2'>
+    <BulkEditDrawer
+        transactionIds={selectedIds}
+        accounts={accounts}
+        categories={categories}
+        onSuccess={() => setSelectedIds([])}
+    />
     <Button variant="destructive" size="sm" onClick={handleBulkDelete}>
         <Trash className='h-4 w-4 mr-2'/>
         Delete Selected ({selectedIds.length})
@@ -238,13 +379,68 @@ const handleClearFilters = () => {
     </div>
     )}
 
-{(searchTerm || typeFilter || recurringFilter) && (
+<DropdownMenu>
+    <DropdownMenuTrigger asChild>
+        <Button variant="outline" disabled={tags.length === 0}>
+            <Tag className='h-4 w-4 mr-2' />
+            {filters.tags.length > 0 ? `Tags (${filters.tags.length})` : "Tags"}
+        </Button>
+    </DropdownMenuTrigger>
+    <DropdownMenuContent align="end">
+        {tags.map((tag) => (
+            <DropdownMenuCheckboxItem
+                key={tag.id}
+                checked={filters.tags.includes(tag.name)}
+                onCheckedChange={(checked) => handleListToggle("tags", tag.name, checked)}
+                onSelect={(e) => e.preventDefault()}
+            >
+                {tag.name}
+            </DropdownMenuCheckboxItem>
+        ))}
+    </DropdownMenuContent>
+</DropdownMenu>
+
+<Popover>
+    <PopoverTrigger asChild>
+        <Button variant="outline" className='font-normal'>
+            <CalendarIcon className='h-4 w-4 mr-2' />
+            {dateRange?.from
+                ? `${format(dateRange.from, "MMM d")} - ${format(dateRange.to || dateRange.from, "MMM d")}`
+                : "All dates"}
+        </Button>
+    </PopoverTrigger>
+    <PopoverContent className="w-auto p-0" align="end">
+        <Calendar
+            mode="range"
+            selected={dateRange}
+            onSelect={handleDateRangeChange}
+            disabled={(d) => d > new Date()}
+        />
+    </PopoverContent>
+</Popover>
+
+<SavedFiltersMenu
+    savedFilters={savedFilters}
+    filters={filters}
+    onApply={handleApplyView}
+/>
+
+{hasActiveFilters(filters) && (
     <Button variant="outline" size="icon"
      onClick={handleClearFilters} title="Clear Filters">
         <X className='h-4 w-5' />
     </Button>
 )}
 
+<ReapplyRulesDrawer
+    accountId={accountId}
+    transactionIds={selectedIds}
+    currency={currency}
+    categoryLookup={categoryLookup}
+/>
+
+<ExportMenu accountId={accountId} filters={filters} />
+
     </div>
 </div>
 
@@ -257,8 +453,8 @@ const handleClearFilters = () => {
       <TableHead className="w-[50px]">
         <Checkbox
         checked={selectedIds.length === 
-        paginatedTransactions.length && 
-      paginatedTransactions.length > 0 } 
+        transactions.length && 
+      transactions.length > 0 } 
       onCheckedChange={handleSelectAll} />
       </TableHead>
    
@@ -299,14 +495,14 @@ const handleClearFilters = () => {
     </TableRow>
   </TableHeader>
   <TableBody>
-    {paginatedTransactions.length === 0 ? (
+    {transactions.length === 0 ? (
         <TableRow>
             <TableCell colSpan={7} className="text-center text-muted-foreground">
                 No Transactions Found
             </TableCell>
         </TableRow>
     ) : (
-        paginatedTransactions.map((transaction) => (
+        transactions.map((transaction) => (
     <TableRow key={transaction.id}>
       <TableCell>
         <Checkbox onCheckedChange={() => handleSelect(transaction.id)} 
@@ -315,19 +511,62 @@ const handleClearFilters = () => {
       <TableCell>
         {format(new Date(transaction.date), "PP")}
       </TableCell>
-      <TableCell>{transaction.description}</TableCell>
+      <TableCell>
+        <div className='flex items-center gap-2'>
+            {transaction.description}
+            {transaction.status !== "COMPLETED" && (
+                <Badge
+                    variant="outline"
+                    className={transaction.status === "FAILED"
+                        ? 'text-xs border-red-200 text-red-600'
+                        : 'text-xs border-amber-200 text-amber-600'}
+                >
+                    {TRANSACTION_STATUSES[transaction.status]}
+                </Badge>
+            )}
+        </div>
+        {transaction.tags?.length > 0 && (
+            <div className='flex flex-wrap gap-1 mt-1'>
+                {transaction.tags.map((tag) => (
+                    <Badge key={tag.id} variant="outline" className='text-xs'>
+                        {tag.name}
+                    </Badge>
+                ))}
+            </div>
+        )}
+      </TableCell>
       <TableCell className="capitalize">
-        <span style={{background: categoryColors[transaction.category],}} 
+        {transaction.splits?.length > 0 ? (
+            <TooltipProvider>
+                <Tooltip>
+                    <TooltipTrigger>
+                        <Badge variant="outline">
+                            Split ({transaction.splits.length})
+                        </Badge>
+                    </TooltipTrigger>
+                    <TooltipContent>
+                        {transaction.splits.map((split) => (
+                            <div key={split.id} className='text-sm'>
+                                {getCategoryLabel(categoryLookup, split.category, split.subcategory)}:{" "}
+                                {formatCurrency(split.amount, currency)}
+                            </div>
+                        ))}
+                    </TooltipContent>
+                </Tooltip>
+            </TooltipProvider>
+        ) : (
+        <span style={{background: categoryLookup[transaction.category]?.color,}} 
         className='px-2 py-1 rounded text-white text-sm'
         >
-        {transaction.category}</span>
+        {getCategoryLabel(categoryLookup, transaction.category, transaction.subcategory)}</span>
+        )}
        </TableCell>
-      <TableCell className="text-right font-medium" style={{
-        color: transaction.type === "EXPENSE" ? "red" : "green",
+      <TableCell className={`text-right font-medium ${transaction.status === "FAILED" ? "line-through opacity-60" : ""}`} style={{
+        color: getAccountAmount(transaction, accountId) < 0 ? "red" : "green",
       }}
       >
-        {transaction.type === "EXPENSE" ? "-" : "+"}
-        ${transaction.amount.toFixed(2)}
+        {getAccountAmount(transaction, accountId) < 0 ? "-" : "+"}
+        {formatCurrency(Math.abs(getAccountAmount(transaction, accountId)), currency)}
       </TableCell>
       <TableCell>
         {transaction.isRecurring ? (
@@ -336,15 +575,42 @@ const handleClearFilters = () => {
            <TooltipTrigger>
             <Badge variant="secondary" className="gap-1 bg-purple-100 text-purple-700 hover:bg-purple-200">
                 <RefreshCw  className='h-3 w-3'/>
-                {RECURRING_INTERVALS[transaction.recurringInterval]}
+                {describeSchedule(transaction)}
              </Badge>
            </TooltipTrigger>
            <TooltipContent>
             <div className='text-sm'>
-                <div className='font-medium'>Next Date:</div>
-                <div>
-                  {format(new Date(transaction.nextRecurringDate), "PP")}
-                </div>
+                {transaction.recurringPausedAt ? (
+                    <div className='font-medium'>Paused</div>
+                ) : transaction.nextRecurringDate ? (
+                    <>
+                        <div className='font-medium'>Next Date:</div>
+                        <div>
+                          {format(new Date(transaction.nextRecurringDate), "PP")}
+                        </div>
+                    </>
+                ) : (
+                    <div className='font-medium'>Ended</div>
+                )}
+            </div>
+           </TooltipContent>
+           </Tooltip>
+           </TooltipProvider>
+        ): transaction.recurringTemplateId ? (
+            <TooltipProvider>
+           <Tooltip>
+           <TooltipTrigger
+            onClick={() =>
+                router.push(`/transaction/create?edit=${transaction.recurringTemplateId}`)}
+           >
+            <Badge variant="outline" className="gap-1 text-purple-700">
+                <RefreshCw  className='h-3 w-3'/>
+                Scheduled </Badge>
+           </TooltipTrigger>
+           <TooltipContent>
+            <div className='text-sm'>
+                Posted by a recurring transaction for{" "}
+                {format(new Date(transaction.recurringDate), "PP")}. Click to edit it.
             </div>
            </TooltipContent>
            </Tooltip>
@@ -368,6 +634,20 @@ const handleClearFilters = () => {
             `/transaction/create?edit=${transaction.id}`)}
     >
      Edit</DropdownMenuItem>
+    {Object.entries(TRANSACTION_STATUSES)
+        .filter(([status]) => status !== transaction.status)
+        .map(([status, label]) => (
+            <DropdownMenuItem key={status}
+             onClick={() => handleStatusChange(transaction.id, status)}
+            >
+             Mark as {label.toLowerCase()}</DropdownMenuItem>
+        ))}
+    {transaction.isRecurring && (
+        <DropdownMenuItem
+         onClick={() => handlePauseToggle(transaction.id, !transaction.recurringPausedAt)}
+        >
+         {transaction.recurringPausedAt ? "Resume recurring" : "Pause recurring"}</DropdownMenuItem>
+    )}
     <DropdownMenuSeparator />
     <DropdownMenuItem className="text-destructive"
      onClick={() => deleteFn([transaction.id])}
@@ -384,24 +664,55 @@ const handleClearFilters = () => {
 </Table>
 </div>
 
+  {totals && pagination.total > 0 && (
+        <div className='flex flex-wrap justify-end gap-x-6 gap-y-1 text-sm'>
+            <span className='text-muted-foreground'>
+                {pagination.total} {hasActiveFilters(filters) ? "matching " : ""}
+                transactions
+            </span>
+            <span>
+                In: <span className='font-medium text-green-600'>
+                    +{formatCurrency(totals.moneyIn, currency)}
+                </span>
+            </span>
+            <span>
+                Out: <span className='font-medium text-red-600'>
+                    -{formatCurrency(totals.moneyOut, currency)}
+                </span>
+            </span>
+            <span>
+                Net: <span className='font-bold'>
+                    {totals.net < 0 ? "-" : "+"}
+                    {formatCurrency(Math.abs(totals.net), currency)}
+                </span>
+            </span>
+            {(totals.pending?.moneyIn > 0 || totals.pending?.moneyOut > 0) && (
+                <span className='text-muted-foreground'>
+                    Pending: +{formatCurrency(totals.pending.moneyIn, currency)}
+                    {" / "}-{formatCurrency(totals.pending.moneyOut, currency)}
+                </span>
+            )}
+        </div>
+    )}
+
   {totalPages > 1 && (
         <div className="flex items-center justify-center gap-2">
           <Button
             variant="outline"
             size="icon"
-            onClick={() => handlePageChange(currentPage - 1)}
-            disabled={currentPage === 1}
+            onClick={() => handlePageChange(page - 1)}
+            disabled={!pagination.previousCursor || isNavigating}
           >
             <ChevronLeft className="h-4 w-4" />
           </Button>
           <span className="text-sm">
-            Page {currentPage} of {totalPages}
+            Page {page} of {totalPages}
           </span>
           <Button
             variant="outline"
             size="icon"
-            onClick={() => handlePageChange(currentPage + 1)}
-            disabled={currentPage === totalPages}
+            onClick={() => handlePageChange(page + 1)}
+            disabled={!pagination.nextCursor || isNavigating}
           >
             <ChevronRight className="h-4 w-4" />
           </Button>
@@ -0,0 +1,206 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { useRouter } from "next/navigation";
+import { format } from "date-fns";
+import { Loader2, RotateCcw, Trash, Trash2 } from "lucide-react";
+import { toast } from "sonner";
+import {
+  Drawer,
+  DrawerContent,
+  DrawerDescription,
+  DrawerHeader,
+  DrawerTitle,
+  DrawerTrigger,
+} from "@/components/ui/drawer";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Button } from "@/components/ui/button";
+import useFetch from "@/hooks/use-fetch";
+import {
+  getDeletedTransactions,
+  purgeTransactions,
+  restoreTransactions,
+} from "@/actions/accounts";
+import { getAccountAmount } from "@/lib/balance";
+import { formatCurrency } from "@/lib/currency";
+
+// The account's deleted transactions: restore them (re-applying their
+// balance effect) or delete them permanently before the purge job does.
+const TrashDrawer = ({ accountId, currency, retentionDays }) => {
+  const router = useRouter();
+  const [open, setOpen] = useState(false);
+
+  const {
+    loading: trashLoading,
+    fn: trashFn,
+    data: trash,
+    setData: setTrash,
+  } = useFetch(getDeletedTransactions);
+
+  const { loading: restoreLoading, fn: restoreFn, data: restored } = useFetch(restoreTransactions);
+  const { loading: purgeLoading, fn: purgeFn, data: purged } = useFetch(purgeTransactions);
+
+  useEffect(() => {
+    if (restored?.success && !restoreLoading) {
+      toast.success(`Restored ${restored.data.count} transactions`);
+      trashFn(accountId);
+      router.refresh();
+    } else if (restored?.error) {
+      toast.error(restored.error);
+    }
+  }, [restored, restoreLoading]);
+
+  useEffect(() => {
+    if (purged?.success && !purgeLoading) {
+      toast.success(`Permanently deleted ${purged.data.count} transactions`);
+      trashFn(accountId);
+    } else if (purged?.error) {
+      toast.error(purged.error);
+    }
+  }, [purged, purgeLoading]);
+
+  const transactions = trash || [];
+  const busy = restoreLoading || purgeLoading;
+
+  const handlePurge = (ids) => {
+    if (
+      !window.confirm(
+        `Permanently delete ${ids.length} transactions? This cannot be undone.`
+      )
+    ) {
+      return;
+    }
+
+    purgeFn(ids);
+  };
+
+  return (
+    <Drawer
+      open={open}
+      onOpenChange={(value) => {
+        setOpen(value);
+        if (value) {
+          trashFn(accountId);
+        } else {
+          setTrash(undefined);
+        }
+      }}
+    >
+      <DrawerTrigger asChild>
+        <Button variant="outline">
+          <Trash2 className="h-4 w-4 mr-2" />
+          Trash
+        </Button>
+      </DrawerTrigger>
+      <DrawerContent>
+        <DrawerHeader>
+          <DrawerTitle>Trash</DrawerTitle>
+          <DrawerDescription>
+            Deleted transactions are removed permanently after {retentionDays} days.
+          </DrawerDescription>
+        </DrawerHeader>
+
+        <div className="px-4 pb-4 space-y-4 overflow-y-auto">
+          {trashLoading && !trash ? (
+            <p className="text-sm text-muted-foreground flex items-center">
+              <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+              Loading trash...
+            </p>
+          ) : transactions.length === 0 ? (
+            <p className="text-sm text-muted-foreground">The trash is empty.</p>
+          ) : (
+            <>
+              <div className="rounded-md border max-h-[45vh] overflow-y-auto">
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>Date</TableHead>
+                      <TableHead>Description</TableHead>
+                      <TableHead>Deleted</TableHead>
+                      <TableHead className="text-right">Amount</TableHead>
+                      <TableHead className="w-[90px]" />
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {transactions.map((transaction) => {
+                      const amount = getAccountAmount(transaction, accountId);
+
+                      return (
+                        <TableRow key={transaction.id}>
+                          <TableCell>{format(new Date(transaction.date), "PP")}</TableCell>
+                          <TableCell>{transaction.description}</TableCell>
+                          <TableCell className="text-muted-foreground">
+                            {format(new Date(transaction.deletedAt), "PP")}
+                          </TableCell>
+                          <TableCell
+                            className="text-right font-medium"
+                            style={{ color: amount < 0 ? "red" : "green" }}
+                          >
+                            {amount < 0 ? "-" : "+"}
+                            {formatCurrency(Math.abs(amount), currency)}
+                          </TableCell>
+                          <TableCell>
+                            <div className="flex justify-end gap-1">
+                              <Button
+                                variant="ghost"
+                                size="icon"
+                                onClick={() => restoreFn([transaction.id])}
+                                disabled={busy}
+                                title="Restore"
+                              >
+                                <RotateCcw className="h-4 w-4" />
+                              </Button>
+                              <Button
+                                variant="ghost"
+                                size="icon"
+                                onClick={() => handlePurge([transaction.id])}
+                                disabled={busy}
+                                title="Delete permanently"
+                              >
+                                <Trash className="h-4 w-4" />
+                              </Button>
+                            </div>
+                          </TableCell>
+                        </TableRow>
+                      );
+                    })}
+                  </TableBody>
+                </Table>
+              </div>
+
+              <div className="flex gap-4">
+                <Button
+                  variant="outline"
+                  className="flex-1"
+                  onClick={() => restoreFn(transactions.map((t) => t.id))}
+                  disabled={busy}
+                >
+                  <RotateCcw className="h-4 w-4 mr-2" />
+                  Restore All
+                </Button>
+                <Button
+                  variant="destructive"
+                  className="flex-1"
+                  onClick={() => handlePurge(transactions.map((t) => t.id))}
+                  disabled={busy}
+                >
+                  <Trash className="h-4 w-4 mr-2" />
+                  Empty Trash
+                </Button>
+              </div>
+            </>
+          )}
+        </div>
+      </DrawerContent>
+    </Drawer>
+  );
+};
+
+export default TrashDrawer;
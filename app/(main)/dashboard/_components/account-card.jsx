@@ -8,11 +8,13 @@ import { ArrowDownRight, ArrowUpRight } from 'lucide-react';
 import Link from 'next/link';
 import React, { useEffect } from 'react'
 import { toast } from 'sonner';
+import { formatCurrency } from '@/lib/currency';
+import { ACCOUNT_TYPES, getCreditUtilization, getLoanPayment } from '@/lib/account-types';
 
 
 
 const AccountCard = ({ account }) => {
-    const { name, type, balance, id, isDefault} = account;
+    const { name, type, balance, currency, baseBalance, baseCurrency, id, isDefault} = account;
 
 const {
     loading: updateDefaultLoading,
@@ -56,11 +58,33 @@ if (error) {
   </CardHeader>
   <CardContent>
   <div className='text-2xl font-bold'>
-    ${parseFloat(balance).toFixed(2)}
+    {formatCurrency(balance, currency)}
     </div>
+    {(account.pendingIncoming > 0 || account.pendingOutgoing > 0) && (
+      <p className='text-xs text-muted-foreground'>
+        Posted · {formatCurrency(account.availableBalance, currency)} available
+        {account.pendingIncoming > 0 &&
+          ` · ${formatCurrency(account.pendingIncoming, currency)} incoming`}
+      </p>
+    )}
+    {baseCurrency && currency !== baseCurrency && (
+      <p className='text-xs text-muted-foreground'>
+        ≈ {formatCurrency(baseBalance, baseCurrency)}
+      </p>
+    )}
     <p className='text-xs text-muted-foreground'>
-        {type.charAt(0) + type.slice(1).toLowerCase()} Account
+        {ACCOUNT_TYPES[type].label} Account
     </p>
+    {type === "CREDIT_CARD" && getCreditUtilization(account) !== null && (
+      <p className='text-xs text-muted-foreground'>
+        {getCreditUtilization(account).toFixed(1)}% of {formatCurrency(account.creditLimit, currency)} limit used
+      </p>
+    )}
+    {type === "LOAN" && getLoanPayment(account) !== null && (
+      <p className='text-xs text-muted-foreground'>
+        {formatCurrency(getLoanPayment(account), currency)} / month
+      </p>
+    )}
   </CardContent>
   <CardFooter className="flex justify-between text-sm text-muted-foreground">
  <div className="flex items-center">
@@ -0,0 +1,188 @@
+"use client"
+
+import React, { useEffect, useState } from 'react';
+import { Input } from '@/components/ui/input';
+import { Button } from '@/components/ui/button';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Switch } from '@/components/ui/switch';
+import { Check, X } from 'lucide-react';
+import useFetch from '@/hooks/use-fetch';
+import { createBudget, updateBudget } from '@/actions/budget';
+import { buildCategoryTree } from '@/lib/categories';
+import { BUDGET_PERIODS } from '@/lib/budget-periods';
+import { toast } from 'sonner';
+import { useRouter } from 'next/navigation';
+
+// Radix Select does not accept "" as an item value.
+const ALL = "all";
+
+const WEEKDAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+const BudgetForm = ({ budget, accounts, categories, onDone }) => {
+const router = useRouter();
+const expenseCategories = buildCategoryTree(categories, { type: "EXPENSE" });
+const [amount, setAmount] = useState(budget?.amount?.toString() || "");
+const [category, setCategory] = useState(budget?.category || ALL);
+const [accountId, setAccountId] = useState(budget?.accountId || ALL);
+const [period, setPeriod] = useState(budget?.period || "MONTHLY");
+const [startDay, setStartDay] = useState(budget?.startDay?.toString() || "");
+const [rollover, setRollover] = useState(budget?.rollover || false);
+const [thresholds, setThresholds] = useState(
+    (budget?.alertThresholds || [80]).join(", ")
+);
+
+const isWeekly = !BUDGET_PERIODS[period].months;
+
+const {
+    loading: isLoading,
+    fn: saveBudgetFn,
+    data: savedBudget,
+} = useFetch(budget ? updateBudget : createBudget);
+
+const handleSave = async () => {
+  const value = parseFloat(amount);
+
+  if (isNaN(value) || value <= 0) {
+    toast.error("Please enter a valid amount");
+    return;
+  }
+
+  const alertThresholds = thresholds
+    .split(",")
+    .map((t) => t.trim())
+    .filter(Boolean)
+    .map(Number);
+
+  if (alertThresholds.some((t) => isNaN(t) || t <= 0)) {
+    toast.error("Alert thresholds must be positive percentages, e.g. 50, 80, 100");
+    return;
+  }
+
+  const data = {
+    amount: value,
+    category: category === ALL ? null : category,
+    accountId: accountId === ALL ? null : accountId,
+    period,
+    startDay: startDay || null,
+    rollover,
+    alertThresholds,
+  };
+
+  if (budget) {
+    await saveBudgetFn(budget.id, data);
+  } else {
+    await saveBudgetFn(data);
+  }
+};
+
+useEffect(() => {
+    if (savedBudget?.success) {
+        toast.success(budget ? "Budget updated successfully" : "Budget created successfully");
+        onDone();
+        router.refresh();
+    } else if (savedBudget?.error) {
+        toast.error(savedBudget.error);
+    }
+}, [savedBudget, router]);
+
+  return (
+    <div className='flex flex-wrap items-center gap-2'>
+      <Select value={category} onValueChange={setCategory} disabled={isLoading}>
+        <SelectTrigger className="w-[170px]">
+          <SelectValue placeholder="Category" />
+        </SelectTrigger>
+        <SelectContent>
+          <SelectItem value={ALL}>All categories</SelectItem>
+          {expenseCategories.map((c) => (
+            <SelectItem key={c.id} value={c.slug}>{c.name}</SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+
+      <Select value={accountId} onValueChange={setAccountId} disabled={isLoading}>
+        <SelectTrigger className="w-[150px]">
+          <SelectValue placeholder="Account" />
+        </SelectTrigger>
+        <SelectContent>
+          <SelectItem value={ALL}>All accounts</SelectItem>
+          {accounts.map((account) => (
+            <SelectItem key={account.id} value={account.id}>{account.name}</SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+
+      <Select
+        value={period}
+        onValueChange={(value) => {
+          setPeriod(value);
+          setStartDay("");
+        }}
+        disabled={isLoading}
+      >
+        <SelectTrigger className="w-[130px]">
+          <SelectValue placeholder="Period" />
+        </SelectTrigger>
+        <SelectContent>
+          {Object.entries(BUDGET_PERIODS).map(([key, { label }]) => (
+            <SelectItem key={key} value={key}>{label}</SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+
+      <Select value={startDay} onValueChange={setStartDay} disabled={isLoading}>
+        <SelectTrigger className="w-[150px]">
+          <SelectValue placeholder={isWeekly ? "Starts Monday" : "Starts on the 1st"} />
+        </SelectTrigger>
+        <SelectContent>
+          {isWeekly
+            ? WEEKDAYS.map((day, index) => (
+                <SelectItem key={day} value={String(index)}>Starts {day}</SelectItem>
+              ))
+            : Array.from({ length: 31 }, (_, index) => (
+                <SelectItem key={index} value={String(index + 1)}>
+                  Starts on day {index + 1}
+                </SelectItem>
+              ))}
+        </SelectContent>
+      </Select>
+
+      <label className='flex items-center gap-2 text-sm'>
+        <Switch checked={rollover} onCheckedChange={setRollover} disabled={isLoading} />
+        Rollover
+      </label>
+
+      <Input
+        value={thresholds}
+        onChange={(e) => setThresholds(e.target.value)}
+        className="w-36"
+        placeholder="Alerts at %, e.g. 80, 100"
+        title="Email alerts at these percentages of the budget"
+        disabled={isLoading}
+      />
+
+      <Input
+        type="number"
+        value={amount}
+        onChange={(e) => setAmount(e.target.value)}
+        className="w-32"
+        placeholder="Enter amount"
+        autoFocus
+        disabled={isLoading}
+      />
+      <Button variant="ghost" size="icon" onClick={handleSave} disabled={isLoading}>
+        <Check className="h-4 w-4 text-green-500"/>
+      </Button>
+      <Button variant="ghost" size="icon" onClick={onDone} disabled={isLoading}>
+        <X className="h-4 w-4 text-red-500"/>
+      </Button>
+    </div>
+  )
+}
+
+export default BudgetForm;
@@ -8,69 +8,45 @@ import {
   CardHeader,
   CardTitle,
 } from "@/components/ui/card"
-import { Input } from '@/components/ui/input';
 import { Button } from '@/components/ui/button';
-import { Check, Pencil, X } from 'lucide-react';
+import { Pencil, Plus, Trash } from 'lucide-react';
 import useFetch from '@/hooks/use-fetch';
-import { updateBudget } from '@/actions/budget';
+import { deleteBudget } from '@/actions/budget';
 import { toast } from 'sonner';
 import { useRouter } from 'next/navigation';
 import { Progress } from '@/components/ui/progress';
+import BudgetForm from './budget-form';
+import { BUDGET_PERIODS } from '@/lib/budget-periods';
+import { format } from 'date-fns';
+import { formatCurrency } from '@/lib/currency';
 
 
 
-const BudgetProgress = ({ initialBudget, currentExpenses }) => {
-const [isEditing, setIsEditing] = useState(false);
-const [newBudget, setNewBudget] = useState(
-    initialBudget?.amount?.toString() || ""
-);
+const BudgetProgress = ({ budgets, accounts, categories }) => {
+const [editingId, setEditingId] = useState(null);
+const [isAdding, setIsAdding] = useState(false);
 
 const {
-    loading: isLoading,
-    fn: updateBudgetFn,
-    data: updatedBudget,
-    error,
-} = useFetch(updateBudget);
+    loading: deleteLoading,
+    fn: deleteBudgetFn,
+    data: deletedBudget,
+} = useFetch(deleteBudget);
 
+const router = useRouter();
 
-
-const percentUsed = initialBudget
-? (currentExpenses / initialBudget.amount) * 100
-: 0;
-
-
-
-
-const handleUpdateBudget = async () => {
-  const amount = parseFloat(newBudget);
-
-  if (isNaN(amount) || amount <= 0) {
-    toast.error("Please enter a valid amount");
-    return;
-  }
-  await updateBudgetFn(amount);
-};
-
-const handleCancel = () => {
-    setNewBudget(initialBudget?.amount?.toString() || "");
-    setIsEditing(false);
+const handleDelete = async (budget) => {
+  if (!window.confirm(`Delete the ${budget.name} budget?`)) return;
+  await deleteBudgetFn(budget.id);
 };
 
-const router = useRouter();
-
 useEffect(() => {
-    if (updatedBudget?.success) {
-        setIsEditing(false);
-        toast.success("Budget updated successfully");
+    if (deletedBudget?.success) {
+        toast.success("Budget deleted successfully");
         router.refresh();
+    } else if (deletedBudget?.error) {
+        toast.error(deletedBudget.error);
     }
-}, [updatedBudget, router]);
-
-useEffect(() => {
-    if(error) {
-        toast.error(error.message || "Failed to update budget");
-    }
-}, [error]);
+}, [deletedBudget, router]);
 
 
 
@@ -78,65 +54,89 @@ useEffect(() => {
   return (
         <Card>
   <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
-     <div className='flex-1'>
-    <CardTitle>Monthly Budget (Default Account)</CardTitle>
-    <div className='flex items-center gap-2 mt-1'>
-        {isEditing ? (
-        <div className='flex items-center gap-2'>
-            <Input 
-            type="number"
-            value={newBudget}
-            onChange={(e) => setNewBudget(e.target.value)}
-            className="w-32"
-            placeholder="Enter amount"
-            autoFocus
-            disabled={isLoading}
-            />
-            <Button variant="ghost" size="icon" onClick={handleUpdateBudget} disabled={isLoading}>
-                <Check className="h-4 w-4 text-green-500"/>
-            </Button>
-            <Button variant="ghost" size="icon" onClick={handleCancel} disabled={isLoading}>
-                <X className="h-4 w-4 text-red-500"/>
-            </Button>
-            </div> 
-            ):  ( <> 
-            <CardDescription>
-                {initialBudget ?
-                `$${currentExpenses.toFixed(
-                    2  
-                )} of $${initialBudget.amount.toFixed(2)} spent`
-            : "No budget set"}
-            </CardDescription>
-            <Button 
-            variant="ghost" 
-            size="icon"
-            onClick={() => setIsEditing(true)}
-            className="h-6 w-6"
-            >
-                <Pencil className='h-3 w-3' />
-            </Button>
-            </>
-        )}
-        </div>
+    <div className='flex-1'>
+      <CardTitle>Budgets</CardTitle>
+      <CardDescription className="mt-1">
+        {budgets.length === 0 ? "No budget set" : "Spending by category in the current period"}
+      </CardDescription>
     </div>
+    {!isAdding && (
+      <Button variant="outline" size="sm" onClick={() => setIsAdding(true)}>
+        <Plus className='h-4 w-4 mr-1' />
+        Add Budget
+      </Button>
+    )}
   </CardHeader>
-  <CardContent>
-   {initialBudget && (
-   <div className='space-y-2'>
-    <Progress value={percentUsed} 
+  <CardContent className="space-y-6">
+   {isAdding && (
+     <BudgetForm accounts={accounts} categories={categories} onDone={() => setIsAdding(false)} />
+   )}
+
+   {budgets.map((budget) => {
+    const percentUsed = budget.percentUsed;
+
+    return (
+   <div key={budget.id} className='space-y-2'>
+    {editingId === budget.id ? (
+      <BudgetForm budget={budget} accounts={accounts} categories={categories} onDone={() => setEditingId(null)} />
+    ) : (
+    <div className='flex items-center justify-between gap-2'>
+      <div>
+        <p className='text-sm font-medium capitalize'>{budget.name}</p>
+        <p className='text-sm text-muted-foreground'>
+          {formatCurrency(budget.currentExpenses, budget.currency)} of{" "}
+          {formatCurrency(budget.available, budget.currency)} spent
+          {" · "}
+          {BUDGET_PERIODS[budget.period].label}{" "}
+          ({format(new Date(budget.periodStart), "MMM d")} - {format(new Date(budget.periodEnd), "MMM d")})
+        </p>
+        {budget.rollover && budget.rolloverAmount !== 0 && (
+          <p className='text-xs text-muted-foreground'>
+            {budget.rolloverAmount > 0 ? "+" : "-"}
+            {formatCurrency(Math.abs(budget.rolloverAmount), budget.currency)} rolled over from previous periods
+          </p>
+        )}
+      </div>
+      <div className='flex items-center'>
+        <Button
+          variant="ghost"
+          size="icon"
+          onClick={() => setEditingId(budget.id)}
+          className="h-6 w-6"
+        >
+          <Pencil className='h-3 w-3' />
+        </Button>
+        <Button
+          variant="ghost"
+          size="icon"
+          onClick={() => handleDelete(budget)}
+          disabled={deleteLoading}
+          className="h-6 w-6"
+        >
+          <Trash className='h-3 w-3 text-red-500' />
+        </Button>
+      </div>
+    </div>
+    )}
+    <Progress value={Math.min(percentUsed, 100)}
     extraStyles={`${
-        percentUsed >= 90 
+        percentUsed >= 90
         ? "bg-red-500"
-        : percentUsed >= 75 
+        : percentUsed >= 75
         ? "bg-yellow-500"
         : "bg-green-500"
     }`}
     />
-    <p className='text-xs text-muted-foreground text-right'>
-    {percentUsed.toFixed(1)}% used
-    </p>
+    <div className='flex justify-between text-xs text-muted-foreground'>
+    <span>
+    {budget.alertThresholds.length > 0 &&
+      `Alerts at ${budget.alertThresholds.map((t) => `${t}%`).join(", ")}`}
+    </span>
+    <span>{percentUsed.toFixed(1)}% used</span>
+    </div>
     </div>
-)}
+    );
+   })}
   </CardContent>
 
 </Card>
@@ -144,4 +144,4 @@ useEffect(() => {
   )
 }
 
-export default BudgetProgress;
\ No newline at end of file
+export default BudgetProgress;
@@ -0,0 +1,134 @@
+'use client';
+
+import { format, startOfDay, subDays } from 'date-fns';
+import React, { useMemo, useState } from 'react';
+import { Area, ComposedChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import {
+  Card,
+  CardContent,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { formatCurrency } from '@/lib/currency';
+
+
+const DATE_RANGES = {
+  "1M": { label: "Last Month", days: 30 },
+  "3M": { label: "Last 3 Months", days: 90 },
+  "6M": { label: "Last 6 Months", days: 180 },
+  "1Y": { label: "Last Year", days: 365 },
+  ALL: { label: "All Time", days: null },
+};
+
+const COLORS = [
+  "#8884d8",
+  "#82ca9d",
+  "#FF6B6B",
+  "#45B7D1",
+  "#FFEEAD",
+  "#D4A5A5",
+  "#9FA8DA",
+];
+
+const NetWorthChart = ({ accounts, history, baseCurrency }) => {
+  const [dateRange, setDateRange] = useState("3M");
+
+  const data = useMemo(() => {
+    const range = DATE_RANGES[dateRange];
+    const startDate = range.days
+      ? startOfDay(subDays(new Date(), range.days))
+      : new Date(0);
+
+    return history
+      .filter((row) => new Date(row.date) >= startDate)
+      .map((row) => ({ ...row, label: format(new Date(row.date), "MMM dd") }));
+  }, [history, dateRange]);
+
+  const money = (value) => formatCurrency(value, baseCurrency);
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-7">
+        <CardTitle className="text-base font-normal">
+          Net Worth Over Time
+        </CardTitle>
+        <Select defaultValue={dateRange} onValueChange={setDateRange}>
+          <SelectTrigger className="w-[140px]">
+            <SelectValue placeholder="Select range" />
+          </SelectTrigger>
+          <SelectContent>
+            {Object.entries(DATE_RANGES).map(([key, { label }]) => (
+              <SelectItem key={key} value={key}>
+                {label}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </CardHeader>
+      <CardContent>
+        <div className='h-[300px]'>
+          <ResponsiveContainer width="100%" height="100%">
+            {/* "sign" stacks liabilities below zero and assets above it. */}
+            <ComposedChart
+              data={data}
+              stackOffset="sign"
+              margin={{ top: 10, right: 10, left: 10, bottom: 0 }}
+            >
+              <CartesianGrid strokeDasharray="3 3" vertical={false} />
+              <XAxis
+                dataKey="label"
+                fontSize={12}
+                tickLine={false}
+                axisLine={false}
+              />
+              <YAxis
+                fontSize={12}
+                tickLine={false}
+                axisLine={false}
+                tickFormatter={money}
+              />
+              <Tooltip
+                formatter={(value) => money(value)}
+                contentStyle={{
+                  backgroundColor: "hsl(var(--popover))",
+                  border: "1px solid hsl(var(--border))",
+                  borderRadius: "var(--radius)",
+                }}
+              />
+              <Legend />
+              {accounts.map((account, index) => (
+                <Area
+                  key={account.id}
+                  type="monotone"
+                  dataKey={account.id}
+                  name={account.name}
+                  stackId="accounts"
+                  stroke={COLORS[index % COLORS.length]}
+                  fill={COLORS[index % COLORS.length]}
+                  fillOpacity={0.6}
+                />
+              ))}
+              <Line
+                type="monotone"
+                dataKey="netWorth"
+                name="Net Worth"
+                stroke="#111827"
+                strokeWidth={2}
+                dot={false}
+              />
+            </ComposedChart>
+          </ResponsiveContainer>
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default NetWorthChart;
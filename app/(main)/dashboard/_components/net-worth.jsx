@@ -0,0 +1,34 @@
+import React from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { formatCurrency } from '@/lib/currency';
+import { getNetWorth } from '@/lib/account-types';
+
+const NetWorth = ({ accounts }) => {
+  const currency = accounts[0]?.baseCurrency;
+  const { assets, liabilities, netWorth } = getNetWorth(accounts);
+
+  return (
+    <Card>
+      <CardHeader className="pb-2">
+        <CardTitle className="text-base font-normal">Net Worth</CardTitle>
+      </CardHeader>
+      <CardContent className='flex flex-wrap items-end justify-between gap-4'>
+        <div className={`text-3xl font-bold ${netWorth >= 0 ? "text-green-500" : "text-red-500"}`}>
+          {formatCurrency(netWorth, currency)}
+        </div>
+        <div className='flex gap-8 text-sm'>
+          <div>
+            <p className='text-muted-foreground'>Assets</p>
+            <p className='font-medium'>{formatCurrency(assets, currency)}</p>
+          </div>
+          <div>
+            <p className='text-muted-foreground'>Liabilities</p>
+            <p className='font-medium'>{formatCurrency(liabilities, currency)}</p>
+          </div>
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
+
+export default NetWorth;
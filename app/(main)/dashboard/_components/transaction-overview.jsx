@@ -22,6 +22,10 @@ import {
 } from "@/components/ui/select";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { cn } from "@/lib/utils";
+import { getAccountAmount } from "@/lib/balance";
+import { formatCurrency } from "@/lib/currency";
+import { getCategoryLabel, getCategoryLookup } from "@/lib/categories";
+import { getCategoryLines } from "@/lib/splits";
 
 const COLORS = [
   "#FF6B6B",
@@ -33,14 +37,21 @@ const COLORS = [
   "#9FA8DA",
 ];
 
-export function DashboardOverview({ accounts, transactions }) {
+export function DashboardOverview({ accounts, transactions, categories }) {
   const [selectedAccountId, setSelectedAccountId] = useState(
     accounts.find((a) => a.isDefault)?.id || accounts[0]?.id
   );
+  const [breakdown, setBreakdown] = useState("category");
+
+  const categoryLookup = getCategoryLookup(categories);
+
+  const currency = accounts.find((a) => a.id === selectedAccountId)?.currency;
 
   // Filter transactions for selected account
   const accountTransactions = transactions.filter(
-    (t) => t.accountId === selectedAccountId
+    (t) =>
+      t.accountId === selectedAccountId ||
+      t.transferAccountId === selectedAccountId
   );
 
   // Get recent transactions (last 5)
@@ -48,34 +59,39 @@ export function DashboardOverview({ accounts, transactions }) {
     .sort((a, b) => new Date(b.date) - new Date(a.date))
     .slice(0, 5);
 
-  // Calculate expense breakdown for current month
+  // Calculate expense breakdown for current month. Failed charges are left
+  // out, as in the monthly report and budgets.
   const currentDate = new Date();
   const currentMonthExpenses = accountTransactions.filter((t) => {
     const transactionDate = new Date(t.date);
     return (
       t.type === "EXPENSE" &&
+      t.status !== "FAILED" &&
       transactionDate.getMonth() === currentDate.getMonth() &&
       transactionDate.getFullYear() === currentDate.getFullYear()
     );
   });
 
-  // Group expenses by category
-  const expensesByCategory = currentMonthExpenses.reduce((acc, transaction) => {
-    const category = transaction.category;
-    if (!acc[category]) {
-      acc[category] = 0;
-    }
-    acc[category] += transaction.amount;
-    return acc;
-  }, {});
+  // Group expenses by category, or by subcategory within each category.
+  // Split expenses count against each of their lines' categories.
+  const expensesByCategory = currentMonthExpenses
+    .flatMap(getCategoryLines)
+    .reduce((acc, line) => {
+      const subcategory = breakdown === "subcategory" ? line.subcategory : null;
+      const key = `${line.category}/${subcategory || ""}`;
+      if (!acc[key]) {
+        acc[key] = {
+          name: getCategoryLabel(categoryLookup, line.category, subcategory),
+          color: subcategory ? null : categoryLookup[line.category]?.color,
+          value: 0,
+        };
+      }
+      acc[key].value += line.amount;
+      return acc;
+    }, {});
 
   // Format data for pie chart
-  const pieChartData = Object.entries(expensesByCategory).map(
-    ([category, amount]) => ({
-      name: category,
-      value: amount,
-    })
-  );
+  const pieChartData = Object.values(expensesByCategory);
 
   return (
     <div className="grid gap-4 md:grid-cols-2">
@@ -125,17 +141,20 @@ export function DashboardOverview({ accounts, transactions }) {
                     <div
                       className={cn(
                         "flex items-center",
-                        transaction.type === "EXPENSE"
+                        getAccountAmount(transaction, selectedAccountId) < 0
                           ? "text-red-500"
                           : "text-green-500"
                       )}
                     >
-                      {transaction.type === "EXPENSE" ? (
+                      {getAccountAmount(transaction, selectedAccountId) < 0 ? (
                         <ArrowDownRight className="mr-1 h-4 w-4" />
                       ) : (
                         <ArrowUpRight className="mr-1 h-4 w-4" />
                       )}
-                      ${transaction.amount.toFixed(2)}
+                      {formatCurrency(
+                        Math.abs(getAccountAmount(transaction, selectedAccountId)),
+                        currency
+                      )}
                     </div>
                   </div>
                 </div>
@@ -147,10 +166,19 @@ export function DashboardOverview({ accounts, transactions }) {
 
       {/* Expense Breakdown Card */}
       <Card>
-        <CardHeader>
+        <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-4">
           <CardTitle className="text-base font-normal">
             Monthly Expense Breakdown
           </CardTitle>
+          <Select value={breakdown} onValueChange={setBreakdown}>
+            <SelectTrigger className="w-[160px]">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="category">By category</SelectItem>
+              <SelectItem value="subcategory">By subcategory</SelectItem>
+            </SelectContent>
+          </Select>
         </CardHeader>
         <CardContent className="p-0 pb-5">
           {pieChartData.length === 0 ? (
@@ -169,17 +197,17 @@ export function DashboardOverview({ accounts, transactions }) {
                     fill="#8884d8"
                     dataKey="value"
                     labelLine={true}
-                    label={({ name, value }) => `${name}: $${value.toFixed(2)}`}
+                    label={({ name, value }) => `${name}: ${formatCurrency(value, currency)}`}
                   >
                     {pieChartData.map((entry, index) => (
                       <Cell
                         key={`cell-${index}`}
-                        fill={COLORS[index % COLORS.length]}
+                        fill={entry.color || COLORS[index % COLORS.length]}
                       />
                     ))}
                   </Pie>
                   <Tooltip
-                    formatter={(value) => `$${value.toFixed(2)}`}
+                    formatter={(value) => formatCurrency(value, currency)}
                     contentStyle={{
                       backgroundColor: "hsl(var(--popover))",
                       border: "1px solid hsl(var(--border))",
@@ -1,35 +1,42 @@
-import { getDashboardData, getUserAccounts } from '@/actions/dashboard';
+import { getDashboardData, getNetWorthHistory, getUserAccounts } from '@/actions/dashboard';
 import CreateAccountDrawer from '@/components/create-account-drawer';
 import { Card, CardContent } from '@/components/ui/card';
 import { Plus } from 'lucide-react';
 import React, { Suspense } from 'react'
 import AccountCard from './_components/account-card';
-import { getCurrentBudget } from '@/actions/budget';
+import { getCurrentBudgets } from '@/actions/budget';
+import { getCategories } from '@/actions/categories';
 import BudgetProgress from './_components/budget-progress';
 import { DashboardOverview } from './_components/transaction-overview';
+import NetWorth from './_components/net-worth';
+import NetWorthChart from './_components/net-worth-chart';
 
 
 async function DashboardPage() {
 const accounts = await getUserAccounts();
-const defaultAccount = accounts?.find((account) => account.isDefault);
-let budgetData = null;
-if (defaultAccount) {
-budgetData = await getCurrentBudget(defaultAccount.id);
-}
+const budgets = await getCurrentBudgets();
 
 const transactions = await getDashboardData();
+const netWorthHistory = await getNetWorthHistory();
+const categories = await getCategories();
   return (
     <div className='space-y-8'>
- {defaultAccount && (
+ {accounts.length > 0 && <NetWorth accounts={accounts} />}
+
+ {accounts.length > 0 && <NetWorthChart {...netWorthHistory} />}
+
+ {accounts.length > 0 && (
   <BudgetProgress 
-   initialBudget={budgetData.budget}
-  currentExpenses={budgetData?.currentExpenses || 0}
+   budgets={budgets}
+  accounts={accounts}
+  categories={categories}
 />
 )}
 
 <Suspense fallback={"Loading Overview..."}>
 <DashboardOverview accounts={accounts}
-transactions={transactions || []} />
+transactions={transactions || []}
+categories={categories} />
 </Suspense>
 
       <div className='grid gap-4 md:grid-cols-2 lg:grid-cols-3'>
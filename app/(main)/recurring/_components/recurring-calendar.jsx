@@ -0,0 +1,93 @@
+"use client";
+
+import { useMemo, useState } from "react";
+import { addDays, endOfDay, format, isSameDay, startOfDay } from "date-fns";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Calendar } from "@/components/ui/calendar";
+import { getUnpostedOccurrences } from "@/lib/recurring";
+import TemplateAmount from "./template-amount";
+
+const CALENDAR_DAYS = 90;
+
+const UPCOMING_LIST_SIZE = 10;
+
+// Where every active template will post over the next 90 days. Overdue
+// occurrences the next processing run catches up on are not shown.
+const RecurringCalendar = ({ templates }) => {
+  const today = startOfDay(new Date());
+  const until = endOfDay(addDays(today, CALENDAR_DAYS));
+  const [selectedDay, setSelectedDay] = useState();
+
+  const occurrences = useMemo(
+    () =>
+      templates
+        .flatMap((template) =>
+          getUnpostedOccurrences(template, until)
+            .filter((date) => date >= today)
+            .map((date) => ({ date, template }))
+        )
+        .sort((a, b) => a.date - b.date),
+    [templates]
+  );
+
+  const listed = selectedDay
+    ? occurrences.filter((o) => isSameDay(o.date, selectedDay))
+    : occurrences.slice(0, UPCOMING_LIST_SIZE);
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Upcoming</CardTitle>
+        <CardDescription>
+          {occurrences.length} occurrences in the next {CALENDAR_DAYS} days. Pick a
+          day to see what is due.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="flex flex-col xl:flex-row gap-6">
+        <Calendar
+          mode="single"
+          numberOfMonths={3}
+          selected={selectedDay}
+          onSelect={setSelectedDay}
+          startMonth={today}
+          endMonth={until}
+          disabled={{ before: today, after: until }}
+          modifiers={{ due: occurrences.map((o) => o.date) }}
+          modifiersClassNames={{ due: "font-bold text-purple-700 underline" }}
+        />
+
+        <div className="flex-1 space-y-2">
+          <p className="text-sm font-medium">
+            {selectedDay ? format(selectedDay, "PPPP") : "Next up"}
+          </p>
+          {listed.length === 0 ? (
+            <p className="text-sm text-muted-foreground">Nothing due.</p>
+          ) : (
+            listed.map(({ date, template }) => (
+              <div
+                key={`${template.id}-${date.getTime()}`}
+                className="flex items-center justify-between gap-4 rounded-md border p-3 text-sm"
+              >
+                <div>
+                  <p className="font-medium">{template.description}</p>
+                  <p className="text-muted-foreground">
+                    {format(date, "PP")} · {template.account.name}
+                  </p>
+                </div>
+                <TemplateAmount template={template} />
+              </div>
+            ))
+          )}
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default RecurringCalendar;
@@ -0,0 +1,245 @@
+"use client";
+
+import { useState } from "react";
+import { useRouter } from "next/navigation";
+import { format } from "date-fns";
+import { ArrowRight, Loader2, MoreHorizontal } from "lucide-react";
+import { toast } from "sonner";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import {
+  endRecurringTransaction,
+  setRecurringPaused,
+  skipNextOccurrence,
+} from "@/actions/recurring";
+import { describeSchedule } from "@/lib/recurring";
+import TemplateAmount from "./template-amount";
+
+// Only completed templates are processed, so a pending or failed one posts
+// nothing until it is marked completed.
+const getState = (template) =>
+  !template.nextRecurringDate
+    ? "ended"
+    : template.status !== "COMPLETED"
+      ? "not posting"
+      : template.recurringPausedAt
+        ? "paused"
+        : "active";
+
+// Every recurring template with its schedule and what it does next.
+const RecurringList = ({ templates }) => {
+  const router = useRouter();
+  const [busyId, setBusyId] = useState(null);
+
+  const runAction = async (id, action, message) => {
+    setBusyId(id);
+    const result = await action();
+    setBusyId(null);
+
+    if (result.success) {
+      toast.success(message);
+      router.refresh();
+    } else {
+      toast.error(result.error);
+    }
+  };
+
+  const handleEnd = (template) => {
+    if (
+      !window.confirm(
+        `Stop "${template.description}" from recurring? Transactions it already posted are kept.`
+      )
+    ) {
+      return;
+    }
+
+    runAction(template.id, () => endRecurringTransaction(template.id), "Schedule ended");
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Recurring Transactions</CardTitle>
+        <CardDescription>
+          Templates that post a copy of themselves on their schedule.
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        {templates.length === 0 ? (
+          <p className="text-sm text-muted-foreground">
+            No recurring transactions yet. Turn on &quot;Recurring Transaction&quot;
+            when adding one.
+          </p>
+        ) : (
+          <div className="rounded-md border">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Description</TableHead>
+                  <TableHead>Schedule</TableHead>
+                  <TableHead>Account</TableHead>
+                  <TableHead className="text-right">Amount</TableHead>
+                  <TableHead>Next Date</TableHead>
+                  <TableHead>Last Posted</TableHead>
+                  <TableHead className="w-[50px]" />
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {templates.map((template) => {
+                  const state = getState(template);
+
+                  return (
+                    <TableRow key={template.id} className={state === "ended" ? "opacity-60" : ""}>
+                      <TableCell>
+                        <div className="flex items-center gap-2">
+                          {template.description}
+                          {state !== "active" && (
+                            <Badge
+                              variant="outline"
+                              className="text-xs capitalize"
+                              title={
+                                state === "not posting"
+                                  ? `${template.status === "PENDING" ? "Pending" : "Failed"} transactions do not repeat. Mark it completed to start posting.`
+                                  : undefined
+                              }
+                            >
+                              {state}
+                            </Badge>
+                          )}
+                        </div>
+                      </TableCell>
+                      <TableCell>
+                        <div>{describeSchedule(template)}</div>
+                        {(template.recurringEndDate || template.recurringMaxCount) && (
+                          <div className="text-xs text-muted-foreground">
+                            {[
+                              template.recurringEndDate &&
+                                `until ${format(new Date(template.recurringEndDate), "PP")}`,
+                              template.recurringMaxCount &&
+                                `${template.recurringCount + 1} of ${template.recurringMaxCount} posted or skipped`,
+                            ]
+                              .filter(Boolean)
+                              .join(", ")}
+                          </div>
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        <div className="flex items-center gap-1">
+                          {template.account.name}
+                          {template.transferAccount && (
+                            <>
+                              <ArrowRight className="h-3 w-3" />
+                              {template.transferAccount.name}
+                            </>
+                          )}
+                        </div>
+                      </TableCell>
+                      <TableCell className="text-right">
+                        <TemplateAmount template={template} />
+                      </TableCell>
+                      <TableCell>
+                        {state === "active"
+                          ? format(new Date(template.nextRecurringDate), "PP")
+                          : "-"}
+                      </TableCell>
+                      <TableCell className="text-muted-foreground">
+                        {template.lastProcessed
+                          ? format(new Date(template.lastProcessed), "PP")
+                          : "Never"}
+                      </TableCell>
+                      <TableCell>
+                        <DropdownMenu>
+                          <DropdownMenuTrigger asChild>
+                            <Button
+                              variant="ghost"
+                              className="h-8 w-8 p-0"
+                              disabled={busyId === template.id}
+                            >
+                              {busyId === template.id ? (
+                                <Loader2 className="h-4 w-4 animate-spin" />
+                              ) : (
+                                <MoreHorizontal className="h-4 w-4" />
+                              )}
+                            </Button>
+                          </DropdownMenuTrigger>
+                          <DropdownMenuContent>
+                            <DropdownMenuItem
+                              onClick={() =>
+                                router.push(`/transaction/create?edit=${template.id}`)
+                              }
+                            >
+                              Edit
+                            </DropdownMenuItem>
+                            {(state === "active" || state === "paused") && (
+                              <>
+                                <DropdownMenuItem
+                                  onClick={() =>
+                                    runAction(
+                                      template.id,
+                                      () => setRecurringPaused(template.id, state === "active"),
+                                      state === "active" ? "Schedule paused" : "Schedule resumed"
+                                    )
+                                  }
+                                >
+                                  {state === "active" ? "Pause" : "Resume"}
+                                </DropdownMenuItem>
+                                {state === "active" && (
+                                  <DropdownMenuItem
+                                    onClick={() =>
+                                      runAction(
+                                        template.id,
+                                        () => skipNextOccurrence(template.id),
+                                        `Skipped ${format(new Date(template.nextRecurringDate), "PP")}`
+                                      )
+                                    }
+                                  >
+                                    Skip next occurrence
+                                  </DropdownMenuItem>
+                                )}
+                                <DropdownMenuSeparator />
+                                <DropdownMenuItem
+                                  className="text-destructive"
+                                  onClick={() => handleEnd(template)}
+                                >
+                                  End schedule
+                                </DropdownMenuItem>
+                              </>
+                            )}
+                          </DropdownMenuContent>
+                        </DropdownMenu>
+                      </TableCell>
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+            </Table>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default RecurringList;
@@ -0,0 +1,199 @@
+"use client";
+
+import { useState } from "react";
+import { useRouter } from "next/navigation";
+import { format } from "date-fns";
+import { Loader2, RefreshCw } from "lucide-react";
+import { toast } from "sonner";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import {
+  convertSubscription,
+  dismissSubscription,
+  scanSubscriptions,
+} from "@/actions/subscriptions";
+import { formatCurrency } from "@/lib/currency";
+import { RECURRING_INTERVALS } from "@/lib/recurring";
+
+// Charges that look like subscriptions, found by the weekly detection job or
+// a manual scan. Suggestions can be turned into recurring templates or
+// dismissed; converted ones stay listed for their monthly cost.
+const SubscriptionSuggestions = ({ subscriptions }) => {
+  const router = useRouter();
+  const [busyId, setBusyId] = useState(null);
+
+  const runAction = async (id, action, message) => {
+    setBusyId(id);
+    const result = await action();
+    setBusyId(null);
+
+    if (result.success) {
+      toast.success(typeof message === "function" ? message(result.data) : message);
+      router.refresh();
+    } else {
+      toast.error(result.error);
+    }
+  };
+
+  // Per currency, since accounts are not converted here.
+  const monthlyTotals = subscriptions.reduce((totals, s) => {
+    totals[s.account.currency] = (totals[s.account.currency] || 0) + s.monthlyCost;
+    return totals;
+  }, {});
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-start justify-between gap-4 space-y-0">
+        <div className="space-y-1.5">
+          <CardTitle>Subscriptions</CardTitle>
+          <CardDescription>
+            {subscriptions.length === 0
+              ? "Regular charges we spot in your expenses show up here."
+              : `About ${Object.entries(monthlyTotals)
+                  .map(([currency, total]) => formatCurrency(total, currency))
+                  .join(" + ")} a month.`}
+          </CardDescription>
+        </div>
+        <Button
+          variant="outline"
+          size="sm"
+          disabled={busyId === "scan"}
+          onClick={() =>
+            runAction(
+              "scan",
+              scanSubscriptions,
+              ({ detected }) => `Found ${detected} subscription${detected === 1 ? "" : "s"}`
+            )
+          }
+        >
+          {busyId === "scan" ? (
+            <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+          ) : (
+            <RefreshCw className="mr-2 h-4 w-4" />
+          )}
+          Scan now
+        </Button>
+      </CardHeader>
+      {subscriptions.length > 0 && (
+        <CardContent>
+          <div className="rounded-md border">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Merchant</TableHead>
+                  <TableHead>Account</TableHead>
+                  <TableHead>Billed</TableHead>
+                  <TableHead className="text-right">Amount</TableHead>
+                  <TableHead className="text-right">Per Month</TableHead>
+                  <TableHead>Last Charged</TableHead>
+                  <TableHead className="text-right" />
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {subscriptions.map((subscription) => {
+                  const { currency } = subscription.account;
+
+                  return (
+                    <TableRow key={subscription.id}>
+                      <TableCell>
+                        <div className="flex items-center gap-2">
+                          {subscription.name}
+                          {subscription.status === "CONVERTED" && (
+                            <Badge variant="outline" className="text-xs">
+                              Recurring
+                            </Badge>
+                          )}
+                        </div>
+                      </TableCell>
+                      <TableCell>{subscription.account.name}</TableCell>
+                      <TableCell>
+                        {RECURRING_INTERVALS[subscription.interval].label}
+                      </TableCell>
+                      <TableCell className="text-right">
+                        <div className="font-medium">
+                          {formatCurrency(subscription.amount, currency)}
+                        </div>
+                        {subscription.previousAmount !== null && (
+                          <Badge
+                            variant="secondary"
+                            className="text-xs"
+                            title={
+                              subscription.priceChangedAt
+                                ? `Changed ${format(new Date(subscription.priceChangedAt), "PP")}`
+                                : undefined
+                            }
+                          >
+                            was {formatCurrency(subscription.previousAmount, currency)}
+                          </Badge>
+                        )}
+                      </TableCell>
+                      <TableCell className="text-right">
+                        {formatCurrency(subscription.monthlyCost, currency)}
+                      </TableCell>
+                      <TableCell className="text-muted-foreground">
+                        {format(new Date(subscription.lastChargedAt), "PP")}
+                      </TableCell>
+                      <TableCell className="text-right">
+                        {subscription.status === "SUGGESTED" && (
+                          <div className="flex justify-end gap-2">
+                            <Button
+                              size="sm"
+                              disabled={busyId === subscription.id}
+                              onClick={() =>
+                                runAction(
+                                  subscription.id,
+                                  () => convertSubscription(subscription.id),
+                                  `${subscription.name} is now recurring`
+                                )
+                              }
+                            >
+                              {busyId === subscription.id && (
+                                <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                              )}
+                              Make recurring
+                            </Button>
+                            <Button
+                              size="sm"
+                              variant="ghost"
+                              disabled={busyId === subscription.id}
+                              onClick={() =>
+                                runAction(
+                                  subscription.id,
+                                  () => dismissSubscription(subscription.id),
+                                  "Suggestion dismissed"
+                                )
+                              }
+                            >
+                              Dismiss
+                            </Button>
+                          </div>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+            </Table>
+          </div>
+        </CardContent>
+      )}
+    </Card>
+  );
+};
+
+export default SubscriptionSuggestions;
@@ -0,0 +1,23 @@
+import { formatCurrency } from "@/lib/currency";
+
+// A template's amount as it hits its account; transfers only move money
+// between the user's own accounts, so they are shown without a sign.
+const TemplateAmount = ({ template, className = "" }) => {
+  const amount = formatCurrency(template.amount, template.account.currency);
+
+  if (template.type === "TRANSFER") {
+    return <span className={`font-medium ${className}`}>{amount}</span>;
+  }
+
+  return (
+    <span
+      className={`font-medium ${className}`}
+      style={{ color: template.type === "EXPENSE" ? "red" : "green" }}
+    >
+      {template.type === "EXPENSE" ? "-" : "+"}
+      {amount}
+    </span>
+  );
+};
+
+export default TemplateAmount;
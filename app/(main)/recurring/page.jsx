@@ -0,0 +1,29 @@
+import { getRecurringTransactions } from '@/actions/recurring';
+import { getSubscriptions } from '@/actions/subscriptions';
+import React from 'react'
+import RecurringCalendar from './_components/recurring-calendar';
+import RecurringList from './_components/recurring-list';
+import SubscriptionSuggestions from './_components/subscription-suggestions';
+
+const RecurringPage = async () => {
+  const [templates, subscriptions] = await Promise.all([
+    getRecurringTransactions(),
+    getSubscriptions(),
+  ]);
+
+  return (
+    <div className="px-5 space-y-8">
+      <h1 className="text-6xl font-bold tracking-tight gradient-title">
+        Recurring
+      </h1>
+
+      <RecurringCalendar templates={templates} />
+
+      <RecurringList templates={templates} />
+
+      <SubscriptionSuggestions subscriptions={subscriptions} />
+    </div>
+  )
+}
+
+export default RecurringPage;
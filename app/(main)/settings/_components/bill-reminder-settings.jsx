@@ -0,0 +1,75 @@
+"use client"
+
+import React, { useEffect, useState } from 'react';
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Button } from '@/components/ui/button';
+import { Loader2 } from 'lucide-react';
+import { toast } from 'sonner';
+import { useRouter } from 'next/navigation';
+import useFetch from '@/hooks/use-fetch';
+import { updateBillReminderDays } from '@/actions/recurring';
+import { BILL_REMINDER_DAYS } from '@/lib/recurring';
+
+const BillReminderSettings = ({ billReminderDays }) => {
+  const router = useRouter();
+  const [days, setDays] = useState(String(billReminderDays));
+
+  const { loading, fn: updateFn, data: updated } = useFetch(updateBillReminderDays);
+
+  useEffect(() => {
+    if (updated?.success) {
+      toast.success("Bill reminders updated");
+      router.refresh();
+    } else if (updated?.error) {
+      toast.error(updated.error);
+    }
+  }, [updated, router]);
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Bill Reminders</CardTitle>
+        <CardDescription>
+          Emails you the recurring expenses coming up, and warns when your default
+          account will not cover them.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className='flex items-center gap-2'>
+        <Select value={days} onValueChange={setDays} disabled={loading}>
+          <SelectTrigger className="w-[180px]">
+            <SelectValue placeholder="Look ahead" />
+          </SelectTrigger>
+          <SelectContent>
+            {BILL_REMINDER_DAYS.map((value) => (
+              <SelectItem key={value} value={String(value)}>
+                {value === 0 ? "Off" : `${value} days ahead`}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <Button
+          onClick={() => updateFn(Number(days))}
+          disabled={loading || Number(days) === billReminderDays}
+        >
+          {loading && <Loader2 className='mr-2 h-4 w-4 animate-spin' />}
+          Save
+        </Button>
+      </CardContent>
+    </Card>
+  )
+}
+
+export default BillReminderSettings;
@@ -0,0 +1,204 @@
+"use client"
+
+import React, { useEffect, useState } from 'react';
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Archive, ArchiveRestore, Plus } from 'lucide-react';
+import { toast } from 'sonner';
+import { useRouter } from 'next/navigation';
+import useFetch from '@/hooks/use-fetch';
+import {
+  createCategory,
+  mergeCategories,
+  updateCategory,
+} from '@/actions/categories';
+import { buildCategoryTree } from '@/lib/categories';
+import { CATEGORY_TYPES } from '@/data/categories';
+import CategoryIcon, { CATEGORY_ICONS } from '@/components/category-icon';
+
+const TYPE_LABELS = { INCOME: "Income", EXPENSE: "Expense" };
+
+// Toasts the result of a category action and refreshes the page on success.
+const useCategoryAction = (action, successMessage) => {
+  const router = useRouter();
+  const { loading, fn, data } = useFetch(action);
+
+  useEffect(() => {
+    if (data?.success) {
+      toast.success(
+        typeof successMessage === "function" ? successMessage(data.data) : successMessage
+      );
+      router.refresh();
+    } else if (data?.error) {
+      toast.error(data.error);
+    }
+  }, [data, router]);
+
+  return { loading, fn };
+};
+
+const CategoryRow = ({ category, mergeTargets, isSubcategory }) => {
+  const [name, setName] = useState(category.name);
+  const [color, setColor] = useState(category.color);
+
+  const { loading: updating, fn: updateFn } = useCategoryAction(updateCategory, "Category updated");
+  const { loading: merging, fn: mergeFn } = useCategoryAction(
+    mergeCategories,
+    (result) => `Categories merged, ${result.count} transaction(s) moved`
+  );
+  const loading = updating || merging;
+
+  const handleMerge = async (targetId) => {
+    const target = mergeTargets.find((c) => c.id === targetId);
+    if (!window.confirm(`Merge ${category.name} into ${target.name}? This cannot be undone.`)) return;
+    await mergeFn(category.id, targetId);
+  };
+
+  return (
+    <div className={`flex flex-wrap items-center gap-2 ${isSubcategory ? "pl-8" : ""} ${category.archived ? "opacity-50" : ""}`}>
+      <input
+        type="color"
+        value={color}
+        onChange={(e) => setColor(e.target.value)}
+        onBlur={() => color !== category.color && updateFn(category.id, { color })}
+        className="h-8 w-8 cursor-pointer rounded border"
+        disabled={loading}
+        title="Color"
+      />
+      {!isSubcategory && (
+        <Select
+          value={category.icon || "Tag"}
+          onValueChange={(icon) => updateFn(category.id, { icon })}
+          disabled={loading}
+        >
+          <SelectTrigger className="w-[70px]">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {Object.keys(CATEGORY_ICONS).map((icon) => (
+              <SelectItem key={icon} value={icon}>
+                <CategoryIcon icon={icon} className="h-4 w-4" />
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      )}
+      <Input
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        onBlur={() => name !== category.name && updateFn(category.id, { name })}
+        className="w-48"
+        disabled={loading}
+      />
+      <Button
+        variant="ghost"
+        size="icon"
+        onClick={() => updateFn(category.id, { archived: !category.archived })}
+        disabled={loading}
+        title={category.archived ? "Restore" : "Archive"}
+      >
+        {category.archived ? <ArchiveRestore className="h-4 w-4" /> : <Archive className="h-4 w-4" />}
+      </Button>
+      {mergeTargets.length > 0 && (
+        <Select value="" onValueChange={handleMerge} disabled={loading}>
+          <SelectTrigger className="w-[160px]">
+            <SelectValue placeholder="Merge into..." />
+          </SelectTrigger>
+          <SelectContent>
+            {mergeTargets.map((target) => (
+              <SelectItem key={target.id} value={target.id}>{target.name}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      )}
+    </div>
+  );
+};
+
+const AddCategory = ({ type, parentId, placeholder }) => {
+  const [name, setName] = useState("");
+  const { loading, fn: createFn } = useCategoryAction(createCategory, "Category created");
+
+  const handleAdd = async () => {
+    if (!name.trim()) return;
+    await createFn({ name, type, parentId });
+    setName("");
+  };
+
+  return (
+    <div className={`flex items-center gap-2 ${parentId ? "pl-8" : ""}`}>
+      <Input
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        onKeyDown={(e) => e.key === "Enter" && handleAdd()}
+        placeholder={placeholder}
+        className="w-48"
+        disabled={loading}
+      />
+      <Button variant="ghost" size="icon" onClick={handleAdd} disabled={loading}>
+        <Plus className="h-4 w-4" />
+      </Button>
+    </div>
+  );
+};
+
+const CategoryManager = ({ categories }) => {
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Categories</CardTitle>
+        <CardDescription>
+          Rename, recolor, archive or merge categories. Merging moves all
+          transactions and budgets to the other category.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-8">
+        {CATEGORY_TYPES.map((type) => {
+          const tree = buildCategoryTree(categories, { type, includeArchived: true });
+
+          return (
+            <div key={type} className="space-y-3">
+              <h3 className="font-medium">{TYPE_LABELS[type]}</h3>
+              {tree.map((category) => (
+                <div key={category.id} className="space-y-2">
+                  <CategoryRow
+                    category={category}
+                    mergeTargets={tree.filter((c) => c.id !== category.id)}
+                  />
+                  {category.subcategories.map((sub) => (
+                    <CategoryRow
+                      key={sub.id}
+                      category={sub}
+                      isSubcategory
+                      mergeTargets={tree
+                        .flatMap((c) => c.subcategories)
+                        .filter((c) => c.id !== sub.id)}
+                    />
+                  ))}
+                  <AddCategory parentId={category.id} placeholder="Add subcategory" />
+                </div>
+              ))}
+              <AddCategory type={type} placeholder={`New ${TYPE_LABELS[type].toLowerCase()} category`} />
+            </div>
+          );
+        })}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default CategoryManager;
@@ -0,0 +1,211 @@
+"use client"
+
+import React, { useEffect, useState } from 'react';
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Loader2 } from 'lucide-react';
+import { format } from 'date-fns';
+import { toast } from 'sonner';
+import { useRouter } from 'next/navigation';
+import useFetch from '@/hooks/use-fetch';
+import {
+  importExchangeRates,
+  updateBaseCurrency,
+  updateExchangeRates,
+} from '@/actions/currency';
+import { CURRENCIES, REFERENCE_CURRENCY } from '@/lib/currency';
+
+const CurrencySettings = ({ baseCurrency, rates, isAdmin }) => {
+const router = useRouter();
+const [currency, setCurrency] = useState(baseCurrency);
+const [rateCurrency, setRateCurrency] = useState("");
+const [rate, setRate] = useState("");
+
+const {
+    loading: baseLoading,
+    fn: updateBaseFn,
+    data: updatedBase,
+} = useFetch(updateBaseCurrency);
+
+const {
+    loading: rateLoading,
+    fn: updateRatesFn,
+    data: updatedRates,
+} = useFetch(updateExchangeRates);
+
+const {
+    loading: importLoading,
+    fn: importRatesFn,
+    data: importedRates,
+} = useFetch(importExchangeRates);
+
+const handleSaveRate = async () => {
+  const value = parseFloat(rate);
+  if (!rateCurrency || isNaN(value) || value <= 0) {
+    toast.error("Please select a currency and enter a valid rate");
+    return;
+  }
+  await updateRatesFn([{ currency: rateCurrency, rate: value }]);
+};
+
+const handleImport = async (file) => {
+  if (!file) return;
+  await importRatesFn(await file.text());
+};
+
+useEffect(() => {
+    if (updatedBase?.success) {
+        toast.success("Base currency updated");
+        router.refresh();
+    } else if (updatedBase?.error) {
+        toast.error(updatedBase.error);
+    }
+}, [updatedBase, router]);
+
+useEffect(() => {
+    const result = updatedRates || importedRates;
+    if (result?.success) {
+        toast.success(`${result.data.count} exchange rate(s) saved`);
+        setRateCurrency("");
+        setRate("");
+        router.refresh();
+    } else if (result?.error) {
+        toast.error(result.error);
+    }
+}, [updatedRates, importedRates, router]);
+
+  return (
+    <div className='space-y-6'>
+      <Card>
+        <CardHeader>
+          <CardTitle>Base Currency</CardTitle>
+          <CardDescription>
+            Totals, reports and budgets that span several accounts are shown in this currency.
+          </CardDescription>
+        </CardHeader>
+        <CardContent className='flex items-center gap-2'>
+          <Select value={currency} onValueChange={setCurrency} disabled={baseLoading}>
+            <SelectTrigger className="w-[140px]">
+              <SelectValue placeholder="Currency" />
+            </SelectTrigger>
+            <SelectContent>
+              {CURRENCIES.map((code) => (
+                <SelectItem key={code} value={code}>{code}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Button
+            onClick={() => updateBaseFn(currency)}
+            disabled={baseLoading || currency === baseCurrency}
+          >
+            {baseLoading && <Loader2 className='mr-2 h-4 w-4 animate-spin' />}
+            Save
+          </Button>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Exchange Rates</CardTitle>
+          <CardDescription>
+            Units of each currency per 1 {REFERENCE_CURRENCY}.
+          </CardDescription>
+        </CardHeader>
+        <CardContent className='space-y-4'>
+          {isAdmin && (
+            <div className='flex flex-wrap items-center gap-2'>
+              <Select value={rateCurrency} onValueChange={setRateCurrency} disabled={rateLoading}>
+                <SelectTrigger className="w-[140px]">
+                  <SelectValue placeholder="Currency" />
+                </SelectTrigger>
+                <SelectContent>
+                  {CURRENCIES.filter((code) => code !== REFERENCE_CURRENCY).map((code) => (
+                    <SelectItem key={code} value={code}>{code}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <Input
+                type="number"
+                step="any"
+                value={rate}
+                onChange={(e) => setRate(e.target.value)}
+                className="w-36"
+                placeholder="Rate"
+                disabled={rateLoading}
+              />
+              <Button onClick={handleSaveRate} disabled={rateLoading}>
+                Save Rate
+              </Button>
+              <label className='text-sm text-muted-foreground ml-auto'>
+                Import CSV (currency, rate)
+                <input
+                  type="file"
+                  accept=".csv,text/csv"
+                  className="block w-full text-sm"
+                  disabled={importLoading}
+                  onChange={(e) => {
+                    handleImport(e.target.files?.[0]);
+                    e.target.value = "";
+                  }}
+                />
+              </label>
+            </div>
+          )}
+
+          {rates.length === 0 ? (
+            <p className='text-sm text-muted-foreground'>
+              No exchange rates yet, so only {REFERENCE_CURRENCY} can be used.
+            </p>
+          ) : (
+            <div className='rounded-md border'>
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Currency</TableHead>
+                    <TableHead className="text-right">Rate</TableHead>
+                    <TableHead className="text-right">Updated</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {rates.map((r) => (
+                    <TableRow key={r.currency}>
+                      <TableCell className="font-medium">{r.currency}</TableCell>
+                      <TableCell className="text-right">{r.rate}</TableCell>
+                      <TableCell className="text-right text-muted-foreground">
+                        {format(new Date(r.updatedAt), "PP")}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
+
+export default CurrencySettings;
@@ -0,0 +1,336 @@
+"use client"
+
+import React, { useEffect, useState } from 'react';
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Switch } from '@/components/ui/switch';
+import { Loader2, Pencil, Trash } from 'lucide-react';
+import { toast } from 'sonner';
+import { useRouter } from 'next/navigation';
+import useFetch from '@/hooks/use-fetch';
+import { createRule, deleteRule, toggleRule, updateRule } from '@/actions/rules';
+import { buildCategoryTree, getCategoryLabel, getCategoryLookup } from '@/lib/categories';
+import { formatCurrency } from '@/lib/currency';
+
+// Radix Select does not accept "" as an item value.
+const ANY = "any";
+
+const EMPTY_RULE = {
+  name: "",
+  priority: "0",
+  descriptionContains: "",
+  descriptionRegex: "",
+  merchant: "",
+  minAmount: "",
+  maxAmount: "",
+  accountId: "",
+  category: "",
+  subcategory: "",
+  setDescription: "",
+  tags: "",
+};
+
+const toFormValues = (rule) =>
+  Object.fromEntries(
+    Object.keys(EMPTY_RULE).map((key) => [
+      key,
+      key === "tags" ? rule.tags.join(", ") : rule[key] == null ? "" : String(rule[key]),
+    ])
+  );
+
+const getConditions = (rule, accounts) =>
+  [
+    rule.descriptionContains && `contains "${rule.descriptionContains}"`,
+    rule.descriptionRegex && `matches /${rule.descriptionRegex}/`,
+    rule.merchant && `merchant ${rule.merchant}`,
+    rule.minAmount != null && `≥ ${formatCurrency(rule.minAmount)}`,
+    rule.maxAmount != null && `≤ ${formatCurrency(rule.maxAmount)}`,
+    rule.accountId && `in ${accounts.find((a) => a.id === rule.accountId)?.name || "account"}`,
+  ].filter(Boolean);
+
+const Field = ({ label, children }) => (
+  <div className="space-y-2">
+    <label className="text-sm font-medium">{label}</label>
+    {children}
+  </div>
+);
+
+const RuleForm = ({ rule, accounts, categories, onDone }) => {
+  const router = useRouter();
+  const [values, setValues] = useState(rule ? toFormValues(rule) : EMPTY_RULE);
+
+  const { loading, fn: saveFn, data: saved } = useFetch(rule ? updateRule : createRule);
+
+  useEffect(() => {
+    if (saved?.success) {
+      toast.success(rule ? "Rule updated" : "Rule created");
+      setValues(EMPTY_RULE);
+      onDone?.();
+      router.refresh();
+    } else if (saved?.error) {
+      toast.error(saved.error);
+    }
+  }, [saved]);
+
+  const setValue = (key) => (e) =>
+    setValues((current) => ({ ...current, [key]: e.target ? e.target.value : e }));
+
+  const categoryTree = buildCategoryTree(categories);
+  const subcategories =
+    categoryTree.find((c) => c.slug === values.category)?.subcategories || [];
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    await (rule ? saveFn(rule.id, values) : saveFn(values));
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4 rounded-md border p-4">
+      <div className="grid gap-4 sm:grid-cols-3">
+        <Field label="Name">
+          <Input value={values.name} onChange={setValue("name")} placeholder="e.g. Groceries" />
+        </Field>
+        <Field label="Priority">
+          <Input type="number" value={values.priority} onChange={setValue("priority")} />
+        </Field>
+        <Field label="Account">
+          <Select
+            value={values.accountId || ANY}
+            onValueChange={(v) => setValue("accountId")(v === ANY ? "" : v)}
+          >
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value={ANY}>Any account</SelectItem>
+              {accounts.map((account) => (
+                <SelectItem key={account.id} value={account.id}>{account.name}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </Field>
+      </div>
+
+      <p className="text-sm text-muted-foreground">When a transaction matches all of</p>
+      <div className="grid gap-4 sm:grid-cols-3">
+        <Field label="Description contains">
+          <Input value={values.descriptionContains} onChange={setValue("descriptionContains")} />
+        </Field>
+        <Field label="Description matches (regex)">
+          <Input value={values.descriptionRegex} onChange={setValue("descriptionRegex")} placeholder="^uber\s" />
+        </Field>
+        <Field label="Merchant">
+          <Input value={values.merchant} onChange={setValue("merchant")} placeholder="e.g. Amazon" />
+        </Field>
+        <Field label="Min amount">
+          <Input type="number" step="0.01" value={values.minAmount} onChange={setValue("minAmount")} />
+        </Field>
+        <Field label="Max amount">
+          <Input type="number" step="0.01" value={values.maxAmount} onChange={setValue("maxAmount")} />
+        </Field>
+      </div>
+
+      <p className="text-sm text-muted-foreground">then</p>
+      <div className="grid gap-4 sm:grid-cols-3">
+        <Field label="Set category">
+          <Select
+            value={values.category || ANY}
+            onValueChange={(v) =>
+              setValues((current) => ({ ...current, category: v === ANY ? "" : v, subcategory: "" }))
+            }
+          >
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value={ANY}>Keep category</SelectItem>
+              {categoryTree.map((category) => (
+                <SelectItem key={category.id} value={category.slug}>
+                  {category.name} ({category.type.toLowerCase()})
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </Field>
+        {subcategories.length > 0 && (
+          <Field label="Subcategory">
+            <Select
+              value={values.subcategory || ANY}
+              onValueChange={(v) => setValue("subcategory")(v === ANY ? "" : v)}
+            >
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={ANY}>None</SelectItem>
+                {subcategories.map((sub) => (
+                  <SelectItem key={sub.id} value={sub.slug}>{sub.name}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </Field>
+        )}
+        <Field label="Rename to">
+          <Input value={values.setDescription} onChange={setValue("setDescription")} />
+        </Field>
+        <Field label="Add tags">
+          <Input value={values.tags} onChange={setValue("tags")} placeholder="work, reimbursable" />
+        </Field>
+      </div>
+
+      <div className="flex gap-2 justify-end">
+        {onDone && (
+          <Button type="button" variant="outline" onClick={onDone}>
+            Cancel
+          </Button>
+        )}
+        <Button type="submit" disabled={loading}>
+          {loading && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+          {rule ? "Save Rule" : "Add Rule"}
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+const RuleRow = ({ rule, accounts, categoryLookup, onEdit }) => {
+  const router = useRouter();
+  const { loading: toggling, fn: toggleFn, data: toggled } = useFetch(toggleRule);
+  const { loading: deleting, fn: deleteFn, data: deleted } = useFetch(deleteRule);
+
+  useEffect(() => {
+    const result = deleted || toggled;
+    if (result?.success) {
+      if (deleted) toast.success("Rule deleted");
+      router.refresh();
+    } else if (result?.error) {
+      toast.error(result.error);
+    }
+  }, [toggled, deleted]);
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete the rule "${rule.name}"?`)) return;
+    await deleteFn(rule.id);
+  };
+
+  return (
+    <TableRow className={rule.enabled ? "" : "opacity-50"}>
+      <TableCell className="font-medium">{rule.name}</TableCell>
+      <TableCell className="text-sm">{getConditions(rule, accounts).join(", ")}</TableCell>
+      <TableCell className="text-sm space-y-1">
+        {rule.category && (
+          <div>{getCategoryLabel(categoryLookup, rule.category, rule.subcategory)}</div>
+        )}
+        {rule.setDescription && <div>Rename to &quot;{rule.setDescription}&quot;</div>}
+        {rule.tags.length > 0 && (
+          <div className="flex flex-wrap gap-1">
+            {rule.tags.map((tag) => (
+              <Badge key={tag} variant="outline" className="text-xs">{tag}</Badge>
+            ))}
+          </div>
+        )}
+      </TableCell>
+      <TableCell>{rule.priority}</TableCell>
+      <TableCell>
+        <Switch
+          checked={rule.enabled}
+          onCheckedChange={(checked) => toggleFn(rule.id, checked)}
+          disabled={toggling}
+        />
+      </TableCell>
+      <TableCell className="text-right whitespace-nowrap">
+        <Button variant="ghost" size="icon" onClick={onEdit} title="Edit">
+          <Pencil className="h-4 w-4" />
+        </Button>
+        <Button variant="ghost" size="icon" onClick={handleDelete} disabled={deleting} title="Delete">
+          <Trash className="h-4 w-4" />
+        </Button>
+      </TableCell>
+    </TableRow>
+  );
+};
+
+const RuleManager = ({ rules, accounts, categories }) => {
+  const [editingId, setEditingId] = useState(null);
+  const categoryLookup = getCategoryLookup(categories);
+  const editingRule = rules.find((rule) => rule.id === editingId);
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Rules</CardTitle>
+        <CardDescription>
+          Categorize, rename and tag transactions automatically when they are
+          added or imported. Rules run from the lowest priority number up; the
+          first rule to set a category or description wins.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {rules.length > 0 && (
+          <div className="rounded-md border">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Name</TableHead>
+                  <TableHead>When</TableHead>
+                  <TableHead>Then</TableHead>
+                  <TableHead>Priority</TableHead>
+                  <TableHead>Enabled</TableHead>
+                  <TableHead />
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {rules.map((rule) => (
+                  <RuleRow
+                    key={rule.id}
+                    rule={rule}
+                    accounts={accounts}
+                    categoryLookup={categoryLookup}
+                    onEdit={() => setEditingId(rule.id)}
+                  />
+                ))}
+              </TableBody>
+            </Table>
+          </div>
+        )}
+
+        {editingRule ? (
+          <RuleForm
+            key={editingRule.id}
+            rule={editingRule}
+            accounts={accounts}
+            categories={categories}
+            onDone={() => setEditingId(null)}
+          />
+        ) : (
+          <RuleForm accounts={accounts} categories={categories} />
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default RuleManager;
@@ -0,0 +1,36 @@
+import { getCurrencySettings } from '@/actions/currency';
+import React from 'react'
+import CurrencySettings from './_components/currency-settings';
+import { getCategories } from '@/actions/categories';
+import CategoryManager from './_components/category-manager';
+import { getRules } from '@/actions/rules';
+import { getUserAccounts } from '@/actions/dashboard';
+import RuleManager from './_components/rule-manager';
+import { getBillReminderDays } from '@/actions/recurring';
+import BillReminderSettings from './_components/bill-reminder-settings';
+
+const SettingsPage = async () => {
+  const settings = await getCurrencySettings();
+  const categories = await getCategories();
+  const rules = await getRules();
+  const accounts = await getUserAccounts();
+  const billReminderDays = await getBillReminderDays();
+
+  return (
+    <div className="px-5 space-y-8">
+      <h1 className="text-6xl font-bold tracking-tight gradient-title">
+        Settings
+      </h1>
+
+      <CurrencySettings {...settings} />
+
+      <BillReminderSettings billReminderDays={billReminderDays} />
+
+      <CategoryManager categories={categories} />
+
+      <RuleManager rules={rules} accounts={accounts} categories={categories} />
+    </div>
+  )
+}
+
+export default SettingsPage;
@@ -1,7 +1,7 @@
 "use client";
 
 import { useEffect } from "react";
-import { useForm } from "react-hook-form";
+import { useFieldArray, useForm } from "react-hook-form";
 import { zodResolver } from "@hookform/resolvers/zod";
 import { format } from "date-fns";
 import { useRouter, useSearchParams } from "next/navigation";
@@ -24,15 +24,69 @@ import {
   PopoverTrigger,
 } from "@/components/ui/popover";
 import { Calendar } from "@/components/ui/calendar";
-import { CalendarIcon, Loader2 } from "lucide-react";
+import { CalendarIcon, Loader2, Plus, Split, X } from "lucide-react";
 import { cn } from "@/lib/utils";
 
 import { createTransaction, updateTransaction } from "@/actions/transaction";
 import { ReceiptScanner } from "./receipt-scanner";
 import CreateAccountDrawer from "@/components/create-account-drawer";
+import TagInput from "@/components/tag-input";
 import { transactionSchema } from "@/app/lib/schema";
+import { formatCurrency } from "@/lib/currency";
+import { buildCategoryTree } from "@/lib/categories";
+import { toCents } from "@/lib/splits";
+import { TRANSACTION_STATUSES } from "@/lib/transaction-filters";
+import { isMonthBased, LAST_BUSINESS_DAY, RECURRING_INTERVALS } from "@/lib/recurring";
 
-export function AddTransactionForm({ accounts, categories, editMode = false, initialData = null }) {
+// Radix Select does not accept "" as an item value.
+const NO_SUBCATEGORY = "none";
+const SAME_DAY = "same";
+
+const EMPTY_SPLIT = { category: "", subcategory: "", amount: "" };
+
+// Category and optional subcategory selects, for the transaction or a split.
+const CategorySelects = ({ categories, category, subcategory, onCategoryChange, onSubcategoryChange, placeholder }) => {
+  const subcategories =
+    categories.find((c) => c.slug === category)?.subcategories || [];
+
+  return (
+    <>
+      <Select onValueChange={onCategoryChange} value={category}>
+        <SelectTrigger>
+          <SelectValue placeholder={placeholder} />
+        </SelectTrigger>
+        <SelectContent>
+          {categories.map((cat) => (
+            <SelectItem key={cat.id} value={cat.slug}>
+              {cat.name}
+            </SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+
+      {subcategories.length > 0 && (
+        <Select
+          onValueChange={(v) => onSubcategoryChange(v === NO_SUBCATEGORY ? "" : v)}
+          value={subcategory || NO_SUBCATEGORY}
+        >
+          <SelectTrigger>
+            <SelectValue placeholder="Select subcategory" />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value={NO_SUBCATEGORY}>No subcategory</SelectItem>
+            {subcategories.map((sub) => (
+              <SelectItem key={sub.id} value={sub.slug}>
+                {sub.name}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      )}
+    </>
+  );
+};
+
+export function AddTransactionForm({ accounts, categories, tags = [], editMode = false, initialData = null }) {
   const router = useRouter();
   const searchParams = useSearchParams();
   const editId = searchParams.get("edit");
@@ -41,6 +95,7 @@ export function AddTransactionForm({ accounts, categories, editMode = false, ini
     register,
     handleSubmit,
     formState: { errors },
+    control,
     watch,
     setValue,
     getValues,
@@ -53,12 +108,29 @@ export function AddTransactionForm({ accounts, categories, editMode = false, ini
             amount: initialData.amount.toString(),
             description: initialData.description,
             accountId: initialData.accountId,
+            ...(initialData.transferAccountId && {
+              transferAccountId: initialData.transferAccountId,
+            }),
             category: initialData.category,
+            subcategory: initialData.subcategory || "",
+            splits: (initialData.splits || []).map((split) => ({
+              category: split.category,
+              subcategory: split.subcategory || "",
+              amount: split.amount.toString(),
+            })),
+            tags: (initialData.tags || []).map((tag) => tag.name),
             date: new Date(initialData.date),
+            status: initialData.status,
             isRecurring: initialData.isRecurring,
             ...(initialData.recurringInterval && {
               recurringInterval: initialData.recurringInterval,
             }),
+            recurringEvery: String(initialData.recurringEvery || 1),
+            recurringDayOfMonth: initialData.recurringDayOfMonth?.toString() || "",
+            recurringEndDate: initialData.recurringEndDate
+              ? new Date(initialData.recurringEndDate)
+              : null,
+            recurringMaxCount: initialData.recurringMaxCount?.toString() || "",
     } :
     {
       type: "EXPENSE",
@@ -66,11 +138,22 @@ export function AddTransactionForm({ accounts, categories, editMode = false, ini
       description: "",
       accountId: accounts.find((ac) => ac.isDefault)?.id || "",
       date: new Date(),
+      status: "COMPLETED",
       isRecurring: false,
+      recurringEvery: "1",
+      recurringDayOfMonth: "",
+      recurringEndDate: null,
+      recurringMaxCount: "",
       category: "",
+      subcategory: "",
+      splits: [],
+      tags: [],
     },
   });
 
+  const { fields: splitFields, remove: removeSplit, append: appendSplit, replace: replaceSplits } =
+    useFieldArray({ control, name: "splits" });
+
   const { loading: transactionLoading, 
     fn: transactionFn,
      data: transactionResult
@@ -85,6 +168,10 @@ export function AddTransactionForm({ accounts, categories, editMode = false, ini
       ...data,
       amount: parseFloat(data.amount),
       accountId: data.accountId || accounts.find((ac) => ac.isDefault)?.id,
+      splits: (data.splits || []).map((split) => ({
+        ...split,
+        amount: parseFloat(split.amount),
+      })),
     };
 
     if(editMode) {
@@ -105,6 +192,7 @@ export function AddTransactionForm({ accounts, categories, editMode = false, ini
     setValue("date", new Date(scannedData.date));
     setValue("description", scannedData.merchantName || scannedData.description || "");
     setValue("category", scannedData.category || "");
+    setValue("subcategory", "");
     
     toast.success("Receipt scanned successfully");
 
@@ -138,9 +226,29 @@ export function AddTransactionForm({ accounts, categories, editMode = false, ini
 
   const type = watch("type");
   const isRecurring = watch("isRecurring");
+  const recurringInterval = watch("recurringInterval");
+  const recurringDayOfMonth = watch("recurringDayOfMonth");
+  const recurringEndDate = watch("recurringEndDate");
   const date = watch("date");
+  const status = watch("status");
+
+  const category = watch("category");
+  const subcategory = watch("subcategory");
+  const amount = watch("amount");
+  const splits = watch("splits") || [];
+  const selectedTags = watch("tags") || [];
 
-  const filteredCategories = categories.filter((c) => c.type === type);
+  const filteredCategories = buildCategoryTree(categories, { type });
+
+  // Starts a split with the current category as its first line.
+  const handleSplit = () => {
+    replaceSplits([{ category, subcategory, amount }, EMPTY_SPLIT]);
+    setValue("category", "");
+    setValue("subcategory", "");
+  };
+
+  const unallocated =
+    (toCents(amount || 0) - splits.reduce((sum, split) => sum + toCents(split.amount || 0), 0)) / 100;
 
   return (
     <form onSubmit={handleSubmit(onSubmit)} className="space-y-6">
@@ -151,7 +259,12 @@ export function AddTransactionForm({ accounts, categories, editMode = false, ini
       <div className="space-y-2">
         <label className="text-sm font-medium">Type</label>
         <Select
-          onValueChange={(v) => setValue("type", v)}
+          onValueChange={(v) => {
+            setValue("type", v);
+            setValue("category", v === "TRANSFER" ? "transfer" : "");
+            setValue("subcategory", "");
+            replaceSplits([]);
+          }}
           defaultValue={type}
         >
           <SelectTrigger>
@@ -160,6 +273,7 @@ export function AddTransactionForm({ accounts, categories, editMode = false, ini
           <SelectContent>
             <SelectItem value="EXPENSE">Expense</SelectItem>
             <SelectItem value="INCOME">Income</SelectItem>
+            <SelectItem value="TRANSFER">Transfer</SelectItem>
           </SelectContent>
         </Select>
         {errors.type && <p className="text-sm text-red-500">{errors.type.message}</p>}
@@ -179,7 +293,9 @@ export function AddTransactionForm({ accounts, categories, editMode = false, ini
         </div>
 
         <div className="space-y-2">
-          <label className="text-sm font-medium">Account</label>
+          <label className="text-sm font-medium">
+            {type === "TRANSFER" ? "From Account" : "Account"}
+          </label>
           <Select
             onValueChange={(v) => setValue("accountId", v)}
             defaultValue={getValues("accountId")}
@@ -190,7 +306,7 @@ export function AddTransactionForm({ accounts, categories, editMode = false, ini
             <SelectContent>
               {accounts.map((ac) => (
                 <SelectItem key={ac.id} value={ac.id}>
-                  {ac.name} (${parseFloat(ac.balance).toFixed(2)})
+                  {ac.name} ({formatCurrency(ac.balance, ac.currency)})
                 </SelectItem>
               ))}
               <CreateAccountDrawer>
@@ -206,26 +322,116 @@ export function AddTransactionForm({ accounts, categories, editMode = false, ini
         </div>
       </div>
 
+      {/* Transfer destination */}
+      {type === "TRANSFER" && (
+        <div className="space-y-2">
+          <label className="text-sm font-medium">To Account</label>
+          <Select
+            onValueChange={(v) => setValue("transferAccountId", v)}
+            defaultValue={getValues("transferAccountId")}
+          >
+            <SelectTrigger>
+              <SelectValue placeholder="Select destination account" />
+            </SelectTrigger>
+            <SelectContent>
+              {accounts.map((ac) => (
+                <SelectItem key={ac.id} value={ac.id}>
+                  {ac.name} ({formatCurrency(ac.balance, ac.currency)})
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          {errors.transferAccountId && (
+            <p className="text-sm text-red-500">{errors.transferAccountId.message}</p>
+          )}
+        </div>
+      )}
+
       {/* Category */}
+      {type !== "TRANSFER" && splitFields.length === 0 && (
       <div className="space-y-2">
-        <label className="text-sm font-medium">Category</label>
-        <Select
-          onValueChange={(v) => setValue("category", v)}
-          defaultValue={getValues("category")}
-        >
-          <SelectTrigger>
-            <SelectValue placeholder="Select category" />
-          </SelectTrigger>
-          <SelectContent>
-            {filteredCategories.map((cat) => (
-              <SelectItem key={cat.id} value={cat.id}>
-                {cat.name}
-              </SelectItem>
-            ))}
-          </SelectContent>
-        </Select>
+        <div className="flex items-center justify-between">
+          <label className="text-sm font-medium">Category</label>
+          <Button type="button" variant="ghost" size="sm" onClick={handleSplit}>
+            <Split className="mr-2 h-4 w-4" />
+            Split
+          </Button>
+        </div>
+        <div className="grid gap-6 md:grid-cols-2">
+          <CategorySelects
+            categories={filteredCategories}
+            category={category}
+            subcategory={subcategory}
+            onCategoryChange={(v) => {
+              setValue("category", v);
+              setValue("subcategory", "");
+            }}
+            onSubcategoryChange={(v) => setValue("subcategory", v)}
+            placeholder={editMode ? "Select category" : "Auto (apply rules)"}
+          />
+        </div>
         {errors.category && <p className="text-sm text-red-500">{errors.category.message}</p>}
       </div>
+      )}
+
+      {/* Split lines */}
+      {type !== "TRANSFER" && splitFields.length > 0 && (
+      <div className="space-y-2">
+        <div className="flex items-center justify-between">
+          <label className="text-sm font-medium">Split</label>
+          <Button type="button" variant="ghost" size="sm" onClick={() => replaceSplits([])}>
+            Remove split
+          </Button>
+        </div>
+        {splitFields.map((field, index) => (
+          <div key={field.id} className="space-y-1">
+            <div className="flex gap-2 items-start">
+              <div className="grid flex-1 gap-2 md:grid-cols-3">
+                <CategorySelects
+                  categories={filteredCategories}
+                  category={splits[index]?.category}
+                  subcategory={splits[index]?.subcategory}
+                  onCategoryChange={(v) => {
+                    setValue(`splits.${index}.category`, v);
+                    setValue(`splits.${index}.subcategory`, "");
+                  }}
+                  onSubcategoryChange={(v) => setValue(`splits.${index}.subcategory`, v)}
+                  placeholder="Select category"
+                />
+                <Input
+                  type="number"
+                  step="0.01"
+                  placeholder="0.00"
+                  {...register(`splits.${index}.amount`)}
+                />
+              </div>
+              <Button
+                type="button"
+                variant="ghost"
+                size="icon"
+                onClick={() => removeSplit(index)}
+                disabled={splitFields.length <= 2}
+              >
+                <X className="h-4 w-4" />
+              </Button>
+            </div>
+            {errors.splits?.[index]?.category && (
+              <p className="text-sm text-red-500">{errors.splits[index].category.message}</p>
+            )}
+          </div>
+        ))}
+        <div className="flex items-center justify-between">
+          <Button type="button" variant="outline" size="sm" onClick={() => appendSplit(EMPTY_SPLIT)}>
+            <Plus className="mr-2 h-4 w-4" />
+            Add line
+          </Button>
+          <span className={cn("text-sm", unallocated === 0 ? "text-muted-foreground" : "text-red-500")}>
+            {unallocated === 0 ? "Fully allocated" : `${unallocated.toFixed(2)} left to allocate`}
+          </span>
+        </div>
+        {errors.splits?.message && <p className="text-sm text-red-500">{errors.splits.message}</p>}
+      </div>
+      )}
 
       {/* Date */}
       <div className="space-y-2">
@@ -249,12 +455,47 @@ export function AddTransactionForm({ accounts, categories, editMode = false, ini
         </Popover>
       </div>
 
+      {/* Status */}
+      <div className="space-y-2">
+        <label className="text-sm font-medium">Status</label>
+        <Select onValueChange={(v) => setValue("status", v)} value={status}>
+          <SelectTrigger>
+            <SelectValue placeholder="Select status" />
+          </SelectTrigger>
+          <SelectContent>
+            {Object.entries(TRANSACTION_STATUSES).map(([value, label]) => (
+              <SelectItem key={value} value={value}>
+                {label}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        {status !== "COMPLETED" && (
+          <p className="text-xs text-muted-foreground">
+            {status === "PENDING"
+              ? "Counts towards the balance once it is marked as completed."
+              : "Failed transactions never count towards the balance."}
+          </p>
+        )}
+      </div>
+
       {/* Description */}
       <div className="space-y-2">
         <label className="text-sm font-medium">Description</label>
         <Input placeholder="Enter description" {...register("description")} />
       </div>
 
+      {/* Tags */}
+      <div className="space-y-2">
+        <label className="text-sm font-medium">Tags</label>
+        <TagInput
+          value={selectedTags}
+          onChange={(value) => setValue("tags", value)}
+          suggestions={tags.map((tag) => tag.name)}
+          placeholder="e.g. trip-lisbon-2026, reimbursable"
+        />
+      </div>
+
       {/* Recurring */}
       <div className="flex justify-between items-center border rounded-lg p-4">
         <div>
@@ -268,22 +509,125 @@ export function AddTransactionForm({ accounts, categories, editMode = false, ini
       </div>
 
       {isRecurring && (
-        <div className="space-y-2">
-          <label className="text-sm font-medium">Recurring Interval</label>
-          <Select
-            onValueChange={(v) => setValue("recurringInterval", v)}
-            defaultValue={getValues("recurringInterval")}
-          >
-            <SelectTrigger>
-              <SelectValue placeholder="Select interval" />
-            </SelectTrigger>
-            <SelectContent>
-              <SelectItem value="DAILY">Daily</SelectItem>
-              <SelectItem value="WEEKLY">Weekly</SelectItem>
-              <SelectItem value="MONTHLY">Monthly</SelectItem>
-              <SelectItem value="YEARLY">Yearly</SelectItem>
-            </SelectContent>
-          </Select>
+        <div className="space-y-4">
+          <div className="grid gap-6 md:grid-cols-2">
+            <div className="space-y-2">
+              <label className="text-sm font-medium">Recurring Interval</label>
+              <Select
+                onValueChange={(v) => setValue("recurringInterval", v)}
+                defaultValue={getValues("recurringInterval")}
+              >
+                <SelectTrigger>
+                  <SelectValue placeholder="Select interval" />
+                </SelectTrigger>
+                <SelectContent>
+                  {Object.entries(RECURRING_INTERVALS).map(([value, { label }]) => (
+                    <SelectItem key={value} value={value}>
+                      {label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              {errors.recurringInterval && (
+                <p className="text-sm text-red-500">{errors.recurringInterval.message}</p>
+              )}
+            </div>
+
+            <div className="space-y-2">
+              <label className="text-sm font-medium">Repeat Every</label>
+              <div className="flex items-center gap-2">
+                <Input type="number" min="1" step="1" {...register("recurringEvery")} />
+                <span className="text-sm text-muted-foreground whitespace-nowrap">
+                  {recurringInterval === "BIWEEKLY"
+                    ? "× 2 weeks"
+                    : recurringInterval === "QUARTERLY"
+                      ? "× 3 months"
+                      : `${RECURRING_INTERVALS[recurringInterval]?.unit || "interval"}(s)`}
+                </span>
+              </div>
+              {errors.recurringEvery && (
+                <p className="text-sm text-red-500">{errors.recurringEvery.message}</p>
+              )}
+            </div>
+          </div>
+
+          {isMonthBased(recurringInterval) && (
+            <div className="space-y-2">
+              <label className="text-sm font-medium">Day of Month</label>
+              <Select
+                onValueChange={(v) => setValue("recurringDayOfMonth", v === SAME_DAY ? "" : v)}
+                value={recurringDayOfMonth || SAME_DAY}
+              >
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={SAME_DAY}>Same day as the date</SelectItem>
+                  <SelectItem value={String(LAST_BUSINESS_DAY)}>Last business day</SelectItem>
+                  {Array.from({ length: 31 }, (_, i) => String(i + 1)).map((day) => (
+                    <SelectItem key={day} value={day}>
+                      {day}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <p className="text-xs text-muted-foreground">
+                Days past the end of a shorter month fall on its last day.
+              </p>
+            </div>
+          )}
+
+          <div className="grid gap-6 md:grid-cols-2">
+            <div className="space-y-2">
+              <label className="text-sm font-medium">End Date</label>
+              <div className="flex gap-2">
+                <Popover>
+                  <PopoverTrigger asChild>
+                    <Button
+                      variant="outline"
+                      className={cn(
+                        "w-full pl-3 text-left font-normal",
+                        !recurringEndDate && "text-muted-foreground"
+                      )}
+                    >
+                      {recurringEndDate ? format(recurringEndDate, "PPP") : <span>Never</span>}
+                      <CalendarIcon className="ml-auto h-4 w-4 opacity-50" />
+                    </Button>
+                  </PopoverTrigger>
+                  <PopoverContent className="w-auto p-0" align="start">
+                    <Calendar
+                      mode="single"
+                      selected={recurringEndDate || undefined}
+                      onSelect={(d) => setValue("recurringEndDate", d || null)}
+                      disabled={(d) => d < date}
+                    />
+                  </PopoverContent>
+                </Popover>
+                {recurringEndDate && (
+                  <Button
+                    type="button"
+                    variant="ghost"
+                    size="icon"
+                    onClick={() => setValue("recurringEndDate", null)}
+                  >
+                    <X className="h-4 w-4" />
+                  </Button>
+                )}
+              </div>
+            </div>
+
+            <div className="space-y-2">
+              <label className="text-sm font-medium">Number of Occurrences</label>
+              <Input
+                type="number"
+                min="1"
+                step="1"
+                placeholder="Unlimited"
+                {...register("recurringMaxCount")}
+              />
+              <p className="text-xs text-muted-foreground">Including this transaction.</p>
+            </div>
+          </div>
         </div>
       )}
 
@@ -1,11 +1,14 @@
 import { getUserAccounts } from '@/actions/dashboard'
-import { defaultCategories } from '@/data/categories'
+import { getCategories } from '@/actions/categories'
 import React from 'react'
 import AddTransactionForm from '../_components/transaction-form'
 import { getTransaction } from '@/actions/transaction'
+import { getTags } from '@/actions/tags'
 
 const AddTransactionPage = async ({searchParams}) => {
   const accounts = await getUserAccounts()
+  const categories = await getCategories()
+  const tags = await getTags()
 
 
 const editId = searchParams?.edit;
@@ -25,7 +28,8 @@ if(editId) {
 
         <AddTransactionForm
           accounts={accounts}
-          categories={defaultCategories}
+          categories={categories}
+          tags={tags}
           editMode={!!editId}
           initialData={initialData}
         />
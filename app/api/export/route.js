@@ -0,0 +1,21 @@
+import { exportData } from "@/actions/export";
+
+// GET /api/export?format=csv|json|ofx&accountId=&search=&type=&recurring=
+//   &category=&status=&tags=&minAmount=&maxAmount=&from=&to=
+export async function GET(req) {
+  const params = Object.fromEntries(new URL(req.url).searchParams);
+
+  try {
+    const { data } = await exportData(params);
+
+    return new Response(data.content, {
+      headers: {
+        "Content-Type": data.contentType,
+        "Content-Disposition": `attachment; filename="${data.fileName}"`,
+      },
+    });
+  } catch (error) {
+    const status = error.message === "Unauthorized" ? 401 : 400;
+    return Response.json({ error: error.message }, { status });
+  }
+}
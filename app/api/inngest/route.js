@@ -98,6 +98,10 @@ import {
   triggerRecurringTransactions,
   processRecurringTransaction,
   generateMonthlyReports,
+  snapshotNetWorth,
+  purgeDeletedTransactions,
+  detectSubscriptions,
+  sendBillReminders,
 } from "@/lib/inngest/functions";
 import { serve } from "inngest/next";
 
@@ -108,6 +112,10 @@ export const { GET, POST, PUT } = serve({
     triggerRecurringTransactions,
     processRecurringTransaction,
     generateMonthlyReports,
+    snapshotNetWorth,
+    purgeDeletedTransactions,
+    detectSubscriptions,
+    sendBillReminders,
   ],
 });
 
@@ -1,25 +1,70 @@
 import z from "zod"
+import { getSplitsError } from "@/lib/splits"
+import { getScheduleData, getScheduleError } from "@/lib/recurring"
 
 
 export const accountSchema = z.object({
  name: z.string().min(1, "Name is required"),
- type: z.enum(["CURRENT", "SAVINGS"]),
+ type: z.enum(["CURRENT", "SAVINGS", "CREDIT_CARD", "LOAN", "CASH", "INVESTMENT"]),
  balance: z.string().min(1, "Initial balance is required"),
+ currency: z.string().length(3, "Select a currency").default("USD"),
  isDefault: z.boolean().default(false),
+ creditLimit: z.string().optional(),
+ statementDay: z.string().optional(),
+ dueDay: z.string().optional(),
+ principal: z.string().optional(),
+ interestRate: z.string().optional(),
+ termMonths: z.string().optional(),
+})
+.superRefine((data, ctx) => {
+    const required = {
+        CREDIT_CARD: { creditLimit: "Credit limit is required for credit cards" },
+        LOAN: {
+            principal: "Principal is required for loans",
+            interestRate: "Interest rate is required for loans",
+            termMonths: "Term is required for loans",
+        },
+    }[data.type] || {};
+
+    for (const [field, message] of Object.entries(required)) {
+        if (!data[field]) {
+            ctx.addIssue({ code: 'custom', message, path: [field] });
+        }
+    }
+
+    for (const field of ["statementDay", "dueDay"]) {
+        const day = Number(data[field]);
+        if (data[field] && !(Number.isInteger(day) && day >= 1 && day <= 31)) {
+            ctx.addIssue({ code: 'custom', message: "Day must be between 1 and 31", path: [field] });
+        }
+    }
 });
 
 
 export const transactionSchema = z.object({
- type: z.enum(["INCOME", "EXPENSE"]),
+ type: z.enum(["INCOME", "EXPENSE", "TRANSFER"]),
  amount: z.string().min(1, 'Amount is required'),
  description: z.string().optional(),
  date: z.date({ required_error: "Date is required" }),
  accountId: z.string().min(1, "Account is required"),
- category: z.string().min(1,"Category is required"),
+ transferAccountId: z.string().optional(),
+ category: z.string().optional(),
+ subcategory: z.string().optional(),
+ splits: z.array(z.object({
+    category: z.string().min(1, "Category is required"),
+    subcategory: z.string().optional(),
+    amount: z.string().min(1, "Amount is required"),
+ })).optional(),
+ tags: z.array(z.string()).optional(),
+ status: z.enum(["PENDING", "COMPLETED", "FAILED"]).default("COMPLETED"),
  isRecurring: z.boolean().default(false),
  recurringInterval: 
- z.enum(['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'])
+ z.enum(['DAILY', 'WEEKLY', 'BIWEEKLY', 'MONTHLY', 'QUARTERLY', 'YEARLY'])
  .optional(),
+ recurringEvery: z.string().optional(),
+ recurringDayOfMonth: z.string().optional(),
+ recurringEndDate: z.date().optional().nullable(),
+ recurringMaxCount: z.string().optional(),
 })
 .superRefine((data, ctx) =>{
     if (data.isRecurring && !data.recurringInterval){
@@ -28,6 +73,34 @@ export const transactionSchema = z.object({
             message: "Recurring interval is required for recurring transactions",
             path : ['recurringInterval'],
         });
+    } else if (data.isRecurring) {
+        const error = getScheduleError(getScheduleData(data), data.date);
+        if (error) {
+            ctx.addIssue({ code: 'custom', message: error, path: ['recurringEvery'] });
+        }
+    }
+
+    if (data.type === "TRANSFER") {
+        if (!data.transferAccountId) {
+            ctx.addIssue({
+                code: 'custom',
+                message: "Destination account is required for transfers",
+                path: ['transferAccountId'],
+            });
+        } else if (data.transferAccountId === data.accountId) {
+            ctx.addIssue({
+                code: 'custom',
+                message: "Cannot transfer to the same account",
+                path: ['transferAccountId'],
+            });
+        }
+    }
+
+    if (data.type !== "TRANSFER" && data.splits?.length) {
+        const error = getSplitsError(data.splits, data.amount);
+        if (error) {
+            ctx.addIssue({ code: 'custom', message: error, path: ['splits'] });
+        }
     }
 
 })
\ No newline at end of file
@@ -0,0 +1,67 @@
+import {
+  ArrowLeftRight,
+  Building,
+  Car,
+  Coffee,
+  Dog,
+  Dumbbell,
+  Film,
+  Gift,
+  GraduationCap,
+  HeartPulse,
+  Home,
+  Laptop,
+  MoreHorizontal,
+  Music,
+  Plane,
+  Plus,
+  Receipt,
+  Shield,
+  ShoppingBag,
+  ShoppingCart,
+  Smile,
+  Tag,
+  TrendingUp,
+  UtensilsCrossed,
+  Wallet,
+  Wrench,
+  Zap,
+} from "lucide-react";
+
+// Icons users can pick for a category, by the name stored in the database.
+export const CATEGORY_ICONS = {
+  ArrowLeftRight,
+  Building,
+  Car,
+  Coffee,
+  Dog,
+  Dumbbell,
+  Film,
+  Gift,
+  GraduationCap,
+  HeartPulse,
+  Home,
+  Laptop,
+  MoreHorizontal,
+  Music,
+  Plane,
+  Plus,
+  Receipt,
+  Shield,
+  Shopping: ShoppingCart,
+  ShoppingBag,
+  Smile,
+  Tag,
+  TrendingUp,
+  UtensilsCrossed,
+  Wallet,
+  Wrench,
+  Zap,
+};
+
+const CategoryIcon = ({ icon, ...props }) => {
+  const Icon = CATEGORY_ICONS[icon] || Tag;
+  return <Icon {...props} />;
+};
+
+export default CategoryIcon;
@@ -20,6 +20,8 @@ import useFetch from "@/hooks/use-fetch";
 import { createAccount } from "@/actions/dashboard";
 import { Loader2 } from "lucide-react";
 import { toast } from "sonner";
+import { CURRENCIES } from "@/lib/currency";
+import { ACCOUNT_TYPES, isLiability } from "@/lib/account-types";
 
 
 
@@ -32,10 +34,29 @@ const CreateAccountDrawer = ({ children }) => {
         name: "",
         type: "CURRENT",
         balance: "",
+        currency: "USD",
         isDefault: false,
+        creditLimit: "",
+        statementDay: "",
+        dueDay: "",
+        principal: "",
+        interestRate: "",
+        termMonths: "",
     },
    });
 
+  const type = watch("type");
+
+  const numberField = (name, label, props = {}) => (
+    <div className="space-y-2">
+        <label htmlFor={name} className="text-sm font-medium">{label}</label>
+        <Input id={name} type="number" {...props} {...register(name)} />
+        {errors[name] && (
+            <p className="text-sm text-red-500">{errors[name].message}</p>
+        )}
+    </div>
+  );
+
  
   const {
      data:newAccount, 
@@ -93,8 +114,9 @@ useEffect(() => {
                         <SelectValue placeholder="select Type" />
                     </SelectTrigger>
                     <SelectContent>
-                        <SelectItem value="CURRENT">Current</SelectItem>
-                        <SelectItem value="SAVINGS">Savings</SelectItem>
+                        {Object.entries(ACCOUNT_TYPES).map(([value, { label }]) => (
+                            <SelectItem key={value} value={value}>{label}</SelectItem>
+                        ))}
                     </SelectContent>
                 </Select>
                 {errors.type && (
@@ -102,7 +124,26 @@ useEffect(() => {
                 )}
             </div>
              <div className="space-y-2">
-                <label htmlFor="balance" className="text-sm font-medium">Initial Balance</label>
+                <label htmlFor="currency" className="text-sm font-medium">Currency</label>
+                <Select onValueChange={(value) => setValue("currency", value)}
+                    defaultValue={watch("currency")} >
+                    <SelectTrigger id="currency">
+                        <SelectValue placeholder="Select currency" />
+                    </SelectTrigger>
+                    <SelectContent>
+                        {CURRENCIES.map((currency) => (
+                            <SelectItem key={currency} value={currency}>{currency}</SelectItem>
+                        ))}
+                    </SelectContent>
+                </Select>
+                {errors.currency && (
+                    <p className="text-sm text-red-500">{errors.currency.message}</p>
+                )}
+            </div>
+             <div className="space-y-2">
+                <label htmlFor="balance" className="text-sm font-medium">
+                    {isLiability(type) ? "Amount Owed" : "Initial Balance"}
+                </label>
                 <Input  id="balance"  type="number" step="0.01"placeholder="0.00"
                 {...register("balance")}/>
                 {errors.balance && (
@@ -110,6 +151,22 @@ useEffect(() => {
                 )}
             </div>
 
+            {type === "CREDIT_CARD" && (
+                <div className="grid gap-4 md:grid-cols-3">
+                    {numberField("creditLimit", "Credit Limit", { step: "0.01", placeholder: "0.00" })}
+                    {numberField("statementDay", "Statement Day", { min: 1, max: 31, placeholder: "e.g. 25" })}
+                    {numberField("dueDay", "Payment Due Day", { min: 1, max: 31, placeholder: "e.g. 15" })}
+                </div>
+            )}
+
+            {type === "LOAN" && (
+                <div className="grid gap-4 md:grid-cols-3">
+                    {numberField("principal", "Principal", { step: "0.01", placeholder: "0.00" })}
+                    {numberField("interestRate", "Interest Rate (% per year)", { step: "0.01", placeholder: "e.g. 5.5" })}
+                    {numberField("termMonths", "Term (months)", { min: 1, placeholder: "e.g. 60" })}
+                </div>
+            )}
+
              <div className="flex items-center justify-between rounded-lg border p-3">
                 <div className="space-y-0.5">
                       <label htmlFor="isDefault"
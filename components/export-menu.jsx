@@ -0,0 +1,83 @@
+"use client";
+
+import { useState } from "react";
+import { format } from "date-fns";
+import { Download } from "lucide-react";
+import { Button } from "./ui/button";
+import { Calendar } from "./ui/calendar";
+import { Popover, PopoverContent, PopoverTrigger } from "./ui/popover";
+import { toFilterSearchParams } from "@/lib/transaction-filters";
+
+const FORMATS = [
+  { value: "csv", label: "CSV" },
+  { value: "json", label: "JSON" },
+  { value: "ofx", label: "OFX" },
+];
+
+// Downloads transactions through /api/export. Without an accountId every
+// account is exported; filters are the TransactionTable filters in effect.
+const ExportMenu = ({ accountId, filters = {} }) => {
+  const [open, setOpen] = useState(false);
+  const [range, setRange] = useState();
+
+  const handleExport = (exportFormat) => {
+    const params = toFilterSearchParams({
+      ...filters,
+      format: exportFormat,
+      accountId,
+      ...(range?.from && {
+        from: format(range.from, "yyyy-MM-dd"),
+        to: format(range.to || range.from, "yyyy-MM-dd"),
+      }),
+    });
+
+    window.location.href = `/api/export?${params}`;
+    setOpen(false);
+  };
+
+  return (
+    <Popover open={open} onOpenChange={setOpen}>
+      <PopoverTrigger asChild>
+        <Button variant="outline">
+          <Download className="h-4 w-4 mr-2" />
+          Export
+        </Button>
+      </PopoverTrigger>
+      <PopoverContent className="w-auto p-3 space-y-3" align="end">
+        <div>
+          <p className="text-sm font-medium">Date range</p>
+          <p className="text-xs text-muted-foreground">
+            {range?.from
+              ? `${format(range.from, "PP")} - ${format(range.to || range.from, "PP")}`
+              : "All dates"}
+          </p>
+        </div>
+        <Calendar
+          mode="range"
+          selected={range}
+          onSelect={setRange}
+          disabled={(d) => d > new Date()}
+        />
+        <div className="flex gap-2">
+          {FORMATS.map(({ value, label }) => (
+            <Button
+              key={value}
+              size="sm"
+              className="flex-1"
+              onClick={() => handleExport(value)}
+            >
+              {label}
+            </Button>
+          ))}
+          {range && (
+            <Button size="sm" variant="ghost" onClick={() => setRange(undefined)}>
+              Clear
+            </Button>
+          )}
+        </div>
+      </PopoverContent>
+    </Popover>
+  );
+};
+
+export default ExportMenu;
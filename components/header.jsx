@@ -7,7 +7,7 @@ import {
 import Image from "next/image";
 import Link from "next/link";
 import { Button } from "./ui/button";
-import { LayoutDashboard, PenBox } from "lucide-react";
+import { LayoutDashboard, PenBox, Repeat, Settings } from "lucide-react";
 import { checkUser } from "@/lib/checkUser";
 
 
@@ -37,6 +37,18 @@ const Header = async () => {
               </Button>
             </Link>
 
+            <Link href="/recurring">
+              <Button variant="outline" size="icon" aria-label="Recurring">
+                <Repeat size={18} />
+              </Button>
+            </Link>
+
+            <Link href="/settings">
+              <Button variant="outline" size="icon" aria-label="Settings">
+                <Settings size={18} />
+              </Button>
+            </Link>
+
             <Link href="/transaction/create">
               <Button variant="black" className="flex items-center gap-2">
                 <PenBox size={18} />
@@ -0,0 +1,65 @@
+"use client";
+
+import { useId, useState } from "react";
+import { X } from "lucide-react";
+import { Badge } from "./ui/badge";
+import { Input } from "./ui/input";
+import { normalizeTagNames } from "@/lib/tags";
+
+// Free-form tag entry: Enter or comma adds the typed tag, Backspace on an
+// empty input removes the last one. `suggestions` are the user's existing
+// tag names.
+const TagInput = ({ value = [], onChange, suggestions = [], placeholder = "Add tags" }) => {
+  const listId = useId();
+  const [text, setText] = useState("");
+
+  const addTags = (input) => {
+    const tags = normalizeTagNames([...value, ...normalizeTagNames(input)]);
+    if (tags.length !== value.length) onChange(tags);
+    setText("");
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Enter" || e.key === ",") {
+      e.preventDefault();
+      addTags(text);
+    } else if (e.key === "Backspace" && !text && value.length > 0) {
+      onChange(value.slice(0, -1));
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 rounded-md border px-3 py-2">
+      {value.map((tag) => (
+        <Badge key={tag} variant="secondary" className="gap-1">
+          {tag}
+          <button
+            type="button"
+            onClick={() => onChange(value.filter((t) => t !== tag))}
+            aria-label={`Remove ${tag}`}
+          >
+            <X className="h-3 w-3" />
+          </button>
+        </Badge>
+      ))}
+      <Input
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        onKeyDown={handleKeyDown}
+        onBlur={() => text && addTags(text)}
+        placeholder={value.length === 0 ? placeholder : ""}
+        list={listId}
+        className="h-7 flex-1 min-w-[120px] border-0 p-0 shadow-none focus-visible:ring-0"
+      />
+      <datalist id={listId}>
+        {suggestions
+          .filter((tag) => !value.includes(tag))
+          .map((tag) => (
+            <option key={tag} value={tag} />
+          ))}
+      </datalist>
+    </div>
+  );
+};
+
+export default TagInput;
@@ -159,9 +159,21 @@ export const defaultCategories = [
     color: "#94a3b8", // slate-400
     icon: "MoreHorizontal",
   },
+
+  // Transfer between the user's own accounts
+  {
+    id: "transfer",
+    name: "Transfer",
+    type: "TRANSFER",
+    color: "#3b82f6", // blue-500
+    icon: "ArrowLeftRight",
+  },
 ];
 
 export const categoryColors = defaultCategories.reduce((acc, category) => {
   acc[category.id] = category.color;
   return acc;
-}, {});
\ No newline at end of file
+}, {});
+// Types users can create their own categories for; transfers use the
+// built-in "transfer" category.
+export const CATEGORY_TYPES = ["INCOME", "EXPENSE"];
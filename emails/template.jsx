@@ -9,6 +9,7 @@ import {
   Section,
   Text,
 } from "@react-email/components";
+import { formatCurrency } from "@/lib/currency";
 
 // Dummy data for preview
 const PREVIEW_DATA = {
@@ -27,6 +28,7 @@ const PREVIEW_DATA = {
           entertainment: 300,
           utilities: 700,
         },
+        currency: "USD",
       },
       insights: [
         "Your housing expenses are 43% of your total spending - consider reviewing your housing costs.",
@@ -42,6 +44,53 @@ const PREVIEW_DATA = {
       percentageUsed: 85,
       budgetAmount: 4000,
       totalExpenses: 3400,
+      budgetName: "Groceries",
+      currency: "USD",
+    },
+  },
+  budgetExceeded: {
+    userName: "John Doe",
+    type: "budget-exceeded",
+    data: {
+      percentageUsed: 112.5,
+      budgetAmount: 4000,
+      totalExpenses: 4500,
+      budgetName: "Groceries",
+      currency: "USD",
+    },
+  },
+  upcomingBills: {
+    userName: "John Doe",
+    type: "upcoming-bills",
+    data: {
+      days: 7,
+      bills: [
+        { name: "Rent", date: "Mon, Oct 20", accountName: "Checking", amount: 1200, currency: "USD" },
+        { name: "Electricity", date: "Thu, Oct 23", accountName: "Checking", amount: 85.4, currency: "USD" },
+      ],
+      defaultAccount: {
+        name: "Checking",
+        currency: "USD",
+        availableBalance: 1100,
+        upcoming: 1285.4,
+        projectedBalance: -185.4,
+      },
+      shortfall: true,
+    },
+  },
+  subscriptionPriceChange: {
+    userName: "John Doe",
+    type: "subscription-price-change",
+    data: {
+      changes: [
+        {
+          name: "Netflix",
+          accountName: "Checking",
+          previousAmount: 15.49,
+          amount: 17.99,
+          currency: "USD",
+        },
+      ],
     },
   },
 };
@@ -63,6 +112,8 @@ export default function EmailTemplate({
   }
 
   const stats = data?.stats || { totalIncome: 0, totalExpenses: 0, byCategory: {} };
+  const money = (amount) =>
+    formatCurrency(amount, data?.currency || stats.currency || "USD");
 
   if (type === "monthly-report") {
     return (
@@ -81,16 +132,16 @@ export default function EmailTemplate({
             <Section style={styles.statsContainer}>
               <div style={styles.stat}>
                 <Text style={styles.text}>Total Income</Text>
-                <Text style={styles.heading}>${stats.totalIncome}</Text>
+                <Text style={styles.heading}>{money(stats.totalIncome)}</Text>
               </div>
               <div style={styles.stat}>
                 <Text style={styles.text}>Total Expenses</Text>
-                <Text style={styles.heading}>${stats.totalExpenses}</Text>
+                <Text style={styles.heading}>{money(stats.totalExpenses)}</Text>
               </div>
               <div style={styles.stat}>
                 <Text style={styles.text}>Net</Text>
                 <Text style={styles.heading}>
-                  ${stats.totalIncome - stats.totalExpenses}
+                  {money(stats.totalIncome - stats.totalExpenses)}
                 </Text>
               </div>
             </Section>
@@ -101,7 +152,7 @@ export default function EmailTemplate({
                 {Object.entries(stats.byCategory).map(([category, amount]) => (
                   <div key={category} style={styles.row}>
                     <Text style={styles.text}>{category}</Text>
-                    <Text style={styles.text}>${amount}</Text>
+                    <Text style={styles.text}>{money(amount)}</Text>
                   </div>
                 ))}
               </Section>
@@ -139,21 +190,22 @@ export default function EmailTemplate({
             <Text style={styles.text}>Hello {userName},</Text>
             <Text style={styles.text}>
               You&rsquo;ve used {data?.percentageUsed?.toFixed(1)}% of your
-              monthly budget.
+              {data?.period || "monthly"}{" "}
+              {data?.budgetName ? `${data.budgetName} ` : ""}budget.
             </Text>
             <Section style={styles.statsContainer}>
               <div style={styles.stat}>
                 <Text style={styles.text}>Budget Amount</Text>
-                <Text style={styles.heading}>${data?.budgetAmount ?? 0}</Text>
+                <Text style={styles.heading}>{money(data?.budgetAmount)}</Text>
               </div>
               <div style={styles.stat}>
                 <Text style={styles.text}>Spent So Far</Text>
-                <Text style={styles.heading}>${data?.totalExpenses ?? 0}</Text>
+                <Text style={styles.heading}>{money(data?.totalExpenses)}</Text>
               </div>
               <div style={styles.stat}>
                 <Text style={styles.text}>Remaining</Text>
                 <Text style={styles.heading}>
-                  ${(data?.budgetAmount ?? 0) - (data?.totalExpenses ?? 0)}
+                  {money((data?.budgetAmount ?? 0) - (data?.totalExpenses ?? 0))}
                 </Text>
               </div>
             </Section>
@@ -162,6 +214,128 @@ export default function EmailTemplate({
       </Html>
     );
   }
+
+  if (type === "budget-exceeded") {
+    return (
+      <Html>
+        <Head />
+        <Preview>Budget Exceeded</Preview>
+        <Body style={styles.body}>
+          <Container style={styles.container}>
+            <Heading style={styles.title}>Budget Exceeded</Heading>
+            <Text style={styles.text}>Hello {userName},</Text>
+            <Text style={styles.text}>
+              You&rsquo;ve gone over your {data?.period || "monthly"}{" "}
+              {data?.budgetName ? `${data.budgetName} ` : ""}budget and are now
+              at {data?.percentageUsed?.toFixed(1)}% of it.
+            </Text>
+            <Section style={styles.statsContainer}>
+              <div style={styles.stat}>
+                <Text style={styles.text}>Budget Amount</Text>
+                <Text style={styles.heading}>{money(data?.budgetAmount)}</Text>
+              </div>
+              <div style={styles.stat}>
+                <Text style={styles.text}>Spent So Far</Text>
+                <Text style={styles.heading}>{money(data?.totalExpenses)}</Text>
+              </div>
+              <div style={styles.stat}>
+                <Text style={styles.text}>Over Budget By</Text>
+                <Text style={styles.heading}>
+                  {money((data?.totalExpenses ?? 0) - (data?.budgetAmount ?? 0))}
+                </Text>
+              </div>
+            </Section>
+          </Container>
+        </Body>
+      </Html>
+    );
+  }
+
+  if (type === "subscription-price-change") {
+    return (
+      <Html>
+        <Head />
+        <Preview>Subscription Price Change</Preview>
+        <Body style={styles.body}>
+          <Container style={styles.container}>
+            <Heading style={styles.title}>Subscription Price Change</Heading>
+            <Text style={styles.text}>Hello {userName},</Text>
+            <Text style={styles.text}>
+              The latest charge for {data?.changes?.length === 1 ? "this subscription" : "these subscriptions"}{" "}
+              came in at a different price than before.
+            </Text>
+            <Section style={styles.statsContainer}>
+              {data?.changes?.map((change) => (
+                <div key={`${change.accountName}-${change.name}`} style={styles.row}>
+                  <Text style={styles.text}>
+                    {change.name} ({change.accountName})
+                  </Text>
+                  <Text style={styles.text}>
+                    {formatCurrency(change.previousAmount, change.currency)} →{" "}
+                    {formatCurrency(change.amount, change.currency)}
+                  </Text>
+                </div>
+              ))}
+            </Section>
+          </Container>
+        </Body>
+      </Html>
+    );
+  }
+
+  if (type === "upcoming-bills") {
+    const account = data?.defaultAccount;
+    const accountMoney = (amount) => formatCurrency(amount, account?.currency);
+
+    return (
+      <Html>
+        <Head />
+        <Preview>Bills due in the next {data?.days} days</Preview>
+        <Body style={styles.body}>
+          <Container style={styles.container}>
+            <Heading style={styles.title}>Upcoming Bills</Heading>
+            <Text style={styles.text}>Hello {userName},</Text>
+            <Text style={styles.text}>
+              Here are your recurring expenses due in the next {data?.days} days.
+            </Text>
+            <Section style={styles.statsContainer}>
+              {data?.bills?.map((bill, index) => (
+                <div key={index} style={styles.row}>
+                  <Text style={styles.text}>
+                    {bill.date} · {bill.name} ({bill.accountName})
+                  </Text>
+                  <Text style={styles.text}>{formatCurrency(bill.amount, bill.currency)}</Text>
+                </div>
+              ))}
+            </Section>
+            {account && (
+              <Section style={styles.section}>
+                <Heading style={styles.heading}>{account.name}</Heading>
+                <div style={styles.row}>
+                  <Text style={styles.text}>Available</Text>
+                  <Text style={styles.text}>{accountMoney(account.availableBalance)}</Text>
+                </div>
+                <div style={styles.row}>
+                  <Text style={styles.text}>Bills Due</Text>
+                  <Text style={styles.text}>{accountMoney(account.upcoming)}</Text>
+                </div>
+                <div style={styles.row}>
+                  <Text style={styles.text}>Projected Balance</Text>
+                  <Text style={styles.text}>{accountMoney(account.projectedBalance)}</Text>
+                </div>
+                {data?.shortfall && (
+                  <Text style={styles.text}>
+                    ⚠️ {account.name} is {accountMoney(-account.projectedBalance)} short of
+                    the bills due from it. Move money in before they are charged.
+                  </Text>
+                )}
+              </Section>
+            )}
+          </Container>
+        </Body>
+      </Html>
+    );
+  }
 }
 
 const styles = {
@@ -0,0 +1,86 @@
+import { toNumber } from "./balance";
+
+// Account types and the maths behind their type-specific fields.
+//
+// Liabilities (credit cards and loans) keep a negative balance for what is
+// owed: spending on a card makes it more negative and a payment (a transfer
+// into it) brings it back towards zero, using the same bookkeeping as any
+// other account. Net worth is therefore just the sum of all balances.
+
+export const ACCOUNT_TYPES = {
+  CURRENT: { label: "Current", liability: false },
+  SAVINGS: { label: "Savings", liability: false },
+  CASH: { label: "Cash", liability: false },
+  INVESTMENT: { label: "Investment", liability: false },
+  CREDIT_CARD: { label: "Credit Card", liability: true },
+  LOAN: { label: "Loan", liability: true },
+};
+
+export function isLiability(type) {
+  return !!ACCOUNT_TYPES[type]?.liability;
+}
+
+// Amount owed on a liability as a positive number.
+export function getAmountOwed(account) {
+  return Math.max(-toNumber(account.balance), 0);
+}
+
+// Percent of the credit limit in use, or null without a limit.
+export function getCreditUtilization(account) {
+  const limit = toNumber(account.creditLimit);
+  if (!limit) return null;
+  return (getAmountOwed(account) / limit) * 100;
+}
+
+// Fixed monthly payment of a fully amortizing loan. interestRate is the
+// annual rate in percent.
+export function getLoanPayment({ principal, interestRate, termMonths }) {
+  const amount = toNumber(principal);
+  const monthlyRate = toNumber(interestRate) / 100 / 12;
+  if (!amount || !termMonths) return null;
+  if (!monthlyRate) return amount / termMonths;
+
+  return (amount * monthlyRate) / (1 - Math.pow(1 + monthlyRate, -termMonths));
+}
+
+// Remaining payments for a loan, starting from what is owed now, split into
+// interest and principal.
+export function getAmortizationSchedule(account) {
+  const payment = getLoanPayment(account);
+  if (!payment) return [];
+
+  const monthlyRate = toNumber(account.interestRate) / 100 / 12;
+  const schedule = [];
+  let remaining = getAmountOwed(account);
+
+  while (remaining > 0.005 && schedule.length < account.termMonths) {
+    const interest = remaining * monthlyRate;
+    const principal = Math.min(payment - interest, remaining);
+    remaining -= principal;
+    schedule.push({
+      number: schedule.length + 1,
+      payment: principal + interest,
+      interest,
+      principal,
+      remaining: Math.max(remaining, 0),
+    });
+  }
+
+  return schedule;
+}
+
+// Totals of accounts already converted to one currency, as { baseBalance }.
+export function getNetWorth(accounts) {
+  return accounts.reduce(
+    (totals, account) => {
+      if (isLiability(account.type)) {
+        totals.liabilities -= account.baseBalance;
+      } else {
+        totals.assets += account.baseBalance;
+      }
+      totals.netWorth += account.baseBalance;
+      return totals;
+    },
+    { assets: 0, liabilities: 0, netWorth: 0 }
+  );
+}
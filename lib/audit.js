@@ -0,0 +1,101 @@
+import {
+  getBalanceChanges,
+  mergeBalanceChanges,
+  reverseBalanceChanges,
+  toNumber,
+} from "./balance";
+
+// Helpers for the append-only audit log (see the AuditLog model). Entries are
+// built from the rows before and after a change and written with the same
+// Prisma transaction client as the change, so neither exists without the
+// other.
+
+const TRANSACTION_FIELDS = [
+  "type",
+  "description",
+  "date",
+  "category",
+  "subcategory",
+  "status",
+  "isRecurring",
+  "recurringInterval",
+  "accountId",
+  "transferAccountId",
+  "deletedAt",
+];
+
+const toJSONValue = (value) => (value instanceof Date ? value.toISOString() : value ?? null);
+
+const roundChanges = (changes) =>
+  Object.fromEntries(
+    Object.entries(changes)
+      .map(([accountId, change]) => [accountId, Math.round(change * 100) / 100])
+      .filter(([, change]) => change !== 0)
+  );
+
+function getTransactionSnapshot(transaction) {
+  return {
+    ...Object.fromEntries(
+      TRANSACTION_FIELDS.map((field) => [field, toJSONValue(transaction[field])])
+    ),
+    amount: toNumber(transaction.amount),
+    transferAmount:
+      transaction.transferAmount == null ? null : toNumber(transaction.transferAmount),
+  };
+}
+
+// Trashed transactions no longer count towards any balance.
+const getEffect = (transaction) =>
+  transaction && !transaction.deletedAt ? getBalanceChanges(transaction) : {};
+
+// action: "create" | "update" | "delete" | "restore"; `before` is null for
+// new transactions.
+export function getTransactionAuditEntry(action, before, after) {
+  const balanceChanges = mergeBalanceChanges(
+    reverseBalanceChanges(getEffect(before)),
+    getEffect(after)
+  );
+  const accountIds = [before, after].flatMap((t) =>
+    t ? [t.accountId, t.transferAccountId] : []
+  );
+
+  return {
+    action: `transaction.${action}`,
+    entityType: "transaction",
+    entityId: (after || before).id,
+    ...(before && { before: getTransactionSnapshot(before) }),
+    ...(after && { after: getTransactionSnapshot(after) }),
+    balanceChanges: roundChanges(balanceChanges),
+    accountIds: [...new Set(accountIds.filter(Boolean))],
+  };
+}
+
+// Changes made to an account's balance directly, e.g. its opening balance.
+export function getAccountAuditEntry(action, before, after) {
+  const snapshot = (account) => ({
+    name: account.name,
+    currency: account.currency,
+    balance: toNumber(account.balance),
+  });
+
+  return {
+    action: `account.${action}`,
+    entityType: "account",
+    entityId: after.id,
+    ...(before && { before: snapshot(before) }),
+    after: snapshot(after),
+    balanceChanges: roundChanges({
+      [after.id]: toNumber(after.balance) - toNumber(before?.balance),
+    }),
+    accountIds: [after.id],
+  };
+}
+
+// source: an AuditSource; actorId is null for background jobs.
+export async function writeAuditLogs(tx, entries, { userId, actorId = null, source }) {
+  if (entries.length === 0) return;
+
+  await tx.auditLog.createMany({
+    data: entries.map((entry) => ({ ...entry, userId, actorId, source })),
+  });
+}
@@ -0,0 +1,107 @@
+// Balance bookkeeping shared by server actions and Inngest functions.
+// Every transaction is reduced to a map of { [accountId]: signedAmount } so
+// that creates, edits and deletes (including transfers, which touch two
+// accounts) can all be applied the same way. Only COMPLETED transactions
+// count: a pending one changes the balance when it completes, a failed one
+// never does, so status changes are edits like any other.
+
+export const toNumber = (value) => {
+  if (value === undefined || value === null) return 0;
+  return typeof value === "object" && value.toNumber
+    ? value.toNumber()
+    : Number(value);
+};
+
+export function getBalanceChanges(transaction) {
+  // Rows built in memory before they are saved default to COMPLETED.
+  if (transaction.status && transaction.status !== "COMPLETED") return {};
+
+  const amount = toNumber(transaction.amount);
+
+  switch (transaction.type) {
+    case "INCOME":
+      return { [transaction.accountId]: amount };
+    case "EXPENSE":
+      return { [transaction.accountId]: -amount };
+    case "TRANSFER":
+      // transferAmount is what the destination receives in its own currency;
+      // it is only set when the two accounts use different currencies.
+      return mergeBalanceChanges(
+        { [transaction.accountId]: -amount },
+        {
+          [transaction.transferAccountId]:
+            transaction.transferAmount == null
+              ? amount
+              : toNumber(transaction.transferAmount),
+        }
+      );
+    default:
+      return {};
+  }
+}
+
+export function mergeBalanceChanges(...changeSets) {
+  return changeSets.reduce((acc, changes) => {
+    for (const [accountId, change] of Object.entries(changes)) {
+      acc[accountId] = (acc[accountId] || 0) + change;
+    }
+    return acc;
+  }, {});
+}
+
+export function reverseBalanceChanges(changes) {
+  return Object.fromEntries(
+    Object.entries(changes).map(([accountId, change]) => [accountId, -change])
+  );
+}
+
+// Per account, what pending transactions will add (incoming) and take away
+// (outgoing) once they complete, both as positive amounts.
+export function getPendingTotals(transactions) {
+  const totals = {};
+
+  for (const transaction of transactions) {
+    if (transaction.status !== "PENDING") continue;
+
+    for (const accountId of [transaction.accountId, transaction.transferAccountId]) {
+      if (!accountId) continue;
+      const change = getAccountAmount(transaction, accountId);
+      totals[accountId] ??= { incoming: 0, outgoing: 0 };
+      totals[accountId][change < 0 ? "outgoing" : "incoming"] += Math.abs(change);
+    }
+  }
+
+  return totals;
+}
+
+// The balance fields shown next to the posted one. Pending money out is
+// already spoken for, pending money in is not there yet, so only the former
+// comes off the available balance.
+export function getAvailableBalance(balance, pending = { incoming: 0, outgoing: 0 }) {
+  const round = (value) => Math.round(value * 100) / 100;
+
+  return {
+    pendingIncoming: round(pending.incoming),
+    pendingOutgoing: round(pending.outgoing),
+    availableBalance: round(toNumber(balance) - pending.outgoing),
+  };
+}
+
+// Signed amount of a transaction as seen from one account, e.g. a transfer is
+// negative on its source account and positive on its destination. This is
+// the amount as shown, whatever the status; getBalanceChanges has what it
+// does to the balance.
+export function getAccountAmount(transaction, accountId) {
+  return getBalanceChanges({ ...transaction, status: "COMPLETED" })[accountId] || 0;
+}
+
+export async function applyBalanceChanges(tx, changes) {
+  for (const [accountId, change] of Object.entries(changes)) {
+    if (!change) continue;
+
+    await tx.account.update({
+      where: { id: accountId },
+      data: { balance: { increment: change } },
+    });
+  }
+}
@@ -0,0 +1,66 @@
+import {
+  addDays,
+  addMonths,
+  differenceInCalendarDays,
+  endOfDay,
+  getDaysInMonth,
+  setDate,
+  startOfMonth,
+  startOfWeek,
+  subMonths,
+  subWeeks,
+} from "date-fns";
+
+// Budget period computation. Kept free of database access so the budget
+// form can use it in the browser as well.
+//
+// startDay is the weekday (0 = Sunday) a WEEKLY or BIWEEKLY period starts on,
+// and the day of the month (1-31, clamped to short months) the other periods
+// start on, e.g. 25 for budgets that follow a salary date.
+
+export const BUDGET_PERIODS = {
+  WEEKLY: { label: "Weekly" },
+  BIWEEKLY: { label: "Bi-weekly" },
+  MONTHLY: { label: "Monthly", months: 1 },
+  QUARTERLY: { label: "Quarterly", months: 3 },
+  YEARLY: { label: "Yearly", months: 12 },
+};
+
+const clampToMonth = (month, day) =>
+  setDate(month, Math.min(day, getDaysInMonth(month)));
+
+export function getBudgetPeriod(budget = {}, date = new Date()) {
+  const period = budget.period || "MONTHLY";
+
+  if (period === "WEEKLY" || period === "BIWEEKLY") {
+    const weekStartsOn = budget.startDay ?? 1;
+    let start = startOfWeek(date, { weekStartsOn });
+
+    // Bi-weekly periods alternate from the week the budget was created in.
+    if (period === "BIWEEKLY") {
+      const anchor = startOfWeek(new Date(budget.createdAt || date), {
+        weekStartsOn,
+      });
+      const weeks = Math.round(differenceInCalendarDays(start, anchor) / 7);
+      if (Math.abs(weeks) % 2 === 1) start = subWeeks(start, 1);
+    }
+
+    return {
+      start,
+      end: endOfDay(addDays(start, period === "WEEKLY" ? 6 : 13)),
+    };
+  }
+
+  const { months } = BUDGET_PERIODS[period];
+  const day = budget.startDay || 1;
+
+  // Quarters and years start in January, April, July and October.
+  let month = startOfMonth(date);
+  month = subMonths(month, month.getMonth() % months);
+  if (clampToMonth(month, day) > date) month = subMonths(month, months);
+
+  return {
+    start: clampToMonth(month, day),
+    end: endOfDay(addDays(clampToMonth(addMonths(month, months), day), -1)),
+  };
+}
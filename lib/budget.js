@@ -0,0 +1,168 @@
+import { addDays } from "date-fns";
+import { db } from "./prisma";
+import { getBudgetPeriod } from "./budget-periods";
+import { getCategoryLookup } from "./categories";
+import { REFERENCE_CURRENCY } from "./currency";
+import { getCurrencyConverter } from "./exchange-rates";
+import { getCategoryAmount } from "./splits";
+
+// Budget evaluation shared by the dashboard (actions/budget.js) and the
+// budget alert job, so both always agree on a budget's period and spending.
+//
+// A budget with no category covers all expenses, and one with no account
+// covers every account of the user.
+//
+// Budgets are kept in their account's currency, or in the user's base
+// currency when they span accounts; expenses are converted from each
+// account's currency before being added up. A category budget counts only
+// the lines of split transactions that are in its category.
+
+// `categories` are the user's categories, for the category's current name.
+export function getBudgetName(budget, categories = []) {
+  const category = budget.category
+    ? getCategoryLookup(categories)[budget.category]?.name || budget.category
+    : "All categories";
+
+  return budget.account ? `${category} (${budget.account.name})` : category;
+}
+
+function getBudgetWhere(budget, { start, end }) {
+  return {
+    userId: budget.userId,
+    type: "EXPENSE",
+    date: { gte: start, lte: end },
+    deletedAt: null,
+    // Pending spending already counts against the budget; failed never will.
+    status: { not: "FAILED" },
+    ...(budget.category && {
+      OR: [
+        { category: budget.category, splits: { none: {} } },
+        { splits: { some: { category: budget.category } } },
+      ],
+    }),
+    ...(budget.accountId && { accountId: budget.accountId }),
+  };
+}
+
+const BUDGET_EXPENSE_SELECT = {
+  date: true,
+  amount: true,
+  accountId: true,
+  category: true,
+  splits: true,
+};
+
+// The part of an expense that counts against the budget, in its account's
+// currency.
+function getBudgetAmount(budget, transaction) {
+  return budget.category
+    ? getCategoryAmount(transaction, budget.category)
+    : transaction.amount.toNumber();
+}
+
+export function getBudgetCurrency(budget) {
+  return (
+    budget.account?.currency || budget.user?.baseCurrency || REFERENCE_CURRENCY
+  );
+}
+
+// Returns (amount, accountId) => amount in the budget's currency.
+async function getBudgetConverter(budget) {
+  const currency = getBudgetCurrency(budget);
+  const [accounts, convert] = await Promise.all([
+    db.account.findMany({
+      where: { userId: budget.userId },
+      select: { id: true, currency: true },
+    }),
+    getCurrencyConverter(),
+  ]);
+  const currencies = Object.fromEntries(accounts.map((a) => [a.id, a.currency]));
+
+  return (amount, accountId) => convert(amount, currencies[accountId], currency);
+}
+
+export async function getBudgetSpending(budget, period, toBudgetCurrency) {
+  toBudgetCurrency ??= await getBudgetConverter(budget);
+
+  const expenses = await db.transaction.findMany({
+    where: getBudgetWhere(budget, period),
+    select: BUDGET_EXPENSE_SELECT,
+  });
+
+  return expenses.reduce(
+    (sum, t) => sum + toBudgetCurrency(getBudgetAmount(budget, t), t.accountId),
+    0
+  );
+}
+
+// Sum of (amount - spent) over every finished period since the budget was
+// created, so unspent money adds to the current period and overspending
+// takes away from it.
+async function getRolloverAmount(budget, currentPeriod, toBudgetCurrency) {
+  const firstPeriod = getBudgetPeriod(budget, new Date(budget.createdAt));
+  if (firstPeriod.start >= currentPeriod.start) return 0;
+
+  const expenses = await db.transaction.findMany({
+    where: getBudgetWhere(budget, {
+      start: firstPeriod.start,
+      end: new Date(currentPeriod.start.getTime() - 1),
+    }),
+    select: BUDGET_EXPENSE_SELECT,
+  });
+
+  const amount = Number(budget.amount);
+  let rollover = 0;
+
+  for (
+    let period = firstPeriod;
+    period.start < currentPeriod.start;
+    period = getBudgetPeriod(budget, addDays(period.end, 1))
+  ) {
+    const spent = expenses
+      .filter((t) => t.date >= period.start && t.date <= period.end)
+      .reduce((sum, t) => sum + toBudgetCurrency(getBudgetAmount(budget, t), t.accountId), 0);
+    rollover += amount - spent;
+  }
+
+  return rollover;
+}
+
+// Everything needed to show or alert on a budget for the period containing
+// `date`. Expects the budget with its `account` (if any) and `user` so the
+// budget's currency is known.
+export async function getBudgetStatus(budget, date = new Date()) {
+  const period = getBudgetPeriod(budget, date);
+  const toBudgetCurrency = await getBudgetConverter(budget);
+  const spent = await getBudgetSpending(budget, period, toBudgetCurrency);
+  const rolloverAmount = budget.rollover
+    ? await getRolloverAmount(budget, period, toBudgetCurrency)
+    : 0;
+  const available = Number(budget.amount) + rolloverAmount;
+
+  return {
+    currency: getBudgetCurrency(budget),
+    periodStart: period.start,
+    periodEnd: period.end,
+    spent,
+    rolloverAmount,
+    available,
+    percentUsed: available > 0 ? (spent / available) * 100 : spent > 0 ? 100 : 0,
+  };
+}
+
+// Alert thresholds (percent of the available budget) that the current period
+// has reached but that have not been emailed yet. What has been notified
+// resets once a new period starts.
+export function getPendingAlertThresholds(budget, status) {
+  const notified =
+    budget.lastAlertSent && new Date(budget.lastAlertSent) >= status.periodStart
+      ? budget.notifiedThresholds
+      : [];
+
+  const pending = budget.alertThresholds
+    .filter((threshold) => status.percentUsed >= threshold)
+    .filter((threshold) => !notified.includes(threshold))
+    .sort((a, b) => a - b);
+
+  return { notified, pending };
+}
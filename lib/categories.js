@@ -0,0 +1,58 @@
+import { defaultCategories } from "@/data/categories";
+
+// Helpers for the per-user categories stored in the database. Transactions
+// and budgets keep the category's slug (e.g. "housing"), and a subcategory's
+// slug in `subcategory` (e.g. "housing-rent").
+
+export function slugify(name) {
+  return name
+    .toLowerCase()
+    .trim()
+    .replace(/&/g, "and")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+// Rows to create for a new user, with `parentSlug` standing in for parentId.
+export function getDefaultCategoryRows() {
+  return defaultCategories.flatMap(({ id, subcategories = [], ...category }) => [
+    { ...category, slug: id },
+    ...subcategories.map((name) => ({
+      slug: `${id}-${slugify(name)}`,
+      name,
+      type: category.type,
+      color: category.color,
+      icon: category.icon,
+      parentSlug: id,
+    })),
+  ]);
+}
+
+// Top-level categories with their subcategories nested, optionally filtered.
+export function buildCategoryTree(categories, { type, includeArchived = false } = {}) {
+  const visible = categories.filter(
+    (c) => (includeArchived || !c.archived) && (!type || c.type === type)
+  );
+
+  return visible
+    .filter((c) => !c.parentId)
+    .map((category) => ({
+      ...category,
+      subcategories: visible.filter((c) => c.parentId === category.id),
+    }));
+}
+
+// { [slug]: category } for looking up names and colors of transactions.
+// Falls back to the built-in defaults for slugs the user does not have.
+export function getCategoryLookup(categories = []) {
+  return {
+    ...Object.fromEntries(getDefaultCategoryRows().map((c) => [c.slug, c])),
+    ...Object.fromEntries(categories.map((c) => [c.slug, c])),
+  };
+}
+
+// "Housing › Rent" style label of a transaction's category.
+export function getCategoryLabel(lookup, category, subcategory) {
+  const name = lookup[category]?.name || category;
+  return subcategory ? `${name} › ${lookup[subcategory]?.name || subcategory}` : name;
+}
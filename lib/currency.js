@@ -0,0 +1,33 @@
+// Currency formatting and conversion. Exchange rates are stored as units of a
+// currency per 1 USD (the reference currency), so converting between any two
+// currencies goes through USD: amount / rates[from] * rates[to].
+
+export const REFERENCE_CURRENCY = "USD";
+
+export const CURRENCIES = [
+  "USD", "EUR", "GBP", "JPY", "CHF", "CAD", "AUD", "NZD", "CNY", "HKD",
+  "SGD", "INR", "SEK", "NOK", "DKK", "PLN", "CZK", "HUF", "BRL", "MXN",
+  "ZAR", "TRY", "KRW", "AED", "NGN", "KES",
+];
+
+export function formatCurrency(amount, currency = REFERENCE_CURRENCY) {
+  return new Intl.NumberFormat("en-US", {
+    style: "currency",
+    currency,
+  }).format(amount || 0);
+}
+
+// rates: { [currency]: unitsPerUSD }. Throws when a rate is missing rather
+// than silently mixing currencies in a total.
+export function convertAmount(amount, from, to, rates) {
+  if (!from || !to || from === to) return amount;
+
+  const rate = (currency) => {
+    if (currency === REFERENCE_CURRENCY) return 1;
+    const value = rates[currency];
+    if (!value) throw new Error(`No exchange rate available for ${currency}`);
+    return value;
+  };
+
+  return (amount / rate(from)) * rate(to);
+}
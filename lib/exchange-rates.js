@@ -0,0 +1,18 @@
+import { db } from "./prisma";
+import { convertAmount } from "./currency";
+
+// Loads the stored exchange-rate table as { [currency]: unitsPerUSD }.
+export async function getExchangeRates() {
+  const rates = await db.exchangeRate.findMany();
+
+  return Object.fromEntries(
+    rates.map(({ currency, rate }) => [currency, rate.toNumber()])
+  );
+}
+
+// Returns a converter bound to the current rates, for code that converts
+// many amounts at once.
+export async function getCurrencyConverter() {
+  const rates = await getExchangeRates();
+  return (amount, from, to) => convertAmount(amount, from, to, rates);
+}
@@ -0,0 +1,208 @@
+import { format } from "date-fns";
+import { getAccountAmount, toNumber } from "./balance";
+
+// File builders for the data export. They take plain Prisma rows (accounts,
+// budgets, transactions with their splits and tags) and return the file
+// contents as a string.
+
+export const EXPORT_FORMATS = {
+  csv: { extension: "csv", contentType: "text/csv; charset=utf-8" },
+  json: { extension: "json", contentType: "application/json; charset=utf-8" },
+  ofx: { extension: "ofx", contentType: "application/x-ofx; charset=utf-8" },
+};
+
+const CSV_COLUMNS = [
+  "id",
+  "date",
+  "account",
+  "type",
+  "amount",
+  "currency",
+  "transferAmount",
+  "category",
+  "subcategory",
+  "description",
+  "transferAccount",
+  "status",
+  "isRecurring",
+  "recurringInterval",
+  "splits",
+  "tags",
+];
+
+// Text a spreadsheet would run as a formula (descriptions come from bank
+// statements) is prefixed with an apostrophe; numbers are left alone.
+const csvValue = (value) => {
+  if (value === undefined || value === null) return "";
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// "groceries/fruit:12.50; household:7.50"
+const splitsToText = (splits = []) =>
+  splits
+    .map(
+      (split) =>
+        `${split.subcategory ? `${split.category}/${split.subcategory}` : split.category}:${toNumber(split.amount).toFixed(2)}`
+    )
+    .join("; ");
+
+export function transactionsToCSV(transactions, accounts) {
+  const accountNames = Object.fromEntries(
+    accounts.map((account) => [account.id, account.name])
+  );
+  const accountCurrencies = Object.fromEntries(
+    accounts.map((account) => [account.id, account.currency])
+  );
+
+  const lines = transactions.map((t) =>
+    [
+      t.id,
+      format(new Date(t.date), "yyyy-MM-dd"),
+      accountNames[t.accountId],
+      t.type,
+      toNumber(t.amount).toFixed(2),
+      accountCurrencies[t.accountId],
+      t.transferAmount == null ? "" : toNumber(t.transferAmount).toFixed(2),
+      t.category,
+      t.subcategory,
+      t.description,
+      t.transferAccountId ? accountNames[t.transferAccountId] : "",
+      t.status,
+      t.isRecurring,
+      t.recurringInterval,
+      splitsToText(t.splits),
+      (t.tags || []).map((tag) => tag.name).join(", "),
+    ]
+      .map(csvValue)
+      .join(",")
+  );
+
+  return [CSV_COLUMNS.join(","), ...lines].join("\r\n");
+}
+
+const serializeRow = (row) => {
+  const serialized = { ...row };
+  for (const key of [
+    "amount",
+    "transferAmount",
+    "balance",
+    "openingBalance",
+    "creditLimit",
+    "principal",
+    "interestRate",
+  ]) {
+    if (row[key] !== undefined && row[key] !== null) {
+      serialized[key] = toNumber(row[key]);
+    }
+  }
+  return serialized;
+};
+
+export function toExportJSON({ accounts, budgets, transactions, filters }) {
+  return JSON.stringify(
+    {
+      exportedAt: new Date().toISOString(),
+      filters,
+      accounts: accounts.map(serializeRow),
+      budgets: budgets.map(serializeRow),
+      transactions: transactions.map((t) => ({
+        ...serializeRow(t),
+        splits: (t.splits || []).map(({ category, subcategory, amount }) => ({
+          category,
+          subcategory,
+          amount: toNumber(amount),
+        })),
+        tags: (t.tags || []).map((tag) => tag.name),
+      })),
+    },
+    null,
+    2
+  );
+}
+
+const ofxDate = (date) => format(new Date(date), "yyyyMMddHHmmss");
+
+const ofxText = (value) =>
+  String(value || "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+
+const OFX_ACCOUNT_TYPES = {
+  SAVINGS: "SAVINGS",
+  CREDIT_CARD: "CREDITLINE",
+  LOAN: "CREDITLINE",
+};
+
+// One bank statement per account, with transfers shown on both sides.
+export function transactionsToOFX(transactions, accounts) {
+  const statements = accounts.map((account) => {
+    const accountTransactions = transactions.filter(
+      (t) => t.accountId === account.id || t.transferAccountId === account.id
+    );
+    const dates = accountTransactions.map((t) => new Date(t.date).getTime());
+
+    const entries = accountTransactions.map((t) => {
+      const amount = getAccountAmount(t, account.id);
+      return [
+        "<STMTTRN>",
+        `<TRNTYPE>${amount < 0 ? "DEBIT" : "CREDIT"}`,
+        `<DTPOSTED>${ofxDate(t.date)}`,
+        `<TRNAMT>${amount.toFixed(2)}`,
+        `<FITID>${t.id}`,
+        `<NAME>${ofxText(t.description || t.category).slice(0, 32)}`,
+        `<MEMO>${ofxText(t.description)}`,
+        "</STMTTRN>",
+      ].join("\n");
+    });
+
+    return [
+      "<STMTTRNRS>",
+      "<TRNUID>0",
+      "<STATUS><CODE>0<SEVERITY>INFO</STATUS>",
+      "<STMTRS>",
+      `<CURDEF>${account.currency || "USD"}`,
+      "<BANKACCTFROM>",
+      "<BANKID>CASHVAULT",
+      `<ACCTID>${account.id}`,
+      `<ACCTTYPE>${OFX_ACCOUNT_TYPES[account.type] || "CHECKING"}`,
+      "</BANKACCTFROM>",
+      "<BANKTRANLIST>",
+      `<DTSTART>${ofxDate(dates.length ? Math.min(...dates) : Date.now())}`,
+      `<DTEND>${ofxDate(dates.length ? Math.max(...dates) : Date.now())}`,
+      ...entries,
+      "</BANKTRANLIST>",
+      "<LEDGERBAL>",
+      `<BALAMT>${toNumber(account.balance).toFixed(2)}`,
+      `<DTASOF>${ofxDate(new Date())}`,
+      "</LEDGERBAL>",
+      "</STMTRS>",
+      "</STMTTRNRS>",
+    ].join("\n");
+  });
+
+  return [
+    "OFXHEADER:100",
+    "DATA:OFXSGML",
+    "VERSION:102",
+    "SECURITY:NONE",
+    "ENCODING:USASCII",
+    "CHARSET:1252",
+    "COMPRESSION:NONE",
+    "OLDFILEUID:NONE",
+    "NEWFILEUID:NONE",
+    "",
+    "<OFX>",
+    "<SIGNONMSGSRSV1><SONRS>",
+    "<STATUS><CODE>0<SEVERITY>INFO</STATUS>",
+    `<DTSERVER>${ofxDate(new Date())}`,
+    "<LANGUAGE>ENG",
+    "</SONRS></SIGNONMSGSRSV1>",
+    "<BANKMSGSRSV1>",
+    ...statements,
+    "</BANKMSGSRSV1>",
+    "</OFX>",
+  ].join("\n");
+}
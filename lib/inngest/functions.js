@@ -3,6 +3,35 @@ import { db } from "@/lib/prisma";
 import EmailTemplate from "@/emails/template";
 import { sendEmail } from "@/actions/send-email";
 import { GoogleGenerativeAI } from "@google/generative-ai";
+import { addDays, endOfDay, format, startOfDay, subMilliseconds } from "date-fns";
+import {
+  applyBalanceChanges,
+  getAvailableBalance,
+  getBalanceChanges,
+  getPendingTotals,
+  mergeBalanceChanges,
+  toNumber,
+} from "@/lib/balance";
+import {
+  getBudgetName,
+  getBudgetStatus,
+  getPendingAlertThresholds,
+} from "@/lib/budget";
+import { BUDGET_PERIODS } from "@/lib/budget-periods";
+import { formatCurrency } from "@/lib/currency";
+import { getCurrencyConverter } from "@/lib/exchange-rates";
+import { snapshotAccountBalances } from "@/lib/net-worth";
+import { refreshSubscriptions } from "@/lib/subscriptions";
+import { getCategoryLines } from "@/lib/splits";
+import { getTrashCutoff } from "@/lib/trash";
+import { getTransactionAuditEntry, writeAuditLogs } from "@/lib/audit";
+import {
+  getNextRecurringDate,
+  getUnpostedOccurrences,
+  getUpcomingOccurrences,
+  isRecurringDue,
+  MAX_RECURRING_CATCH_UP,
+} from "@/lib/recurring";
 
 // 1️⃣ Recurring Transaction Processing with Throttling
 export const processRecurringTransaction = inngest.createFunction(
@@ -20,46 +49,96 @@ export const processRecurringTransaction = inngest.createFunction(
     try {
       if (!event?.data?.transactionId || !event?.data?.userId) return;
 
-      await step.run("process-transaction", async () => {
+      // Posts every occurrence that has fallen due since the last run, each
+      // dated on its own scheduled day, so an outage only delays them.
+      return await step.run("process-transaction", async () => {
         const transaction = await db.transaction.findUnique({
-          where: { id: event.data.transactionId, userId: event.data.userId },
-          include: { account: true },
+          where: {
+            id: event.data.transactionId,
+            userId: event.data.userId,
+            deletedAt: null,
+          },
+          include: { account: true, splits: true, tags: true },
         });
-        if (!transaction || !isTransactionDue(transaction)) return;
+        if (!transaction || !isRecurringDue(transaction)) return { posted: 0 };
 
-        await db.$transaction(async (tx) => {
-          const amountValue = transaction.amount ? transaction.amount.toNumber() : 0;
+        const now = new Date();
+        const dueDates = getUpcomingOccurrences(transaction, {
+          after: subMilliseconds(startOfDay(transaction.nextRecurringDate), 1),
+          until: now,
+          limit: MAX_RECURRING_CATCH_UP,
+        });
 
-          await tx.transaction.create({
-            data: {
-              type: transaction.type,
-              amount: transaction.amount,
-              description: `${transaction.description} (Recurring)`,
-              date: new Date(),
-              category: transaction.category,
-              userId: transaction.userId,
-              accountId: transaction.accountId,
-              isRecurring: false,
-            },
+        return await db.$transaction(async (tx) => {
+          // Retries and overlapping runs find the occurrences already posted
+          // and leave them alone; the unique (template, date) index backs
+          // this up.
+          const posted = await tx.transaction.findMany({
+            where: { recurringTemplateId: transaction.id, recurringDate: { in: dueDates } },
+            select: { recurringDate: true },
           });
+          const postedDates = new Set(posted.map((t) => t.recurringDate.getTime()));
 
-          const balanceChange = transaction.type === "EXPENSE" ? -amountValue : amountValue;
-
-          await tx.account.update({
-            where: { id: transaction.accountId },
-            data: { balance: { increment: balanceChange } },
-          });
+          const occurrences = [];
+          for (const date of dueDates.filter((d) => !postedDates.has(d.getTime()))) {
+            occurrences.push(
+              await tx.transaction.create({
+                data: {
+                  type: transaction.type,
+                  amount: transaction.amount,
+                  transferAmount: transaction.transferAmount,
+                  description: `${transaction.description} (Recurring)`,
+                  date,
+                  category: transaction.category,
+                  subcategory: transaction.subcategory,
+                  userId: transaction.userId,
+                  accountId: transaction.accountId,
+                  transferAccountId: transaction.transferAccountId,
+                  isRecurring: false,
+                  recurringTemplateId: transaction.id,
+                  recurringDate: date,
+                  splits: {
+                    create: transaction.splits.map(({ category, subcategory, amount }) => ({
+                      category,
+                      subcategory,
+                      amount,
+                    })),
+                  },
+                  tags: { connect: transaction.tags.map(({ id }) => ({ id })) },
+                },
+              })
+            );
+          }
 
+          await applyBalanceChanges(
+            tx,
+            mergeBalanceChanges(...occurrences.map(getBalanceChanges))
+          );
+          await writeAuditLogs(
+            tx,
+            occurrences.map((occurrence) => getTransactionAuditEntry("create", null, occurrence)),
+            { userId: transaction.userId, source: "RECURRING" }
+          );
+
+          // A backlog longer than one run allows continues from the last
+          // date handled on the next run. `lastProcessed` is that scheduled
+          // date rather than the time of the run, as pausing and editing the
+          // schedule carry on from it.
+          const recurringCount = transaction.recurringCount + occurrences.length;
+          const lastDate = dueDates.at(-1) || transaction.nextRecurringDate;
           await tx.transaction.update({
             where: { id: transaction.id },
             data: {
-              lastProcessed: new Date(),
-              nextRecurringDate: calculateNextRecurringDate(
-                new Date(),
-                transaction.recurringInterval
+              lastProcessed: dueDates.at(-1) || transaction.lastProcessed,
+              recurringCount,
+              nextRecurringDate: getNextRecurringDate(
+                { ...transaction, recurringCount },
+                lastDate
               ),
             },
           });
+
+          return { posted: occurrences.length };
         });
       });
     } catch (error) {
@@ -80,10 +159,10 @@ export const triggerRecurringTransactions = inngest.createFunction(
           where: {
             isRecurring: true,
             status: "COMPLETED",
-            OR: [
-              { lastProcessed: null },
-              { nextRecurringDate: { lte: new Date() } },
-            ],
+            deletedAt: null,
+            recurringPausedAt: null,
+            // Ended schedules have no next date.
+            nextRecurringDate: { lte: new Date() },
           },
         });
       });
@@ -110,14 +189,16 @@ async function generateFinancialInsights(stats, month) {
     const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
     const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
 
+    const money = (amount) => formatCurrency(amount, stats.currency);
+
     const prompt = `
       Analyze this financial data and provide 3 concise, actionable insights.
       Financial Data for ${month}:
-      - Total Income: $${stats.totalIncome}
-      - Total Expenses: $${stats.totalExpenses}
-      - Net Income: $${stats.totalIncome - stats.totalExpenses}
+      - Total Income: ${money(stats.totalIncome)}
+      - Total Expenses: ${money(stats.totalExpenses)}
+      - Net Income: ${money(stats.totalIncome - stats.totalExpenses)}
       - Expense Categories: ${Object.entries(stats.byCategory || {})
-        .map(([c, a]) => `${c}: $${a}`)
+        .map(([c, a]) => `${c}: ${money(a)}`)
         .join(", ")}
       Format as JSON array: ["insight 1","insight 2","insight 3"]
     `;
@@ -151,7 +232,7 @@ export const generateMonthlyReports = inngest.createFunction(
           const lastMonth = new Date();
           lastMonth.setMonth(lastMonth.getMonth() - 1);
 
-          const stats = await getMonthlyStats(user.id, lastMonth);
+          const stats = await getMonthlyStats(user.id, lastMonth, user.baseCurrency);
           const monthName = lastMonth.toLocaleString("default", { month: "long" });
           const insights = await generateFinancialInsights(stats, monthName);
 
@@ -186,107 +267,316 @@ export const checkBudgetAlerts = inngest.createFunction(
     try {
       const budgets = await step.run("fetch-budgets", async () => {
         return await db.budget.findMany({
-          include: {
-            user: { include: { accounts: { where: { isDefault: true } } } },
-          },
+          include: { user: { include: { categories: true } }, account: true },
         });
       });
 
+      // Every budget is evaluated and alerted on independently.
       for (const budget of budgets) {
-        const defaultAccount = budget.user.accounts[0];
-        if (!defaultAccount || !budget.user.email) continue;
+        if (!budget.user.email) continue;
 
         await step.run(`check-budget-${budget.id}`, async () => {
-          const startDate = new Date();
-          startDate.setDate(1);
+          const status = await getBudgetStatus(budget);
+          const { notified, pending } = getPendingAlertThresholds(budget, status);
+          if (pending.length === 0) return;
 
-          const expenses = await db.transaction.aggregate({
-            where: {
-              userId: budget.userId,
-              accountId: defaultAccount.id,
-              type: "EXPENSE",
-              date: { gte: startDate },
+          // One email per run, for the highest threshold reached; a later
+          // overrun still gets its own "exceeded" email.
+          const exceeded = status.percentUsed >= 100;
+          const budgetName = getBudgetName(budget, budget.user.categories);
+
+          await sendEmail({
+            to: budget.user.email,
+            subject: exceeded
+              ? `Budget Exceeded: ${budgetName}`
+              : `Budget Alert: ${budgetName}`,
+            react: EmailTemplate({
+              userName: budget.user.name,
+              type: exceeded ? "budget-exceeded" : "budget-alert",
+              data: {
+                percentageUsed: parseFloat(status.percentUsed.toFixed(1)),
+                budgetAmount: parseFloat(status.available.toFixed(1)),
+                totalExpenses: parseFloat(status.spent.toFixed(1)),
+                threshold: pending[pending.length - 1],
+                budgetName,
+                period: BUDGET_PERIODS[budget.period].label.toLowerCase(),
+                accountName: budget.account?.name,
+                currency: status.currency,
+              },
+            }),
+          });
+
+          await db.budget.update({
+            where: { id: budget.id },
+            data: {
+              lastAlertSent: new Date(),
+              notifiedThresholds: [...notified, ...pending],
             },
-            _sum: { amount: true },
           });
+        });
+      }
+    } catch (error) {
+      console.error("Error in checkBudgetAlerts:", error);
+      throw error;
+    }
+  }
+);
 
-          const totalExpenses = expenses._sum.amount?.toNumber() || 0;
-          const budgetAmount = budget.amount;
-          const percentageUsed = (totalExpenses / budgetAmount) * 100;
-
-          if (
-            percentageUsed >= 80 &&
-            (!budget.lastAlertSent || isNewMonth(new Date(budget.lastAlertSent), new Date()))
-          ) {
-            await sendEmail({
-              to: budget.user.email,
-              subject: `Budget Alert for ${defaultAccount.name}`,
-              react: EmailTemplate({
-                userName: budget.user.name,
-                type: "budget-alert",
-                data: {
-                  percentageUsed: parseFloat(percentageUsed.toFixed(1)),
-                  budgetAmount: parseFloat(budgetAmount.toFixed(1)),
-                  totalExpenses: parseFloat(totalExpenses.toFixed(1)),
-                  accountName: defaultAccount.name,
-                },
-              }),
-            });
+// 5️⃣ Snapshot Account Balances (end of day, for the net worth history)
+export const snapshotNetWorth = inngest.createFunction(
+  { id: "snapshot-net-worth", name: "Snapshot Net Worth" },
+  { cron: "55 23 * * *" },
+  async ({ step }) => {
+    try {
+      const users = await step.run("fetch-users", async () => {
+        return await db.user.findMany({ select: { id: true } });
+      });
 
-            await db.budget.update({
-              where: { id: budget.id },
-              data: { lastAlertSent: new Date() },
-            });
-          }
+      for (const user of users) {
+        await step.run(`snapshot-${user.id}`, async () => {
+          return await snapshotAccountBalances(user.id);
         });
       }
+
+      return { processed: users.length };
     } catch (error) {
-      console.error("Error in checkBudgetAlerts:", error);
+      console.error("Error in snapshotNetWorth:", error);
       throw error;
     }
   }
 );
 
-// Utility Functions
-function isNewMonth(lastAlertDate, currentDate) {
-  return lastAlertDate.getMonth() !== currentDate.getMonth() || lastAlertDate.getFullYear() !== currentDate.getFullYear();
-}
+// 6️⃣ Purge Old Trash (transactions deleted longer ago than the retention)
+export const purgeDeletedTransactions = inngest.createFunction(
+  { id: "purge-deleted-transactions", name: "Purge Deleted Transactions" },
+  { cron: "0 3 * * *" },
+  async ({ step }) => {
+    try {
+      // Their balance effect was reverted when they were moved to the trash.
+      const { count } = await step.run("purge-transactions", async () => {
+        return await db.transaction.deleteMany({
+          where: { deletedAt: { lt: getTrashCutoff() } },
+        });
+      });
 
-function isTransactionDue(transaction) {
-  if (!transaction.lastProcessed) return true;
-  return new Date(transaction.nextRecurringDate) <= new Date();
-}
+      return { purged: count };
+    } catch (error) {
+      console.error("Error in purgeDeletedTransactions:", error);
+      throw error;
+    }
+  }
+);
+
+// 7️⃣ Detect Subscriptions (and email known ones whose price changed)
+export const detectSubscriptions = inngest.createFunction(
+  { id: "detect-subscriptions", name: "Detect Subscriptions" },
+  { cron: "0 4 * * 1" },
+  async ({ step }) => {
+    try {
+      const users = await step.run("fetch-users", async () => {
+        return await db.user.findMany({ select: { id: true, name: true, email: true } });
+      });
+
+      for (const user of users) {
+        await step.run(`detect-subscriptions-${user.id}`, async () => {
+          const { detected, priceChanges } = await refreshSubscriptions(user.id);
+          if (priceChanges.length === 0 || !user.email) return { detected };
 
-function calculateNextRecurringDate(date, interval) {
-  const next = new Date(date);
-  switch (interval) {
-    case "DAILY": next.setDate(next.getDate() + 1); break;
-    case "WEEKLY": next.setDate(next.getDate() + 7); break;
-    case "MONTHLY": next.setMonth(next.getMonth() + 1); break;
-    case "YEARLY": next.setFullYear(next.getFullYear() + 1); break;
+          await sendEmail({
+            to: user.email,
+            subject:
+              priceChanges.length === 1
+                ? `Price Change: ${priceChanges[0].subscription.name}`
+                : `${priceChanges.length} Subscriptions Changed Price`,
+            react: EmailTemplate({
+              userName: user.name,
+              type: "subscription-price-change",
+              data: {
+                changes: priceChanges.map(({ subscription, previousAmount }) => ({
+                  name: subscription.name,
+                  accountName: subscription.account.name,
+                  previousAmount,
+                  amount: subscription.amount.toNumber(),
+                  currency: subscription.account.currency,
+                })),
+              },
+            }),
+          });
+
+          return { detected, priceChanges: priceChanges.length };
+        });
+      }
+
+      return { processed: users.length };
+    } catch (error) {
+      console.error("Error in detectSubscriptions:", error);
+      throw error;
+    }
   }
-  return next;
-}
+);
+
+// 8️⃣ Send Upcoming Bills Reminders
+// Each user gets a digest of the recurring expenses due in their next
+// `billReminderDays` days, sent again only once a bill the last digest did
+// not cover comes into that window.
+export const sendBillReminders = inngest.createFunction(
+  { id: "send-bill-reminders", name: "Send Bill Reminders" },
+  { cron: "0 8 * * *" },
+  async ({ step }) => {
+    try {
+      const users = await step.run("fetch-users", async () => {
+        return await db.user.findMany({
+          where: { billReminderDays: { gt: 0 } },
+          select: { id: true, name: true, email: true, billReminderDays: true, billRemindersSentAt: true },
+        });
+      });
+
+      for (const user of users) {
+        if (!user.email) continue;
+
+        await step.run(`send-bill-reminder-${user.id}`, async () => {
+          const now = new Date();
+          const windowEnd = (from) => endOfDay(addDays(startOfDay(from), user.billReminderDays));
+          const until = windowEnd(now);
+
+          const templates = await db.transaction.findMany({
+            where: {
+              userId: user.id,
+              isRecurring: true,
+              type: "EXPENSE",
+              status: "COMPLETED",
+              deletedAt: null,
+              recurringPausedAt: null,
+              nextRecurringDate: { lte: until },
+            },
+            include: { account: { select: { name: true, currency: true, isDefault: true } } },
+          });
 
-async function getMonthlyStats(userId, month) {
+          const bills = templates
+            .flatMap((template) =>
+              getUnpostedOccurrences(template, until).map((date) => ({ date, template }))
+            )
+            .sort((a, b) => a.date - b.date);
+
+          const covered = user.billRemindersSentAt && windowEnd(new Date(user.billRemindersSentAt));
+          if (bills.length === 0 || (covered && bills.every((bill) => bill.date <= covered))) {
+            return { sent: false };
+          }
+
+          // Only the default account is checked: it is where bills without a
+          // better home are paid from. Pending charges already count against it.
+          const account = await db.account.findFirst({
+            where: { userId: user.id, isDefault: true },
+          });
+          let defaultAccount = null;
+          if (account) {
+            const pending = getPendingTotals(
+              await db.transaction.findMany({
+                where: {
+                  userId: user.id,
+                  status: "PENDING",
+                  deletedAt: null,
+                  OR: [{ accountId: account.id }, { transferAccountId: account.id }],
+                },
+              })
+            );
+            const { availableBalance } = getAvailableBalance(account.balance, pending[account.id]);
+            const upcoming = bills
+              .filter(({ template }) => template.accountId === account.id)
+              .reduce((sum, { template }) => sum + toNumber(template.amount), 0);
+
+            defaultAccount = {
+              name: account.name,
+              currency: account.currency,
+              availableBalance,
+              upcoming: Math.round(upcoming * 100) / 100,
+              projectedBalance: Math.round((availableBalance - upcoming) * 100) / 100,
+            };
+          }
+          const shortfall = defaultAccount?.projectedBalance < 0;
+
+          await sendEmail({
+            to: user.email,
+            subject: shortfall
+              ? `Low Balance: Upcoming Bills Exceed ${defaultAccount.name}`
+              : `${bills.length} Bill${bills.length === 1 ? "" : "s"} Due in the Next ${user.billReminderDays} Days`,
+            react: EmailTemplate({
+              userName: user.name,
+              type: "upcoming-bills",
+              data: {
+                days: user.billReminderDays,
+                bills: bills.map(({ date, template }) => ({
+                  name: template.description,
+                  date: format(date, "EEE, MMM d"),
+                  accountName: template.account.name,
+                  amount: toNumber(template.amount),
+                  currency: template.account.currency,
+                })),
+                defaultAccount,
+                shortfall,
+              },
+            }),
+          });
+
+          await db.user.update({
+            where: { id: user.id },
+            data: { billRemindersSentAt: now },
+          });
+
+          return { sent: true, bills: bills.length, shortfall };
+        });
+      }
+
+      return { processed: users.length };
+    } catch (error) {
+      console.error("Error in sendBillReminders:", error);
+      throw error;
+    }
+  }
+);
+
+// Utility Functions
+// Totals are in the user's base currency.
+async function getMonthlyStats(userId, month, baseCurrency) {
   const startDate = new Date(month.getFullYear(), month.getMonth(), 1);
   const endDate = new Date(month.getFullYear(), month.getMonth() + 1, 0);
 
   const transactions = await db.transaction.findMany({
-    where: { userId, date: { gte: startDate, lte: endDate } },
+    where: {
+      userId,
+      // Transfers only move money between the user's own accounts.
+      type: { in: ["INCOME", "EXPENSE"] },
+      date: { gte: startDate, lte: endDate },
+      deletedAt: null,
+      status: { not: "FAILED" },
+    },
+    include: { account: { select: { currency: true } }, splits: true },
   });
 
+  const convert = await getCurrencyConverter();
+
   return transactions.reduce(
     (stats, t) => {
-      const amount = t.amount ? t.amount.toNumber() : 0;
+      const toBase = (amount) => convert(amount, t.account.currency, baseCurrency);
+      const amount = t.amount ? toBase(t.amount.toNumber()) : 0;
       if (t.type === "EXPENSE") {
         stats.totalExpenses += amount;
-        stats.byCategory[t.category] = (stats.byCategory[t.category] || 0) + amount;
+        // Split expenses count against each of their categories.
+        for (const line of getCategoryLines(t)) {
+          stats.byCategory[line.category] =
+            (stats.byCategory[line.category] || 0) + toBase(line.amount);
+        }
       } else {
         stats.totalIncome += amount;
       }
       return stats;
     },
-    { totalExpenses: 0, totalIncome: 0, byCategory: {}, transactionCount: transactions.length }
+    {
+      totalExpenses: 0,
+      totalIncome: 0,
+      byCategory: {},
+      transactionCount: transactions.length,
+      currency: baseCurrency,
+    }
   );
 }
@@ -0,0 +1,82 @@
+import { endOfDay, startOfDay, subDays } from "date-fns";
+import { db } from "./prisma";
+import { getAccountAmount, toNumber } from "./balance";
+
+// Daily balance history used by the net worth chart. Each snapshot is an
+// account's balance at the end of `date` (stored as the start of that day).
+
+// Rebuilds end-of-day balances for every day before today by walking back
+// from the current balance and undoing transactions one day at a time. Used
+// the first time an account is snapshotted, so existing history shows up.
+async function backfillAccountSnapshots(account) {
+  const transactions = await db.transaction.findMany({
+    where: {
+      OR: [{ accountId: account.id }, { transferAccountId: account.id }],
+      deletedAt: null,
+      status: "COMPLETED",
+    },
+    orderBy: { date: "desc" },
+  });
+  if (transactions.length === 0) return 0;
+
+  const firstDay = startOfDay(transactions[transactions.length - 1].date);
+  let day = subDays(startOfDay(new Date()), 1);
+  let balance = toNumber(account.balance);
+  let index = 0;
+
+  const undoUntil = (date) => {
+    while (index < transactions.length && transactions[index].date >= date) {
+      balance -= getAccountAmount(transactions[index], account.id);
+      index++;
+    }
+  };
+
+  // Today's (and any future-dated) transactions are not part of yesterday.
+  undoUntil(new Date(endOfDay(day).getTime() + 1));
+
+  const snapshots = [];
+  for (; day >= firstDay; day = subDays(day, 1)) {
+    snapshots.push({
+      userId: account.userId,
+      accountId: account.id,
+      date: day,
+      balance,
+    });
+    undoUntil(day);
+  }
+
+  const { count } = await db.accountSnapshot.createMany({
+    data: snapshots,
+    skipDuplicates: true,
+  });
+  return count;
+}
+
+// Records today's balance of every account of a user, backfilling accounts
+// that have no snapshots yet.
+export async function snapshotAccountBalances(userId) {
+  const accounts = await db.account.findMany({
+    where: { userId },
+    include: { _count: { select: { snapshots: true } } },
+  });
+  const today = startOfDay(new Date());
+
+  for (const account of accounts) {
+    if (account._count.snapshots === 0) {
+      await backfillAccountSnapshots(account);
+    }
+
+    await db.accountSnapshot.upsert({
+      where: { accountId_date: { accountId: account.id, date: today } },
+      update: { balance: account.balance },
+      create: {
+        userId,
+        accountId: account.id,
+        date: today,
+        balance: account.balance,
+      },
+    });
+  }
+
+  return accounts.length;
+}
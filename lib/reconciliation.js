@@ -0,0 +1,135 @@
+import { endOfDay } from "date-fns";
+import { db } from "./prisma";
+import { getAccountAmount, getBalanceChanges } from "./balance";
+import { toCents } from "./splits";
+
+// Balance checks against the ledger, i.e. the account's completed
+// transactions that are not in the trash. Sums are kept in cents so rounding
+// never shows up as a discrepancy. The report helpers take an optional Prisma
+// transaction client so a recompute can read and write under one lock.
+
+async function sumLedger(accountId, where = {}, client = db) {
+  const transactions = await client.transaction.findMany({
+    where: {
+      AND: [
+        where,
+        {
+          OR: [{ accountId }, { transferAccountId: accountId }],
+          deletedAt: null,
+          status: "COMPLETED",
+        },
+      ],
+    },
+    select: {
+      type: true,
+      amount: true,
+      transferAmount: true,
+      accountId: true,
+      transferAccountId: true,
+    },
+  });
+
+  return {
+    cents: transactions.reduce(
+      (sum, t) => sum + toCents(getAccountAmount(t, accountId)),
+      0
+    ),
+    count: transactions.length,
+  };
+}
+
+// The balance a statement dated `statementDate` should show: the stored
+// balance without the transactions that are not cleared or came later.
+export async function getClearedBalance(account, statementDate) {
+  const outstanding = await sumLedger(account.id, {
+    OR: [{ cleared: false }, { date: { gt: endOfDay(statementDate) } }],
+  });
+
+  return (toCents(account.balance) - outstanding.cents) / 100;
+}
+
+// The stored balance next to the one rebuilt from the opening balance and
+// the ledger; a non-zero difference means the stored balance drifted. The
+// transactions that may explain a difference come with it (see
+// getDiscrepancies).
+export async function getBalanceReport(account, client = db) {
+  const ledger = await sumLedger(account.id, {}, client);
+  const computed = toCents(account.openingBalance) + ledger.cents;
+  const stored = toCents(account.balance);
+
+  return {
+    storedBalance: stored / 100,
+    openingBalance: toCents(account.openingBalance) / 100,
+    ledgerTotal: ledger.cents / 100,
+    transactionCount: ledger.count,
+    computedBalance: computed / 100,
+    difference: (stored - computed) / 100,
+    ...(await getDiscrepancies(account, client)),
+  };
+}
+
+const toReportRow = (transaction, accountId) => ({
+  id: transaction.id,
+  date: transaction.date,
+  description: transaction.description,
+  status: transaction.status,
+  amount: getAccountAmount(transaction, accountId),
+});
+
+// The account's transactions worth a look when the balance is off:
+// - unreconciled: cleared since the last finished reconciliation (or ever,
+//   before the first one), so no statement has confirmed them yet;
+// - auditMismatches: those whose current effect on the balance differs from
+//   the sum of the balance changes the audit log recorded for them. Rows
+//   without any audit entry predate the log and are left out.
+export async function getDiscrepancies(account, client = db) {
+  const lastReconciliation = await client.reconciliation.findFirst({
+    where: { accountId: account.id },
+    orderBy: { statementDate: "desc" },
+  });
+
+  const transactions = await client.transaction.findMany({
+    where: { OR: [{ accountId: account.id }, { transferAccountId: account.id }] },
+    orderBy: [{ date: "asc" }, { createdAt: "asc" }],
+  });
+  const auditLogs = await client.auditLog.findMany({
+    where: { entityType: "transaction", accountIds: { has: account.id } },
+    select: { entityId: true, balanceChanges: true },
+  });
+
+  const audited = {};
+  for (const log of auditLogs) {
+    audited[log.entityId] =
+      (audited[log.entityId] || 0) + toCents(log.balanceChanges[account.id]);
+  }
+
+  const reconciledUntil = lastReconciliation && endOfDay(lastReconciliation.statementDate);
+  const unreconciled = transactions.filter(
+    (t) =>
+      t.cleared &&
+      !t.deletedAt &&
+      t.status === "COMPLETED" &&
+      (!reconciledUntil || t.date > reconciledUntil)
+  );
+
+  const auditMismatches = transactions.flatMap((t) => {
+    if (!(t.id in audited)) return [];
+
+    const ledgerCents = t.deletedAt ? 0 : toCents(getBalanceChanges(t)[account.id]);
+    if (ledgerCents === audited[t.id]) return [];
+
+    return [
+      {
+        ...toReportRow(t, account.id),
+        deleted: !!t.deletedAt,
+        ledgerAmount: ledgerCents / 100,
+        auditedAmount: audited[t.id] / 100,
+      },
+    ];
+  });
+
+  return {
+    unreconciled: unreconciled.map((t) => toReportRow(t, account.id)),
+    auditMismatches,
+  };
+}
@@ -0,0 +1,238 @@
+import {
+  addDays,
+  addMonths,
+  differenceInCalendarDays,
+  differenceInCalendarMonths,
+  endOfDay,
+  getDaysInMonth,
+  isWeekend,
+  lastDayOfMonth,
+  setDate,
+  startOfDay,
+  startOfMonth,
+  subDays,
+  subMilliseconds,
+} from "date-fns";
+
+// Recurring transaction schedules. A recurring transaction is the template
+// and first occurrence of its schedule; later occurrences are copies dated on
+// the schedule. Kept free of database access so forms and the calendar can
+// use it in the browser as well.
+//
+// A schedule is the template's { date, recurringInterval, recurringEvery,
+// recurringDayOfMonth, recurringEndDate, recurringMaxCount, recurringCount }:
+// every `recurringEvery` intervals from `date`, on `recurringDayOfMonth`
+// (1-31, clamped to short months, or LAST_BUSINESS_DAY) for the month-based
+// intervals, until `recurringEndDate` or `recurringMaxCount` occurrences
+// (the template included), whichever comes first. `recurringCount` is the
+// number of occurrences posted or skipped so far, not counting the template.
+
+export const RECURRING_INTERVALS = {
+  DAILY: { label: "Daily", unit: "day", days: 1 },
+  WEEKLY: { label: "Weekly", unit: "week", days: 7 },
+  BIWEEKLY: { label: "Bi-weekly", unit: "week", days: 14 },
+  MONTHLY: { label: "Monthly", unit: "month", months: 1 },
+  QUARTERLY: { label: "Quarterly", unit: "month", months: 3 },
+  YEARLY: { label: "Yearly", unit: "year", months: 12 },
+};
+
+export const LAST_BUSINESS_DAY = -1;
+
+export const MAX_RECURRING_EVERY = 365;
+
+// Occurrences one processing run posts for a template at most; a longer
+// backlog is worked off over the following runs.
+export const MAX_RECURRING_CATCH_UP = 100;
+
+// How many days ahead the upcoming bills email looks; 0 turns it off.
+export const BILL_REMINDER_DAYS = [0, 3, 7, 14, 30];
+
+const UNIT_SIZES = { day: 1, week: 7, month: 1, year: 12 };
+
+const toInteger = (value) =>
+  value === undefined || value === null || value === "" ? null : Number(value);
+
+export const isMonthBased = (interval) => !!RECURRING_INTERVALS[interval]?.months;
+
+// The schedule columns of a transaction from form or action data, with
+// numbers parsed and the columns cleared when it does not recur.
+export function getScheduleData(data) {
+  if (!data.isRecurring) {
+    return {
+      recurringInterval: null,
+      recurringEvery: 1,
+      recurringDayOfMonth: null,
+      recurringEndDate: null,
+      recurringMaxCount: null,
+    };
+  }
+
+  return {
+    recurringInterval: data.recurringInterval,
+    recurringEvery: toInteger(data.recurringEvery) ?? 1,
+    recurringDayOfMonth: isMonthBased(data.recurringInterval)
+      ? toInteger(data.recurringDayOfMonth)
+      : null,
+    recurringEndDate: data.recurringEndDate ? new Date(data.recurringEndDate) : null,
+    recurringMaxCount: toInteger(data.recurringMaxCount),
+  };
+}
+
+// Why a schedule (see getScheduleData) cannot be saved for a transaction
+// dated `date`, or null.
+export function getScheduleError(schedule, date) {
+  const { recurringInterval, recurringEvery, recurringDayOfMonth } = schedule;
+
+  if (!RECURRING_INTERVALS[recurringInterval]) return "Select a recurring interval";
+  if (
+    !Number.isInteger(recurringEvery) ||
+    recurringEvery < 1 ||
+    recurringEvery > MAX_RECURRING_EVERY
+  ) {
+    return `Repeat every 1 to ${MAX_RECURRING_EVERY} intervals`;
+  }
+  if (
+    recurringDayOfMonth !== null &&
+    recurringDayOfMonth !== LAST_BUSINESS_DAY &&
+    !(Number.isInteger(recurringDayOfMonth) && recurringDayOfMonth >= 1 && recurringDayOfMonth <= 31)
+  ) {
+    return "Day must be between 1 and 31";
+  }
+  if (schedule.recurringEndDate) {
+    if (isNaN(schedule.recurringEndDate.getTime())) return "Invalid end date";
+    if (date && schedule.recurringEndDate < startOfDay(new Date(date))) {
+      return "The end date cannot be before the transaction date";
+    }
+  }
+  if (
+    schedule.recurringMaxCount !== null &&
+    !(Number.isInteger(schedule.recurringMaxCount) && schedule.recurringMaxCount >= 1)
+  ) {
+    return "The number of occurrences must be a whole number of at least 1";
+  }
+
+  return null;
+}
+
+function getLastBusinessDay(month) {
+  let day = lastDayOfMonth(month);
+  while (isWeekend(day)) day = subDays(day, 1);
+  return day;
+}
+
+// The k-th date of the schedule's underlying series, ignoring its end; k = 0
+// is the start date itself for day-based intervals and the first matching
+// day in the start date's month for month-based ones.
+function getSeriesDate(schedule, k) {
+  const start = startOfDay(new Date(schedule.date));
+  const interval = RECURRING_INTERVALS[schedule.recurringInterval];
+  const every = schedule.recurringEvery || 1;
+
+  if (!interval.months) return addDays(start, k * interval.days * every);
+
+  const month = addMonths(startOfMonth(start), k * interval.months * every);
+  const day = schedule.recurringDayOfMonth ?? start.getDate();
+  return day === LAST_BUSINESS_DAY
+    ? getLastBusinessDay(month)
+    : setDate(month, Math.min(day, getDaysInMonth(month)));
+}
+
+// Index of a series date at or just before `date`, to start searching from.
+function getSeriesIndex(schedule, date) {
+  const start = startOfDay(new Date(schedule.date));
+  const interval = RECURRING_INTERVALS[schedule.recurringInterval];
+  const step = (interval.months || interval.days) * (schedule.recurringEvery || 1);
+  const elapsed = interval.months
+    ? differenceInCalendarMonths(date, start)
+    : differenceInCalendarDays(date, start);
+
+  return Math.max(0, Math.floor(elapsed / step) - 1);
+}
+
+// Occurrences after `after` (exclusive) up to `until` (inclusive), at most
+// `limit` of them, within the schedule's end date and occurrence count.
+// Dates are at the start of the day; one of `until` and `limit` is required.
+export function getUpcomingOccurrences(schedule, { after, until = null, limit = Infinity }) {
+  if (!RECURRING_INTERVALS[schedule.recurringInterval]) return [];
+  if (!until && limit === Infinity) throw new Error("Occurrences need an until date or a limit");
+
+  const start = startOfDay(new Date(schedule.date));
+  const from = new Date(after) > start ? new Date(after) : start;
+  const endDate = schedule.recurringEndDate ? endOfDay(new Date(schedule.recurringEndDate)) : null;
+  const remaining =
+    schedule.recurringMaxCount == null
+      ? Infinity
+      : schedule.recurringMaxCount - 1 - (schedule.recurringCount || 0);
+
+  const occurrences = [];
+  for (let k = getSeriesIndex(schedule, from); occurrences.length < Math.min(limit, remaining); k++) {
+    const date = getSeriesDate(schedule, k);
+    if (date <= from) continue;
+    if ((endDate && date > endDate) || (until && date > new Date(until))) break;
+    occurrences.push(date);
+  }
+
+  return occurrences;
+}
+
+// The first occurrence after `after`, or null once the schedule has ended.
+export function getNextRecurringDate(schedule, after = schedule.date) {
+  return getUpcomingOccurrences(schedule, { after, limit: 1 })[0] || null;
+}
+
+// The first occurrence after `after` that is today or later. Schedules set
+// up on transactions already in the ledger start from here, so the
+// processing run does not post the occurrences they missed in the past.
+export function getNextRecurringDateFromToday(schedule, after = schedule.date, now = new Date()) {
+  const today = subMilliseconds(startOfDay(now), 1);
+  return getNextRecurringDate(schedule, new Date(after) > today ? after : today);
+}
+
+export function isRecurringDue(transaction, now = new Date()) {
+  return (
+    transaction.isRecurring &&
+    !transaction.recurringPausedAt &&
+    !!transaction.nextRecurringDate &&
+    new Date(transaction.nextRecurringDate) <= now
+  );
+}
+
+// Occurrences of an active template that have not been posted yet, up to
+// `until`. Overdue ones the next processing run will catch up on come first.
+// Only completed templates are processed, so pending and failed ones have
+// none.
+export function getUnpostedOccurrences(template, until) {
+  if (template.recurringPausedAt || !template.nextRecurringDate) return [];
+  if (template.status && template.status !== "COMPLETED") return [];
+
+  return getUpcomingOccurrences(template, {
+    after: subMilliseconds(startOfDay(new Date(template.nextRecurringDate)), 1),
+    until,
+  });
+}
+
+const ordinal = (n) => {
+  const suffix = { one: "st", two: "nd", few: "rd" }[
+    new Intl.PluralRules("en", { type: "ordinal" }).select(n)
+  ];
+  return `${n}${suffix || "th"}`;
+};
+
+// e.g. "Monthly", "Every 2 weeks", "Quarterly on the last business day".
+export function describeSchedule(schedule) {
+  const interval = RECURRING_INTERVALS[schedule.recurringInterval];
+  if (!interval) return "";
+
+  const every = schedule.recurringEvery || 1;
+  const units = (every * (interval.months || interval.days)) / UNIT_SIZES[interval.unit];
+  let description = every === 1 ? interval.label : `Every ${units} ${interval.unit}s`;
+
+  if (interval.months && schedule.recurringDayOfMonth != null) {
+    description +=
+      schedule.recurringDayOfMonth === LAST_BUSINESS_DAY
+        ? " on the last business day"
+        : ` on the ${ordinal(schedule.recurringDayOfMonth)}`;
+  }
+
+  return description;
+}
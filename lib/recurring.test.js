@@ -0,0 +1,240 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  describeSchedule,
+  getNextRecurringDate,
+  getNextRecurringDateFromToday,
+  getUnpostedOccurrences,
+  getUpcomingOccurrences,
+  LAST_BUSINESS_DAY,
+} from "./recurring.js";
+
+// Local dates, so the tests do not depend on the machine's time zone.
+const day = (year, month, date, hours = 0) => new Date(year, month - 1, date, hours);
+
+const schedule = (fields) => ({
+  recurringEvery: 1,
+  recurringDayOfMonth: null,
+  recurringEndDate: null,
+  recurringMaxCount: null,
+  recurringCount: 0,
+  ...fields,
+});
+
+const upcoming = (s, options) => getUpcomingOccurrences(s, { after: s.date, ...options });
+
+describe("getUpcomingOccurrences", () => {
+  it("needs an until date or a limit", () => {
+    const s = schedule({ date: day(2026, 1, 1), recurringInterval: "DAILY" });
+    assert.throws(() => getUpcomingOccurrences(s, { after: s.date }));
+  });
+
+  it("clamps the 31st to the end of shorter months", () => {
+    const s = schedule({ date: day(2026, 1, 31), recurringInterval: "MONTHLY" });
+    assert.deepEqual(upcoming(s, { limit: 4 }), [
+      day(2026, 2, 28),
+      day(2026, 3, 31),
+      day(2026, 4, 30),
+      day(2026, 5, 31),
+    ]);
+  });
+
+  it("uses Feb 29 in leap years", () => {
+    const monthly = schedule({ date: day(2028, 1, 31), recurringInterval: "MONTHLY" });
+    assert.deepEqual(upcoming(monthly, { limit: 2 }), [day(2028, 2, 29), day(2028, 3, 31)]);
+
+    const yearly = schedule({ date: day(2024, 2, 29), recurringInterval: "YEARLY" });
+    assert.deepEqual(upcoming(yearly, { limit: 4 }), [
+      day(2025, 2, 28),
+      day(2026, 2, 28),
+      day(2027, 2, 28),
+      day(2028, 2, 29),
+    ]);
+  });
+
+  it("keeps a fixed day of month apart from the start date", () => {
+    const s = schedule({
+      date: day(2026, 1, 10),
+      recurringInterval: "MONTHLY",
+      recurringDayOfMonth: 31,
+    });
+    assert.deepEqual(upcoming(s, { limit: 3 }), [day(2026, 1, 31), day(2026, 2, 28), day(2026, 3, 31)]);
+  });
+
+  it("moves the last business day off weekends", () => {
+    // Jan 31, Feb 28 and May 31 2026 fall on a weekend.
+    const s = schedule({
+      date: day(2026, 1, 5),
+      recurringInterval: "MONTHLY",
+      recurringDayOfMonth: LAST_BUSINESS_DAY,
+    });
+    assert.deepEqual(upcoming(s, { limit: 5 }), [
+      day(2026, 1, 30),
+      day(2026, 2, 27),
+      day(2026, 3, 31),
+      day(2026, 4, 30),
+      day(2026, 5, 29),
+    ]);
+  });
+
+  it("repeats every n intervals", () => {
+    const weekly = schedule({ date: day(2026, 10, 1), recurringInterval: "WEEKLY", recurringEvery: 2 });
+    assert.deepEqual(upcoming(weekly, { until: day(2026, 11, 1) }), [day(2026, 10, 15), day(2026, 10, 29)]);
+
+    const quarterly = schedule({
+      date: day(2026, 1, 10),
+      recurringInterval: "QUARTERLY",
+      recurringEvery: 2,
+      recurringDayOfMonth: 15,
+    });
+    assert.deepEqual(upcoming(quarterly, { limit: 3 }), [
+      day(2026, 1, 15),
+      day(2026, 7, 15),
+      day(2027, 1, 15),
+    ]);
+  });
+
+  it("includes an occurrence on the end date", () => {
+    const s = schedule({
+      date: day(2026, 10, 1),
+      recurringInterval: "WEEKLY",
+      recurringEndDate: day(2026, 10, 22, 12),
+    });
+    assert.deepEqual(upcoming(s, { limit: 10 }), [day(2026, 10, 8), day(2026, 10, 15), day(2026, 10, 22)]);
+  });
+
+  it("stops after the end date", () => {
+    const s = schedule({
+      date: day(2026, 10, 1),
+      recurringInterval: "WEEKLY",
+      recurringEndDate: day(2026, 10, 21),
+    });
+    assert.deepEqual(upcoming(s, { limit: 10 }), [day(2026, 10, 8), day(2026, 10, 15)]);
+  });
+
+  it("counts the template and posted occurrences towards the maximum", () => {
+    const s = schedule({ date: day(2026, 1, 15), recurringInterval: "MONTHLY", recurringMaxCount: 3 });
+    assert.deepEqual(upcoming(s, { limit: 10 }), [day(2026, 2, 15), day(2026, 3, 15)]);
+
+    const posted = { ...s, recurringCount: 1 };
+    assert.deepEqual(upcoming(posted, { after: day(2026, 2, 15), limit: 10 }), [day(2026, 3, 15)]);
+
+    const done = { ...s, recurringCount: 2 };
+    assert.deepEqual(upcoming(done, { after: day(2026, 3, 15), limit: 10 }), []);
+  });
+
+  it("starts after `after`, exclusive", () => {
+    const s = schedule({ date: day(2026, 10, 1), recurringInterval: "DAILY" });
+    assert.deepEqual(upcoming(s, { after: day(2026, 10, 5), limit: 2 }), [day(2026, 10, 6), day(2026, 10, 7)]);
+  });
+});
+
+describe("getNextRecurringDate", () => {
+  it("defaults to the occurrence after the start date", () => {
+    const s = schedule({ date: day(2026, 10, 1, 9), recurringInterval: "WEEKLY" });
+    assert.deepEqual(getNextRecurringDate(s), day(2026, 10, 8));
+  });
+
+  it("continues from a later date", () => {
+    const s = schedule({ date: day(2026, 1, 31), recurringInterval: "MONTHLY" });
+    assert.deepEqual(getNextRecurringDate(s, day(2026, 2, 28)), day(2026, 3, 31));
+  });
+
+  it("is null once the schedule has ended", () => {
+    const s = schedule({
+      date: day(2026, 10, 1),
+      recurringInterval: "WEEKLY",
+      recurringMaxCount: 2,
+      recurringCount: 1,
+    });
+    assert.equal(getNextRecurringDate(s, day(2026, 10, 8)), null);
+  });
+});
+
+describe("getNextRecurringDateFromToday", () => {
+  const now = day(2026, 10, 19, 15);
+
+  it("skips the occurrences a past-dated transaction missed", () => {
+    const s = schedule({ date: day(2025, 10, 1), recurringInterval: "MONTHLY" });
+    const next = getNextRecurringDateFromToday(s, s.date, now);
+    assert.deepEqual(next, day(2026, 11, 1));
+    assert.ok(next > now);
+  });
+
+  it("keeps an occurrence due today", () => {
+    const s = schedule({ date: day(2026, 9, 19), recurringInterval: "MONTHLY" });
+    assert.deepEqual(getNextRecurringDateFromToday(s, s.date, now), day(2026, 10, 19));
+  });
+
+  it("continues from a later date", () => {
+    const s = schedule({ date: day(2026, 10, 1), recurringInterval: "WEEKLY" });
+    assert.deepEqual(getNextRecurringDateFromToday(s, day(2026, 10, 29), now), day(2026, 11, 5));
+  });
+});
+
+describe("getUnpostedOccurrences", () => {
+  const template = schedule({
+    date: day(2026, 9, 3),
+    recurringInterval: "WEEKLY",
+    nextRecurringDate: day(2026, 10, 15),
+    recurringPausedAt: null,
+  });
+
+  it("lists occurrences from the next date up to and including `until`", () => {
+    assert.deepEqual(getUnpostedOccurrences(template, day(2026, 10, 29)), [
+      day(2026, 10, 15),
+      day(2026, 10, 22),
+      day(2026, 10, 29),
+    ]);
+  });
+
+  it("includes a next date stored with a time of day", () => {
+    const legacy = { ...template, nextRecurringDate: day(2026, 10, 15, 10) };
+    assert.deepEqual(getUnpostedOccurrences(legacy, day(2026, 10, 22)), [
+      day(2026, 10, 15),
+      day(2026, 10, 22),
+    ]);
+  });
+
+  it("is empty for paused and ended templates", () => {
+    const until = day(2026, 12, 31);
+    assert.deepEqual(getUnpostedOccurrences({ ...template, recurringPausedAt: day(2026, 10, 1) }, until), []);
+    assert.deepEqual(getUnpostedOccurrences({ ...template, nextRecurringDate: null }, until), []);
+  });
+
+  it("is empty for templates that are not completed", () => {
+    const until = day(2026, 12, 31);
+    assert.deepEqual(getUnpostedOccurrences({ ...template, status: "PENDING" }, until), []);
+    assert.deepEqual(getUnpostedOccurrences({ ...template, status: "FAILED" }, until), []);
+    assert.equal(getUnpostedOccurrences({ ...template, status: "COMPLETED" }, until).length, 12);
+  });
+});
+
+describe("describeSchedule", () => {
+  it("uses the interval label for every interval", () => {
+    assert.equal(describeSchedule(schedule({ recurringInterval: "MONTHLY" })), "Monthly");
+    assert.equal(describeSchedule(schedule({ recurringInterval: "BIWEEKLY" })), "Bi-weekly");
+  });
+
+  it("spells out longer repeats in the interval's unit", () => {
+    assert.equal(describeSchedule(schedule({ recurringInterval: "DAILY", recurringEvery: 3 })), "Every 3 days");
+    assert.equal(describeSchedule(schedule({ recurringInterval: "BIWEEKLY", recurringEvery: 2 })), "Every 4 weeks");
+    assert.equal(describeSchedule(schedule({ recurringInterval: "QUARTERLY", recurringEvery: 2 })), "Every 6 months");
+    assert.equal(describeSchedule(schedule({ recurringInterval: "YEARLY", recurringEvery: 2 })), "Every 2 years");
+  });
+
+  it("names the day of month", () => {
+    assert.equal(
+      describeSchedule(schedule({ recurringInterval: "MONTHLY", recurringDayOfMonth: 22 })),
+      "Monthly on the 22nd"
+    );
+    assert.equal(
+      describeSchedule(schedule({ recurringInterval: "QUARTERLY", recurringDayOfMonth: LAST_BUSINESS_DAY })),
+      "Quarterly on the last business day"
+    );
+  });
+
+  it("is empty without an interval", () => {
+    assert.equal(describeSchedule(schedule({ recurringInterval: null })), "");
+  });
+});
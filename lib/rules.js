@@ -0,0 +1,109 @@
+import { db } from "@/lib/prisma";
+import { getCategoryLookup } from "@/lib/categories";
+import { toNumber } from "@/lib/balance";
+
+// User-defined auto-categorization rules. A rule matches a transaction when
+// every condition it sets matches; rules run in ascending priority, the first
+// matching rule that sets a field wins and tags from every match are added.
+
+// "AMZN Mktp US*2K4 #1234" -> "amzn mktp us", so a merchant matches however
+// the bank decorates the description with store numbers and references.
+export function normalizeMerchant(text = "") {
+  return text
+    .toLowerCase()
+    .split(/[*#]|\d{3,}/)[0]
+    .replace(/[^a-z0-9& ]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+export function getRuleRegex(pattern) {
+  try {
+    return new RegExp(pattern, "i");
+  } catch {
+    return null;
+  }
+}
+
+export function hasRuleCondition(rule) {
+  return [
+    rule.descriptionContains,
+    rule.descriptionRegex,
+    rule.merchant,
+    rule.minAmount,
+    rule.maxAmount,
+    rule.accountId,
+  ].some((value) => value !== null && value !== undefined && value !== "");
+}
+
+export function matchesRule(rule, transaction) {
+  if (!rule.enabled || !hasRuleCondition(rule)) return false;
+
+  const description = transaction.description || "";
+  const amount = Math.abs(toNumber(transaction.amount));
+
+  if (rule.accountId && rule.accountId !== transaction.accountId) return false;
+  if (
+    rule.descriptionContains &&
+    !description.toLowerCase().includes(rule.descriptionContains.toLowerCase())
+  ) {
+    return false;
+  }
+  if (rule.descriptionRegex && !getRuleRegex(rule.descriptionRegex)?.test(description)) {
+    return false;
+  }
+  if (
+    rule.merchant &&
+    !normalizeMerchant(description).startsWith(normalizeMerchant(rule.merchant))
+  ) {
+    return false;
+  }
+  if (rule.minAmount != null && amount < toNumber(rule.minAmount)) return false;
+  if (rule.maxAmount != null && amount > toNumber(rule.maxAmount)) return false;
+
+  return true;
+}
+
+// Fields the matching rules set on `transaction`: { category, subcategory,
+// description, tags }, each only present when a rule sets it. Categories of
+// the wrong type (e.g. an expense category on income) are skipped.
+export function applyRules(rules, transaction, categoryLookup = {}) {
+  if (transaction.type === "TRANSFER") return {};
+
+  const result = {};
+  const tags = new Set();
+
+  for (const rule of rules) {
+    if (!matchesRule(rule, transaction)) continue;
+
+    if (
+      rule.category &&
+      !result.category &&
+      categoryLookup[rule.category]?.type === transaction.type
+    ) {
+      result.category = rule.category;
+      result.subcategory = rule.subcategory || null;
+    }
+    if (rule.setDescription && result.description === undefined) {
+      result.description = rule.setDescription;
+    }
+    rule.tags.forEach((tag) => tags.add(tag));
+  }
+
+  if (tags.size > 0) result.tags = [...tags];
+  return result;
+}
+
+// Enabled rules in the order they run, plus the category lookup applyRules
+// needs, for categorizing several transactions of one user.
+export async function getRuleContext(userId) {
+  const [rules, categories] = await Promise.all([
+    db.transactionRule.findMany({
+      where: { userId, enabled: true },
+      orderBy: [{ priority: "asc" }, { createdAt: "asc" }],
+    }),
+    db.category.findMany({ where: { userId } }),
+  ]);
+
+  return { rules, categoryLookup: getCategoryLookup(categories) };
+}
@@ -0,0 +1,46 @@
+import { toNumber } from "./balance";
+
+// Split transactions spread their amount over several category lines. Code
+// that totals spending by category goes through getCategoryLines so a split
+// counts against each of its categories rather than just the transaction's.
+
+export const toCents = (amount) => Math.round(toNumber(amount) * 100);
+
+// [{ category, subcategory, amount }]: the transaction's splits, or its whole
+// amount in its own category.
+export function getCategoryLines(transaction) {
+  if (transaction.splits?.length) {
+    return transaction.splits.map((split) => ({
+      category: split.category,
+      subcategory: split.subcategory || null,
+      amount: toNumber(split.amount),
+    }));
+  }
+
+  return [
+    {
+      category: transaction.category,
+      subcategory: transaction.subcategory || null,
+      amount: toNumber(transaction.amount),
+    },
+  ];
+}
+
+export function getCategoryAmount(transaction, category) {
+  return getCategoryLines(transaction)
+    .filter((line) => line.category === category)
+    .reduce((sum, line) => sum + line.amount, 0);
+}
+
+// Why `splits` cannot be saved for a transaction of `amount`, or null.
+export function getSplitsError(splits, amount) {
+  if (splits.length < 2) return "A split needs at least two lines";
+  if (splits.some((split) => !(toNumber(split.amount) > 0))) {
+    return "Split amounts must be greater than zero";
+  }
+
+  const total = splits.reduce((sum, split) => sum + toCents(split.amount), 0);
+  if (total !== toCents(amount)) return "Split amounts must add up to the total";
+
+  return null;
+}
@@ -0,0 +1,233 @@
+import { isValid, parse } from "date-fns";
+
+// Parsers for bank statement exports. Every format is reduced to rows of
+// { date, amount, description } where a negative amount is money leaving the
+// account, so the import flow can treat them all alike.
+
+export const CSV_DATE_FORMATS = ["yyyy-MM-dd", "MM/dd/yyyy", "dd/MM/yyyy", "dd.MM.yyyy"];
+
+export function detectStatementFormat(fileName, text) {
+  const name = fileName.toLowerCase();
+  if (name.endsWith(".ofx") || name.endsWith(".qfx") || /<OFX>/i.test(text)) {
+    return "ofx";
+  }
+  if (name.endsWith(".qif") || /^!Type:/im.test(text)) return "qif";
+  return "csv";
+}
+
+export function parseAmount(value) {
+  if (value === undefined || value === null) return NaN;
+
+  let text = String(value).trim();
+  const negative = /^\(.*\)$/.test(text) || /^[^\d]*-/.test(text) || text.endsWith("-");
+  text = text.replace(/[^\d.,]/g, "");
+
+  // "1.234,56" and "1234,56" use a decimal comma; otherwise commas are
+  // thousands separators.
+  if (/,\d{1,2}$/.test(text)) {
+    text = text.replace(/\./g, "").replace(",", ".");
+  } else {
+    text = text.replace(/,/g, "");
+  }
+
+  const amount = parseFloat(text);
+  if (isNaN(amount)) return NaN;
+  return negative ? -amount : amount;
+}
+
+// ---------- CSV ----------
+
+export function parseCSV(text) {
+  const delimiter = detectDelimiter(text);
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field.trim());
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field.trim());
+      if (row.some((value) => value !== "")) rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  row.push(field.trim());
+  if (row.some((value) => value !== "")) rows.push(row);
+
+  const [headers = [], ...dataRows] = rows;
+  return { headers, rows: dataRows };
+}
+
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0] || "";
+  const candidates = [",", ";", "\t"];
+  return candidates.reduce((best, candidate) =>
+    firstLine.split(candidate).length > firstLine.split(best).length
+      ? candidate
+      : best
+  );
+}
+
+// Best guess of which CSV columns hold what, based on common header names.
+export function guessCSVMapping(headers) {
+  const find = (pattern) => {
+    const index = headers.findIndex((header) => pattern.test(header));
+    return index === -1 ? "" : String(index);
+  };
+
+  return {
+    date: find(/date|posted/i),
+    description: find(/desc|payee|memo|name|details|narrative/i),
+    amount: find(/^amount$|amount|value/i),
+    debit: find(/debit|withdraw|paid out/i),
+    credit: find(/credit|deposit|paid in/i),
+    dateFormat: CSV_DATE_FORMATS[0],
+  };
+}
+
+// mapping holds column indexes (as strings, "" when unmapped). Either a
+// signed amount column or a debit/credit pair must be mapped.
+export function mapCSVRows(rows, mapping) {
+  const column = (row, key) =>
+    mapping[key] === "" || mapping[key] === undefined
+      ? undefined
+      : row[Number(mapping[key])];
+
+  return rows.map((row) => {
+    let amount;
+    if (mapping.amount !== "") {
+      amount = parseAmount(column(row, "amount"));
+    } else {
+      const debit = parseAmount(column(row, "debit"));
+      const credit = parseAmount(column(row, "credit"));
+      amount = (isNaN(credit) ? 0 : Math.abs(credit)) - (isNaN(debit) ? 0 : Math.abs(debit));
+    }
+
+    return {
+      date: parse(column(row, "date") || "", mapping.dateFormat, new Date()),
+      amount,
+      description: column(row, "description") || "",
+    };
+  });
+}
+
+// ---------- OFX / QFX ----------
+
+export function parseOFX(text) {
+  const blocks = text.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) || [];
+
+  return blocks.map((block) => {
+    const tag = (name) => {
+      const match = block.match(new RegExp(`<${name}>([^<\\r\\n]*)`, "i"));
+      return match ? match[1].trim() : "";
+    };
+
+    const name = tag("NAME");
+    const memo = tag("MEMO");
+
+    return {
+      date: parseOFXDate(tag("DTPOSTED")),
+      amount: parseAmount(tag("TRNAMT")),
+      description: [name, memo && memo !== name ? memo : ""].filter(Boolean).join(" - "),
+    };
+  });
+}
+
+function parseOFXDate(value) {
+  // YYYYMMDD[HHMMSS[.XXX]][[gmt offset:tz name]]; only the day matters here.
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})/);
+  if (!match) return new Date(NaN);
+  return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+}
+
+// ---------- QIF ----------
+
+export function parseQIF(text) {
+  const transactions = [];
+  let current = {};
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith("!")) continue;
+
+    const code = line[0];
+    const value = line.slice(1).trim();
+
+    switch (code) {
+      case "D": current.date = parseQIFDate(value); break;
+      case "T":
+      case "U": current.amount = parseAmount(value); break;
+      case "P": current.payee = value; break;
+      case "M": current.memo = value; break;
+      case "^":
+        if (current.date || current.amount !== undefined) {
+          transactions.push({
+            date: current.date || new Date(NaN),
+            amount: current.amount ?? NaN,
+            description: [current.payee, current.memo].filter(Boolean).join(" - "),
+          });
+        }
+        current = {};
+        break;
+    }
+  }
+
+  return transactions;
+}
+
+function parseQIFDate(value) {
+  // Quicken writes M/D/YY, M/D'YY (years 2000+) or M/D/YYYY.
+  const match = value.match(/^(\d{1,2})\/\s*(\d{1,2})\s*['/-]\s*(\d{2,4})$/);
+  if (!match) {
+    const date = new Date(value);
+    return isValid(date) ? date : new Date(NaN);
+  }
+
+  let year = Number(match[3]);
+  if (year < 100) year += value.includes("'") || year < 50 ? 2000 : 1900;
+  return new Date(year, Number(match[1]) - 1, Number(match[2]));
+}
+
+// ---------- Shared ----------
+
+// Shape a parsed statement row like the transaction form's data so it can be
+// validated with transactionSchema. Rows that cannot be parsed get an error.
+export function toTransactionRow(row) {
+  const error = !isValid(row.date)
+    ? "Invalid date"
+    : isNaN(row.amount) || row.amount === 0
+      ? "Invalid amount"
+      : null;
+
+  const type = row.amount < 0 ? "EXPENSE" : "INCOME";
+
+  return {
+    type,
+    amount: Math.abs(row.amount || 0),
+    description: row.description,
+    date: row.date,
+    category: type === "EXPENSE" ? "other-expense" : "other-income",
+    error,
+  };
+}
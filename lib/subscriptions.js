@@ -0,0 +1,248 @@
+import { differenceInCalendarDays, subMonths } from "date-fns";
+import { db } from "./prisma";
+import { toNumber } from "./balance";
+import { getNextRecurringDate } from "./recurring";
+import { toCents } from "./splits";
+
+// Subscription detection, shared by the weekly detection job and the "Scan
+// now" action. Expenses are grouped by account and merchant (their
+// description without numbers, punctuation and case) and a group becomes a
+// subscription when its charges are spaced like one of the intervals below.
+// Transactions that already belong to a recurring template are left out:
+// the user has told us about those. The exception is a subscription converted
+// into a template, which keeps following its template's occurrences and the
+// merchant's own charges (imported or entered by hand), so its last charge
+// stays current and a new price on the merchant's side is still noticed.
+
+const HISTORY_MONTHS = 18;
+
+const MIN_CHARGES = 3;
+
+// Typical days between charges for each interval, and how far one gap may
+// be from it.
+const INTERVAL_GAPS = {
+  WEEKLY: { days: 7, tolerance: 2 },
+  BIWEEKLY: { days: 14, tolerance: 3 },
+  MONTHLY: { days: 30.4, tolerance: 4 },
+  QUARTERLY: { days: 91.3, tolerance: 10 },
+  YEARLY: { days: 365.25, tolerance: 15 },
+};
+
+// Share of the gaps that must fit the interval, so one late or missed charge
+// does not hide a subscription.
+const MIN_REGULAR_GAPS = 0.75;
+
+const MONTHLY_FACTORS = {
+  WEEKLY: 52 / 12,
+  BIWEEKLY: 26 / 12,
+  MONTHLY: 1,
+  QUARTERLY: 1 / 3,
+  YEARLY: 1 / 12,
+};
+
+export const getMerchantKey = (description) =>
+  (description || "")
+    .toLowerCase()
+    .replace(/\(recurring\)/g, "")
+    .replace(/[^a-z\s]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// The subscription a group of charges (oldest first) forms, or null. A
+// subscription whose charges stopped more than two intervals ago is
+// treated as cancelled.
+function detectSubscription(charges, now) {
+  if (charges.length < MIN_CHARGES) return null;
+
+  const gaps = charges
+    .slice(1)
+    .map((charge, i) => differenceInCalendarDays(charge.date, charges[i].date));
+  const typicalGap = median(gaps);
+
+  const interval = Object.keys(INTERVAL_GAPS).find(
+    (key) => Math.abs(typicalGap - INTERVAL_GAPS[key].days) <= INTERVAL_GAPS[key].tolerance
+  );
+  if (!interval) return null;
+
+  const { days, tolerance } = INTERVAL_GAPS[interval];
+  const regular = gaps.filter((gap) => Math.abs(gap - days) <= tolerance).length;
+  if (regular / gaps.length < MIN_REGULAR_GAPS) return null;
+
+  const last = charges[charges.length - 1];
+  if (differenceInCalendarDays(now, last.date) > 2 * days) return null;
+
+  const amount = toNumber(last.amount);
+  const previous = toNumber(charges[charges.length - 2].amount);
+
+  return {
+    name: last.description,
+    category: last.category,
+    interval,
+    amount,
+    previousAmount: toCents(previous) !== toCents(amount) ? previous : null,
+    monthlyCost: Math.round(amount * MONTHLY_FACTORS[interval] * 100) / 100,
+    chargeCount: charges.length,
+    lastChargedAt: last.date,
+    lastTransactionId: last.id,
+    nextExpectedAt: getNextRecurringDate({ date: last.date, recurringInterval: interval }),
+  };
+}
+
+// A converted subscription's update from its group of charges (oldest
+// first). The template's occurrences always repeat the template's amount, so
+// they only move the last charge along; the price comes from the merchant's
+// own charges since the template's date, the latest of which is kept as
+// `lastTransactionId` once there is one.
+function followConvertedSubscription(known, template, charges) {
+  const last = charges[charges.length - 1];
+  const merchantCharges = charges.filter(
+    (c) => !c.isRecurring && !c.recurringTemplateId && c.date > template.date
+  );
+  const latest = merchantCharges[merchantCharges.length - 1];
+  const amount = latest ? toNumber(latest.amount) : toNumber(known.amount);
+
+  return {
+    amount,
+    monthlyCost: Math.round(amount * MONTHLY_FACTORS[known.interval] * 100) / 100,
+    chargeCount: charges.length,
+    lastChargedAt: last.date,
+    lastTransactionId: (latest || last).id,
+    nextExpectedAt: template.nextRecurringDate,
+  };
+}
+
+// Re-runs detection over the user's history and saves the results.
+// Suggestions that no longer look like a subscription (usually because the
+// charges stopped) are removed; converted and dismissed ones are kept, as the
+// user decided on those. Returns the known subscriptions (not new or
+// dismissed ones) whose latest charge has a new price, as
+// { subscription, previousAmount }.
+export async function refreshSubscriptions(userId, now = new Date()) {
+  const existing = Object.fromEntries(
+    (await db.subscription.findMany({ where: { userId } })).map((s) => [
+      `${s.accountId}:${s.merchant}`,
+      s,
+    ])
+  );
+
+  const converted = Object.entries(existing).filter(
+    ([, s]) => s.status === "CONVERTED" && s.templateId
+  );
+  const templateIds = converted.map(([, s]) => s.templateId);
+  const keysByTemplate = Object.fromEntries(converted.map(([key, s]) => [s.templateId, key]));
+  const templates = Object.fromEntries(
+    (
+      await db.transaction.findMany({
+        where: { id: { in: templateIds }, userId, isRecurring: true, deletedAt: null },
+      })
+    ).map((t) => [t.id, t])
+  );
+
+  const transactions = await db.transaction.findMany({
+    where: {
+      userId,
+      type: "EXPENSE",
+      status: { not: "FAILED" },
+      deletedAt: null,
+      date: { gte: subMonths(now, HISTORY_MONTHS) },
+      OR: [
+        { isRecurring: false, recurringTemplateId: null },
+        { id: { in: templateIds } },
+        { recurringTemplateId: { in: templateIds } },
+      ],
+    },
+    select: {
+      id: true,
+      description: true,
+      amount: true,
+      date: true,
+      category: true,
+      accountId: true,
+      isRecurring: true,
+      recurringTemplateId: true,
+    },
+    orderBy: { date: "asc" },
+  });
+
+  const groups = {};
+  for (const transaction of transactions) {
+    // A converted template and its occurrences belong to its subscription,
+    // whatever they are called now.
+    const templateKey = keysByTemplate[transaction.recurringTemplateId || transaction.id];
+    const merchant = templateKey
+      ? existing[templateKey].merchant
+      : getMerchantKey(transaction.description);
+    if (!merchant) continue;
+
+    const key = templateKey || `${transaction.accountId}:${merchant}`;
+    groups[key] ??= { accountId: transaction.accountId, merchant, charges: [] };
+    groups[key].charges.push(transaction);
+  }
+
+  const priceChanges = [];
+  const seen = new Set();
+  let detected = 0;
+
+  for (const [key, { accountId, merchant, charges }] of Object.entries(groups)) {
+    const known = existing[key];
+    const template = known?.status === "CONVERTED" && templates[known.templateId];
+    const subscription = template
+      ? followConvertedSubscription(known, template, charges)
+      : detectSubscription(
+          charges.filter((c) => !c.isRecurring && !c.recurringTemplateId),
+          now
+        );
+    if (!subscription) continue;
+    seen.add(key);
+    detected++;
+
+    if (!known) {
+      await db.subscription.create({
+        data: {
+          ...subscription,
+          merchant,
+          priceChangedAt: subscription.previousAmount === null ? null : subscription.lastChargedAt,
+          userId,
+          accountId,
+        },
+      });
+      continue;
+    }
+
+    // Only a charge we have not seen before can change the price.
+    const isNewCharge =
+      subscription.lastTransactionId !== known.lastTransactionId &&
+      subscription.lastChargedAt >= known.lastChargedAt;
+    const priceChanged =
+      isNewCharge && toCents(subscription.amount) !== toCents(known.amount);
+
+    const updated = await db.subscription.update({
+      where: { id: known.id },
+      data: {
+        ...subscription,
+        previousAmount: priceChanged ? known.amount : known.previousAmount,
+        priceChangedAt: priceChanged ? now : known.priceChangedAt,
+      },
+      include: { account: { select: { name: true, currency: true } } },
+    });
+
+    if (priceChanged && known.status !== "DISMISSED") {
+      priceChanges.push({ subscription: updated, previousAmount: toNumber(known.amount) });
+    }
+  }
+
+  const expired = Object.entries(existing)
+    .filter(([key, s]) => s.status === "SUGGESTED" && !seen.has(key))
+    .map(([, s]) => s.id);
+  if (expired.length > 0) {
+    await db.subscription.deleteMany({ where: { id: { in: expired } } });
+  }
+
+  return { detected, priceChanges };
+}
@@ -0,0 +1,38 @@
+// Tags are free-form labels stored per user by name and attached to
+// transactions (many-to-many).
+
+// Trimmed, lower-cased and de-duplicated tag names. Accepts an array or a
+// comma-separated string.
+export function normalizeTagNames(tags) {
+  const names = typeof tags === "string" ? tags.split(",") : tags || [];
+
+  return [
+    ...new Set(
+      names.map((name) => String(name).trim().toLowerCase()).filter(Boolean)
+    ),
+  ];
+}
+
+// Tag rows for `names`, created where missing. `client` is db or a
+// transaction client.
+export async function upsertTags(client, userId, names) {
+  return Promise.all(
+    normalizeTagNames(names).map((name) =>
+      client.tag.upsert({
+        where: { userId_name: { userId, name } },
+        create: { name, userId },
+        update: {},
+      })
+    )
+  );
+}
+
+// Prisma `tags` input that attaches the named tags, creating missing ones.
+export function connectTags(userId, names) {
+  return {
+    connectOrCreate: normalizeTagNames(names).map((name) => ({
+      where: { userId_name: { userId, name } },
+      create: { name, userId },
+    })),
+  };
+}
@@ -0,0 +1,162 @@
+import { endOfDay, parseISO, startOfDay } from "date-fns";
+import { normalizeTagNames } from "./tags";
+
+// The transaction filters offered by TransactionTable. They live in the
+// page's query string (so filtered pages can be shared) and are turned into a
+// Prisma where clause (getTransactionWhere) by the account page and by server
+// features such as export, so both see the same rows.
+//
+// filters: { accountId, search, type, recurring, category, status, tags,
+//            minAmount, maxAmount, from, to }
+//   recurring: "recurring" | "non-recurring" | ""
+//   category: category slugs; split transactions match on any of their lines
+//   status: TransactionStatus values; a transaction needs any of them
+//   tags: tag names; a transaction needs them all
+//   minAmount / maxAmount: inclusive bounds on the transaction's amount
+//   from / to: dates or "yyyy-MM-dd" strings, inclusive by day
+// List filters take arrays or comma-separated strings. Transactions in the
+// trash never match.
+
+export const EMPTY_FILTERS = {
+  search: "",
+  type: "",
+  recurring: "",
+  category: [],
+  status: [],
+  tags: [],
+  minAmount: "",
+  maxAmount: "",
+  from: null,
+  to: null,
+};
+
+export const TRANSACTION_STATUSES = {
+  PENDING: "Pending",
+  COMPLETED: "Completed",
+  FAILED: "Failed",
+};
+
+export const TRANSACTION_SORT_FIELDS = ["date", "amount", "category"];
+
+export const TRANSACTIONS_PAGE_SIZE = 10;
+
+const toDate = (value) => (value instanceof Date ? value : parseISO(value));
+
+export const toList = (value) =>
+  (typeof value === "string" ? value.split(",") : value || []).filter(Boolean);
+
+const toAmount = (value) => {
+  const amount = parseFloat(value);
+  return isNaN(amount) || amount < 0 ? "" : String(amount);
+};
+
+export function getTransactionWhere(filters = {}) {
+  const { accountId, search, type, recurring, from, to } = filters;
+  const minAmount = toAmount(filters.minAmount);
+  const maxAmount = toAmount(filters.maxAmount);
+  const tags = normalizeTagNames(filters.tags);
+  const categories = toList(filters.category);
+  const statuses = toList(filters.status).filter(
+    (key) => TRANSACTION_STATUSES[key]
+  );
+  const where = { deletedAt: null };
+  const and = [];
+
+  if (accountId) {
+    and.push({ OR: [{ accountId }, { transferAccountId: accountId }] });
+  }
+
+  if (search) {
+    where.description = { contains: search, mode: "insensitive" };
+  }
+
+  if (type) where.type = type;
+
+  if (recurring === "recurring") where.isRecurring = true;
+  if (recurring === "non-recurring") where.isRecurring = false;
+
+  if (categories.length > 0) {
+    and.push({
+      OR: [
+        { category: { in: categories } },
+        { splits: { some: { category: { in: categories } } } },
+      ],
+    });
+  }
+
+  if (statuses.length > 0) where.status = { in: statuses };
+
+  if (minAmount || maxAmount) {
+    where.amount = {
+      ...(minAmount && { gte: parseFloat(minAmount) }),
+      ...(maxAmount && { lte: parseFloat(maxAmount) }),
+    };
+  }
+
+  for (const name of tags) {
+    and.push({ tags: { some: { name } } });
+  }
+
+  if (from || to) {
+    where.date = {
+      ...(from && { gte: startOfDay(toDate(from)) }),
+      ...(to && { lte: endOfDay(toDate(to)) }),
+    };
+  }
+
+  if (and.length > 0) where.AND = and;
+  return where;
+}
+
+// Filters, sort and page cursor from a query string (URLSearchParams or the
+// plain object Next.js passes to pages). Unknown values are ignored.
+export function parseTransactionQuery(params = {}) {
+  const get = (key) =>
+    (typeof params.get === "function" ? params.get(key) : params[key]) || "";
+
+  const sort = TRANSACTION_SORT_FIELDS.includes(get("sort")) ? get("sort") : "date";
+
+  return {
+    search: get("search"),
+    type: ["INCOME", "EXPENSE", "TRANSFER"].includes(get("type")) ? get("type") : "",
+    recurring: ["recurring", "non-recurring"].includes(get("recurring"))
+      ? get("recurring")
+      : "",
+    category: toList(get("category")),
+    status: toList(get("status")).filter((key) => TRANSACTION_STATUSES[key]),
+    tags: normalizeTagNames(get("tags")),
+    minAmount: toAmount(get("minAmount")),
+    maxAmount: toAmount(get("maxAmount")),
+    from: /^\d{4}-\d{2}-\d{2}$/.test(get("from")) ? get("from") : null,
+    to: /^\d{4}-\d{2}-\d{2}$/.test(get("to")) ? get("to") : null,
+    sort,
+    direction: get("direction") === "asc" ? "asc" : "desc",
+    after: get("after"),
+    before: get("before"),
+    page: Math.max(parseInt(get("page"), 10) || 1, 1),
+  };
+}
+
+// Whether any filter is set, e.g. to offer clearing them.
+export function hasActiveFilters(filters = {}) {
+  return Object.keys(EMPTY_FILTERS).some((key) =>
+    Array.isArray(filters[key]) ? filters[key].length > 0 : !!filters[key]
+  );
+}
+
+// Query string for the filters, e.g. for /api/export links or the account
+// page's URL.
+export function toFilterSearchParams(filters = {}) {
+  const params = new URLSearchParams();
+
+  for (const [key, value] of Object.entries(filters)) {
+    if (value === undefined || value === null || value === "") continue;
+    if (Array.isArray(value)) {
+      if (value.length > 0) params.set(key, value.join(","));
+      continue;
+    }
+    params.set(key, value instanceof Date ? value.toISOString() : String(value));
+  }
+
+  return params;
+}
@@ -0,0 +1,12 @@
+import { subDays } from "date-fns";
+
+// Deleted transactions stay restorable in their account's trash for this
+// many days (TRASH_RETENTION_DAYS, default 30) before the purge job removes
+// them for good.
+export const TRASH_RETENTION_DAYS =
+  parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+
+// Transactions deleted before this date are due to be purged.
+export function getTrashCutoff(now = new Date()) {
+  return subDays(now, TRASH_RETENTION_DAYS);
+}
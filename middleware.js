@@ -5,6 +5,8 @@ const isProtectedRoute = createRouteMatcher([
   "/dashboard(.*)",
   "/account(.*)",
   "/transaction(.*)",
+  "/settings(.*)",
+  "/recurring(.*)",
 ]);
 
 export default clerkMiddleware(async (auth, req) => {
@@ -0,0 +1,18 @@
+-- DropIndex (the unique index is not in every database's migration history)
+DROP INDEX IF EXISTS "public"."budgets_userId_key";
+
+-- AlterTable
+ALTER TABLE "public"."budgets" ADD COLUMN     "accountId" TEXT,
+ADD COLUMN     "category" TEXT;
+
+-- Existing budgets were measured against the user's default account; keep them that way.
+UPDATE "public"."budgets" AS b
+SET "accountId" = a."id"
+FROM "public"."accounts" AS a
+WHERE a."userId" = b."userId" AND a."isDefault" = true;
+
+-- CreateIndex
+CREATE INDEX "budgets_accountId_idx" ON "public"."budgets"("accountId");
+
+-- AddForeignKey
+ALTER TABLE "public"."budgets" ADD CONSTRAINT "budgets_accountId_fkey" FOREIGN KEY ("accountId") REFERENCES "public"."accounts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
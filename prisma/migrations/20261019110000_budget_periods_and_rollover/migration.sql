@@ -0,0 +1,7 @@
+-- CreateEnum
+CREATE TYPE "public"."BudgetPeriod" AS ENUM ('WEEKLY', 'BIWEEKLY', 'MONTHLY', 'QUARTERLY', 'YEARLY');
+
+-- AlterTable
+ALTER TABLE "public"."budgets" ADD COLUMN     "period" "public"."BudgetPeriod" NOT NULL DEFAULT 'MONTHLY',
+ADD COLUMN     "rollover" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "startDay" INTEGER;
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "public"."budgets" ADD COLUMN     "alertThresholds" INTEGER[] DEFAULT ARRAY[80]::INTEGER[],
+ADD COLUMN     "notifiedThresholds" INTEGER[] DEFAULT ARRAY[]::INTEGER[];
+
+-- Budgets alerted before thresholds existed were alerted at 80%.
+UPDATE "public"."budgets" SET "notifiedThresholds" = ARRAY[80] WHERE "lastAlertSent" IS NOT NULL;
@@ -0,0 +1,17 @@
+-- AlterTable
+ALTER TABLE "public"."accounts" ADD COLUMN     "currency" TEXT NOT NULL DEFAULT 'USD';
+
+-- AlterTable
+ALTER TABLE "public"."transactions" ADD COLUMN     "transferAmount" DECIMAL(65,30);
+
+-- AlterTable
+ALTER TABLE "public"."users" ADD COLUMN     "baseCurrency" TEXT NOT NULL DEFAULT 'USD';
+
+-- CreateTable
+CREATE TABLE "public"."exchange_rates" (
+    "currency" TEXT NOT NULL,
+    "rate" DECIMAL(65,30) NOT NULL,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "exchange_rates_pkey" PRIMARY KEY ("currency")
+);
@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE "public"."account_snapshots" (
+    "id" TEXT NOT NULL,
+    "date" TIMESTAMP(3) NOT NULL,
+    "balance" DECIMAL(65,30) NOT NULL,
+    "userId" TEXT NOT NULL,
+    "accountId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "account_snapshots_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "account_snapshots_userId_date_idx" ON "public"."account_snapshots"("userId", "date");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "account_snapshots_accountId_date_key" ON "public"."account_snapshots"("accountId", "date");
+
+-- AddForeignKey
+ALTER TABLE "public"."account_snapshots" ADD CONSTRAINT "account_snapshots_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."account_snapshots" ADD CONSTRAINT "account_snapshots_accountId_fkey" FOREIGN KEY ("accountId") REFERENCES "public"."accounts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
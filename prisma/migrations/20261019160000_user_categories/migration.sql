@@ -0,0 +1,31 @@
+-- AlterTable
+ALTER TABLE "public"."transactions" ADD COLUMN     "subcategory" TEXT;
+
+-- CreateTable
+CREATE TABLE "public"."categories" (
+    "id" TEXT NOT NULL,
+    "slug" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "type" "public"."TransactionType" NOT NULL,
+    "color" TEXT NOT NULL,
+    "icon" TEXT,
+    "archived" BOOLEAN NOT NULL DEFAULT false,
+    "parentId" TEXT,
+    "userId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "categories_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "categories_parentId_idx" ON "public"."categories"("parentId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "categories_userId_slug_key" ON "public"."categories"("userId", "slug");
+
+-- AddForeignKey
+ALTER TABLE "public"."categories" ADD CONSTRAINT "categories_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."categories" ADD CONSTRAINT "categories_parentId_fkey" FOREIGN KEY ("parentId") REFERENCES "public"."categories"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "public"."transaction_splits" (
+    "id" TEXT NOT NULL,
+    "category" TEXT NOT NULL,
+    "subcategory" TEXT,
+    "amount" DECIMAL(65,30) NOT NULL,
+    "transactionId" TEXT NOT NULL,
+
+    CONSTRAINT "transaction_splits_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "transaction_splits_transactionId_idx" ON "public"."transaction_splits"("transactionId");
+
+-- CreateIndex
+CREATE INDEX "transaction_splits_category_idx" ON "public"."transaction_splits"("category");
+
+-- AddForeignKey
+ALTER TABLE "public"."transaction_splits" ADD CONSTRAINT "transaction_splits_transactionId_fkey" FOREIGN KEY ("transactionId") REFERENCES "public"."transactions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,29 @@
+-- CreateEnum
+CREATE TYPE "public"."AuditSource" AS ENUM ('UI', 'IMPORT', 'RECURRING', 'SEED');
+
+-- CreateTable
+CREATE TABLE "public"."audit_logs" (
+    "id" TEXT NOT NULL,
+    "action" TEXT NOT NULL,
+    "source" "public"."AuditSource" NOT NULL,
+    "entityType" TEXT NOT NULL,
+    "entityId" TEXT NOT NULL,
+    "before" JSONB,
+    "after" JSONB,
+    "balanceChanges" JSONB NOT NULL,
+    "accountIds" TEXT[],
+    "actorId" TEXT,
+    "userId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "audit_logs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "audit_logs_userId_createdAt_idx" ON "public"."audit_logs"("userId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "audit_logs_accountIds_idx" ON "public"."audit_logs" USING GIN ("accountIds");
+
+-- AddForeignKey
+ALTER TABLE "public"."audit_logs" ADD CONSTRAINT "audit_logs_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,43 @@
+-- AlterTable
+ALTER TABLE "public"."accounts" ADD COLUMN     "openingBalance" DECIMAL(65,30) NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "public"."transactions" ADD COLUMN     "cleared" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "public"."reconciliations" (
+    "id" TEXT NOT NULL,
+    "statementDate" TIMESTAMP(3) NOT NULL,
+    "statementBalance" DECIMAL(65,30) NOT NULL,
+    "clearedCount" INTEGER NOT NULL,
+    "userId" TEXT NOT NULL,
+    "accountId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "reconciliations_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "reconciliations_accountId_statementDate_idx" ON "public"."reconciliations"("accountId", "statementDate");
+
+-- AddForeignKey
+ALTER TABLE "public"."reconciliations" ADD CONSTRAINT "reconciliations_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."reconciliations" ADD CONSTRAINT "reconciliations_accountId_fkey" FOREIGN KEY ("accountId") REFERENCES "public"."accounts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Existing accounts get the opening balance that makes their stored balance
+-- agree with today's ledger, so only drift from here on is reported.
+UPDATE "public"."accounts" a SET "openingBalance" = a."balance" - COALESCE((
+    SELECT SUM(
+        CASE
+            WHEN t."type" = 'INCOME' THEN t."amount"
+            WHEN t."type" = 'EXPENSE' THEN -t."amount"
+            WHEN t."accountId" = a."id" THEN -t."amount"
+            ELSE COALESCE(t."transferAmount", t."amount")
+        END
+    )
+    FROM "public"."transactions" t
+    WHERE (t."accountId" = a."id" OR t."transferAccountId" = a."id")
+        AND t."deletedAt" IS NULL
+), 0);
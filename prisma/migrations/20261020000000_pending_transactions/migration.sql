@@ -0,0 +1,17 @@
+-- Pending and failed transactions no longer count towards the balance until
+-- they complete. Take back what they were applied with when they were saved;
+-- the opening balance is unaffected.
+UPDATE "public"."accounts" a SET "balance" = a."balance" - COALESCE((
+    SELECT SUM(
+        CASE
+            WHEN t."type" = 'INCOME' THEN t."amount"
+            WHEN t."type" = 'EXPENSE' THEN -t."amount"
+            WHEN t."accountId" = a."id" THEN -t."amount"
+            ELSE COALESCE(t."transferAmount", t."amount")
+        END
+    )
+    FROM "public"."transactions" t
+    WHERE (t."accountId" = a."id" OR t."transferAccountId" = a."id")
+        AND t."deletedAt" IS NULL
+        AND t."status" <> 'COMPLETED'
+), 0);
@@ -0,0 +1,18 @@
+-- AlterEnum
+-- This migration adds more than one value to an enum.
+-- With PostgreSQL versions 11 and earlier, this is not possible
+-- in a single migration. This can be worked around by creating
+-- multiple migrations, each migration adding only one value to
+-- the enum.
+
+
+ALTER TYPE "public"."RecurringInterval" ADD VALUE 'BIWEEKLY';
+ALTER TYPE "public"."RecurringInterval" ADD VALUE 'QUARTERLY';
+
+-- AlterTable
+ALTER TABLE "public"."transactions" ADD COLUMN     "recurringCount" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "recurringDayOfMonth" INTEGER,
+ADD COLUMN     "recurringEndDate" TIMESTAMP(3),
+ADD COLUMN     "recurringEvery" INTEGER NOT NULL DEFAULT 1,
+ADD COLUMN     "recurringMaxCount" INTEGER,
+ADD COLUMN     "recurringPausedAt" TIMESTAMP(3);
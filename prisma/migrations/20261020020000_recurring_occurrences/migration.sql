@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "public"."transactions" ADD COLUMN     "recurringDate" TIMESTAMP(3),
+ADD COLUMN     "recurringTemplateId" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "transactions_recurringTemplateId_recurringDate_key" ON "public"."transactions"("recurringTemplateId", "recurringDate");
+
+-- AddForeignKey
+ALTER TABLE "public"."transactions" ADD CONSTRAINT "transactions_recurringTemplateId_fkey" FOREIGN KEY ("recurringTemplateId") REFERENCES "public"."transactions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
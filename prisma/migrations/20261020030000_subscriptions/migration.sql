@@ -0,0 +1,39 @@
+-- CreateEnum
+CREATE TYPE "public"."SubscriptionStatus" AS ENUM ('SUGGESTED', 'CONVERTED', 'DISMISSED');
+
+-- CreateTable
+CREATE TABLE "public"."subscriptions" (
+    "id" TEXT NOT NULL,
+    "merchant" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "category" TEXT NOT NULL,
+    "interval" "public"."RecurringInterval" NOT NULL,
+    "amount" DECIMAL(65,30) NOT NULL,
+    "previousAmount" DECIMAL(65,30),
+    "monthlyCost" DECIMAL(65,30) NOT NULL,
+    "chargeCount" INTEGER NOT NULL,
+    "lastChargedAt" TIMESTAMP(3) NOT NULL,
+    "lastTransactionId" TEXT NOT NULL,
+    "nextExpectedAt" TIMESTAMP(3),
+    "priceChangedAt" TIMESTAMP(3),
+    "status" "public"."SubscriptionStatus" NOT NULL DEFAULT 'SUGGESTED',
+    "templateId" TEXT,
+    "userId" TEXT NOT NULL,
+    "accountId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "subscriptions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "subscriptions_userId_accountId_merchant_key" ON "public"."subscriptions"("userId", "accountId", "merchant");
+
+-- AddForeignKey
+ALTER TABLE "public"."subscriptions" ADD CONSTRAINT "subscriptions_templateId_fkey" FOREIGN KEY ("templateId") REFERENCES "public"."transactions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."subscriptions" ADD CONSTRAINT "subscriptions_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."subscriptions" ADD CONSTRAINT "subscriptions_accountId_fkey" FOREIGN KEY ("accountId") REFERENCES "public"."accounts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "public"."users" ADD COLUMN     "billReminderDays" INTEGER NOT NULL DEFAULT 7,
+ADD COLUMN     "billRemindersSentAt" TIMESTAMP(3);